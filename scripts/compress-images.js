@@ -1,84 +1,118 @@
 /**
  * @fileoverview Enhanced Image Compression Utility
  *
- * This script compresses images in the /images folder that are larger than the configured size.
- * Original images are preserved in /images/original/ directory.
+ * This script compresses images in the /images folder and its album subfolders that are
+ * larger than the configured size. Original images are preserved in the /images/original/
+ * directory, mirroring the album folders.
  * The compression maintains original dimensions while reducing file size.
  * Features include:
  * - Support for multiple image formats (JPEG, PNG, WebP, AVIF, GIF)
- * - Parallel processing for faster compression
+ * - Parallel processing on a pool of worker threads, each with a memory limit
  * - Different compression algorithms based on image type
- * - Queue system for handling large batches
+ * - Queue system for handling large batches, with a progress bar and time estimate
+ * - Ctrl-C cancels gracefully: running images are finished and the rest is left for the
+ *   next run. A second Ctrl-C stops at once; staged files are removed and no image is
+ *   left half-written.
+ * - Rotation according to the EXIF orientation, so sideways phone photos display upright
+ *   (images that need rotating are processed even when under the size limit)
+ * - EXIF metadata (capture date, camera, GPS) is kept in the output
+ * - Resized WebP/AVIF derivatives for thumbnails and common screen sizes, written to
+ *   /images/derivatives/ and picked by the slideshow to match the screen
+ * - Incremental runs: a cache (.cache/compress-images.json) records the source hash
+ *   and settings each image was processed with. Unchanged images are skipped without
+ *   being opened, and images whose settings changed are reprocessed from their saved
+ *   original. Entries of deleted images are pruned along with their derivatives.
+ * - Safe writes: every file is written to a staging directory (.cache/staging) and then
+ *   renamed into place, so an interrupted run never leaves a half-written image. An image
+ *   is only replaced once its original is saved.
+ * - Originals are compared by content hash: if original/ already holds a different file
+ *   with the same name, that file is kept under a name with its hash added.
+ * - --dry-run reports what would be done without changing any files.
+ * - --target-size searches the highest quality per image that fits the size limit,
+ *   optionally downscaling as a last resort (--allow-downscale).
+ * - The restore subcommand copies originals back over the compressed images.
+ * - --images-dir works on another image library; its manifest and cache are kept
+ *   inside that directory (see script-options.js).
+ * - --report=json|csv writes the result of every file (sizes, format, quality, duration,
+ *   error) to a report file for build pipelines.
+ *
+ * Exit codes: 0 when every image was processed, 1 when one or more images failed or
+ * the manifest could not be updated, 2 when the run itself failed (e.g. an invalid
+ * option), 130 when the run was cancelled.
  *
  * @module compress-images
  * @author Chris Schweda
- * @version 1.1.0
+ * @version 1.9.3
  *
  * Usage: yarn compress [--algorithm=<auto|mozjpeg|webp|avif>] [--quality=<1-100>] [--parallel=<number>]
+ *                      [--worker-memory=<MB>] [--images-dir=<path>] [--manifest=<file>]
+ *                      [--skip-derivatives] [--force] [--dry-run]
+ *                      [--target-size[=<MB>]] [--min-quality=<1-100>] [--allow-downscale]
+ *                      [--report[=<json|csv>]] [--report-file=<path>]
+ *        yarn compress restore <image>... [--dry-run]   Restore images (paths relative to the images directory)
+ *        yarn compress restore --all [--dry-run]        Restore every image that has a saved original
  */
 
 // Use ES modules
 import fs from 'fs';
 import path from 'path';
 import sharp from 'sharp';
-import { fileURLToPath } from 'url';
 import { cpus } from 'os';
+import { isMainThread, threadId, workerData } from 'worker_threads';
+import { findImages, toManifestPath, getDerivativePath, hashFile, writeManifest } from './image-manifest.js';
+import { parseArgs, loadConfig, getSupportedFormats, resolveLibrary } from './script-options.js';
+import { createWorkerPool, serveJobs, PoolTerminatedError } from './worker-pool.js';
+import { createProgressBar } from './progress-bar.js';
 
-// Get current directory in ESM
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Try to load the config file
-let config;
-try {
-    const configModule = await import('../src/config.js');
-    config = configModule.default;
-    console.log('Loaded configuration from config.js');
-} catch (error) {
-    console.warn('Could not load config.js, using default values:', error.message);
-    // Default configuration if config.js cannot be loaded
-    config = {
-        images: {
-            directory: '/images/',
-            supportedFormats: ['.jpg', '.jpeg', '.png', '.webp', '.gif'],
-            maxSizeMB: 1,
-            compressionQuality: 80
-        }
-    };
-}
+// Workers get the arguments of the main thread through their worker data
+const args = parseArgs(isMainThread ? process.argv.slice(2) : workerData.argv);
+const config = await loadConfig({ quiet: !isMainThread });
+const library = resolveLibrary(args);
 
 /**
- * Parse command line arguments
- * @returns {Object} - Parsed command line arguments
+ * Reads a number option strictly, so "50abc" isn't taken for 50
+ * @function toNumber
+ * @param {string|boolean} value - The option value; true when it was given without one
+ * @returns {number} - The number, NaN if the value isn't one
  */
-function parseArgs() {
-    const args = {};
-    process.argv.slice(2).forEach(arg => {
-        if (arg.startsWith('--')) {
-            const [key, value] = arg.slice(2).split('=');
-            args[key] = value || true;
-        }
-    });
-    return args;
+function toNumber(value) {
+    return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
 }
 
-// Parse command line arguments
-const args = parseArgs();
-
 // Configuration
-const IMAGE_DIR = path.join(__dirname, '../public/images');
-const ORIGINAL_DIR = path.join(IMAGE_DIR, 'original');
-const MAX_SIZE_MB = args.maxSize ? parseFloat(args.maxSize) : config.images.maxSizeMB;
+const IMAGE_DIR = library.imagesDir;
+const ORIGINAL_DIR = library.originalDir;
+// In target-size mode, a size given with --target-size replaces the size limit
+const TARGET_SIZE = Boolean(args['target-size']);
+const MAX_SIZE_MB = TARGET_SIZE && args['target-size'] !== true ? toNumber(args['target-size'])
+    : args.maxSize ? parseFloat(args.maxSize) : config.images.maxSizeMB;
 const MAX_SIZE_BYTES = MAX_SIZE_MB * 1024 * 1024;
+const MIN_QUALITY = args['min-quality'] !== undefined ? toNumber(args['min-quality']) : 40;
+const ALLOW_DOWNSCALE = Boolean(args['allow-downscale']);
+// Scale factors tried in turn when the image doesn't fit at the minimum quality
+const DOWNSCALE_STEPS = [1, 0.85, 0.7, 0.6, 0.5];
 const QUALITY = args.quality ? parseInt(args.quality) : config.images.compressionQuality;
 const ALGORITHM = args.algorithm || 'auto';
 const PARALLEL_LIMIT = args.parallel ? parseInt(args.parallel) : Math.max(1, cpus().length - 1);
-const SUPPORTED_FORMATS = [
-    ...config.images.supportedFormats,
-    '.avif', // Add AVIF support
-    '.tiff', // Add TIFF support
-    '.tif'   // Add TIF support
-];
+// Memory budget of each worker. It limits the heap, but sharp's pixel buffers live
+// outside the heap, so it also sizes the libvips cache and the largest image decoded
+const WORKER_MEMORY_MB = args['worker-memory'] ? parseInt(args['worker-memory']) : 512;
+// A decoded pixel takes up to 4 bytes (RGBA)
+const MAX_INPUT_PIXELS = Math.floor(WORKER_MEMORY_MB * 1024 * 1024 / 4);
+const SKIP_DERIVATIVES = Boolean(args['skip-derivatives']);
+const FORCE = Boolean(args.force);
+const DRY_RUN = Boolean(args['dry-run']);
+const CACHE_FILE = path.join(library.cacheDir, 'compress-images.json');
+const STAGING_DIR = path.join(library.cacheDir, 'staging');
+const CACHE_VERSION = 1;
+const REPORT_FORMATS = ['json', 'csv'];
+const REPORT_FORMAT = args.report === true ? 'json' : args.report || null;
+const REPORT_FILE = args['report-file']
+    ? path.resolve(args['report-file'])
+    : path.join(library.cacheDir, `compress-report.${REPORT_FORMAT}`);
+const DERIVATIVE_WIDTHS = config.images.derivativeWidths;
+const DERIVATIVE_FORMATS = config.images.derivativeFormats;
+const SUPPORTED_FORMATS = getSupportedFormats(config);
 
 // Compression options for different formats
 const COMPRESSION_OPTIONS = {
@@ -90,6 +124,41 @@ const COMPRESSION_OPTIONS = {
     tiff: { quality: QUALITY, compression: 'jpeg' }
 };
 
+// Encoder options for the resized derivatives
+const DERIVATIVE_OPTIONS = {
+    webp: { quality: config.images.derivativeQuality },
+    avif: { quality: config.images.derivativeQuality }
+};
+
+// Settings that affect the output; an image is reprocessed when they change.
+// The output format is recorded per image, as it follows from these and the source.
+const COMPRESSION_SETTINGS = JSON.stringify({
+    quality: QUALITY,
+    algorithm: ALGORITHM,
+    maxSizeMB: MAX_SIZE_MB,
+    targetSize: TARGET_SIZE ? { minQuality: MIN_QUALITY, downscale: ALLOW_DOWNSCALE } : false
+});
+
+// Output formats whose size can be tuned with the quality setting
+const QUALITY_FORMATS = ['jpeg', 'webp', 'avif', 'tiff'];
+const DERIVATIVE_SETTINGS = JSON.stringify({
+    widths: DERIVATIVE_WIDTHS,
+    formats: DERIVATIVE_FORMATS,
+    quality: config.images.derivativeQuality
+});
+
+// Process exit codes
+const EXIT_OK = 0;
+const EXIT_IMAGE_ERRORS = 1;
+const EXIT_FATAL = 2;
+const EXIT_CANCELLED = 130;
+
+// Columns of the per-file report, in CSV column order
+const REPORT_COLUMNS = ['path', 'status', 'originalSize', 'newSize', 'format', 'quality', 'scale', 'durationMs', 'error'];
+
+// Number of files staged so far, for unique staging file names
+let stagedFileCount = 0;
+
 /**
  * Ensures that the required directories exist, creating them if necessary
  * @function ensureDirectoriesExist
@@ -107,17 +176,6 @@ function ensureDirectoriesExist() {
     }
 }
 
-/**
- * Checks if a file is an image based on its extension
- * @function isImage
- * @param {string} filename - The filename to check
- * @returns {boolean} - True if the file is an image, false otherwise
- */
-function isImage(filename) {
-    const ext = path.extname(filename).toLowerCase();
-    return SUPPORTED_FORMATS.includes(ext);
-}
-
 /**
  * Gets the file size in megabytes
  * @function getFileSizeMB
@@ -176,61 +234,396 @@ function getOutputFormat(filename, metadata) {
 }
 
 /**
- * Compresses an image if it's larger than the maximum size
+ * Loads the compression cache
+ * @function loadCache
+ * @returns {Object} - The cache, with an entry per image path; empty if missing or outdated
+ */
+function loadCache() {
+    try {
+        const cache = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+        if (cache.version === CACHE_VERSION && cache.entries) {
+            return cache;
+        }
+    } catch (error) {
+        // No usable cache, process everything
+    }
+    return { version: CACHE_VERSION, entries: {} };
+}
+
+/**
+ * Saves the compression cache
+ * @function saveCache
+ * @param {Object} cache - The cache to save
+ * @returns {void}
+ */
+function saveCache(cache) {
+    if (DRY_RUN) return;
+    fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+    fs.writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2));
+}
+
+/**
+ * Checks whether a cache entry is still valid for an image without reading it
+ * The image must be the file written last time (same size and modification time)
+ * and have been processed with the current settings.
+ * @function isCacheHit
+ * @param {?Object} entry - The cache entry of the image
+ * @param {fs.Stats} stats - File stats of the image
+ * @returns {boolean} - True if the image can be skipped
+ */
+function isCacheHit(entry, stats) {
+    return Boolean(entry) &&
+        entry.outputSize === stats.size &&
+        entry.outputModified === stats.mtimeMs &&
+        hasCurrentSettings(entry);
+}
+
+/**
+ * Checks whether a cache entry was made with the current settings
+ * @function hasCurrentSettings
+ * @param {Object} entry - The cache entry of an image
+ * @returns {boolean} - True if neither the compression nor the derivative settings changed
+ */
+function hasCurrentSettings(entry) {
+    return entry.settings === COMPRESSION_SETTINGS &&
+        (SKIP_DERIVATIVES || entry.derivativeSettings === DERIVATIVE_SETTINGS);
+}
+
+/**
+ * Removes cache entries of images that no longer exist, and their derivatives
+ * @function pruneCache
+ * @param {Object} cache - The compression cache
+ * @param {string[]} imagePaths - Paths of the current images, relative to the images directory
+ * @returns {number} - The number of entries removed
+ */
+function pruneCache(cache, imagePaths) {
+    const current = new Set(imagePaths);
+    let pruned = 0;
+
+    Object.keys(cache.entries).forEach(imagePath => {
+        if (current.has(imagePath)) return;
+
+        (cache.entries[imagePath].derivatives || []).forEach(derivativePath => {
+            const fullPath = path.join(IMAGE_DIR, ...derivativePath.split('/'));
+            if (!DRY_RUN && fs.existsSync(fullPath)) {
+                fs.unlinkSync(fullPath);
+            }
+        });
+
+        delete cache.entries[imagePath];
+        pruned++;
+    });
+
+    return pruned;
+}
+
+/**
+ * Checks whether an image is stored rotated or mirrored according to its EXIF orientation
+ * @function needsRotation
+ * @param {Object} metadata - The image metadata
+ * @returns {boolean} - True if the pixels need to be rotated to display upright
+ */
+function needsRotation(metadata) {
+    return typeof metadata.orientation === 'number' && metadata.orientation > 1;
+}
+
+/**
+ * Determines the output format for an image that only needs rotating
+ * The image keeps its format so the file extension stays accurate.
+ * @function getRotationFormat
+ * @param {Object} metadata - The image metadata
+ * @returns {Object} - The output format and options
+ */
+function getRotationFormat(metadata) {
+    const format = metadata.format === 'heif' ? 'avif' : metadata.format;
+    return { format, options: COMPRESSION_OPTIONS[format] || COMPRESSION_OPTIONS.jpeg };
+}
+
+/**
+ * Opens an image with sharp, refusing images too large for the worker memory budget
+ * @function openImage
+ * @param {string} filePath - The image file
+ * @returns {sharp.Sharp} - The pipeline
+ */
+function openImage(filePath) {
+    return sharp(filePath, { limitInputPixels: MAX_INPUT_PIXELS });
+}
+
+/**
+ * Creates the sharp pipeline that writes a processed image
+ * Rotates upright (this resets the EXIF orientation) and keeps the remaining EXIF
+ * data for the photo details overlay.
+ * @function createOutputPipeline
+ * @param {string} sourcePath - The file to read from
+ * @param {string} format - The output format
+ * @param {Object} options - Options for the output format
+ * @param {number} [width] - Width to downscale to; the original width if omitted
+ * @returns {sharp.Sharp} - The pipeline
+ */
+function createOutputPipeline(sourcePath, format, options, width) {
+    let pipeline = openImage(sourcePath)
+        .rotate()
+        .keepExif()
+        .keepIccProfile();
+
+    if (width) {
+        pipeline = pipeline.resize({ width });
+    }
+
+    return pipeline.toFormat(format, options);
+}
+
+/**
+ * Finds the highest quality at which an image fits the size limit
+ * Binary searches the quality between MIN_QUALITY and 100. If the image doesn't fit
+ * even at MIN_QUALITY and downscaling is allowed, the search is repeated at smaller
+ * sizes. Formats without a useful quality setting (PNG, GIF) are only downscaled.
+ * @async
+ * @function fitToTargetSize
+ * @param {string} sourcePath - The file to read from
+ * @param {Object} metadata - The image metadata
+ * @param {string} format - The output format
+ * @param {Object} options - Options for the output format
+ * @returns {Promise<Object>} - The encoded buffer, quality, scale and whether it fits;
+ *     the smallest encoding found if nothing fits
+ */
+async function fitToTargetSize(sourcePath, metadata, format, options) {
+    const uprightWidth = needsRotation(metadata) && metadata.orientation >= 5 ? metadata.height : metadata.width;
+    const adjustable = QUALITY_FORMATS.includes(format);
+    const scales = ALLOW_DOWNSCALE ? DOWNSCALE_STEPS : [1];
+    let smallest = null;
+
+    for (const scale of scales) {
+        const width = scale < 1 ? Math.round(uprightWidth * scale) : undefined;
+        let low = adjustable ? MIN_QUALITY : options.quality;
+        let high = adjustable ? 100 : options.quality;
+        let best = null;
+
+        while (low <= high) {
+            const quality = Math.floor((low + high) / 2);
+            const buffer = await createOutputPipeline(sourcePath, format, { ...options, quality }, width).toBuffer();
+
+            if (buffer.length <= MAX_SIZE_BYTES) {
+                best = { buffer, quality, scale, fits: true };
+                low = quality + 1;
+            } else {
+                if (!smallest || buffer.length < smallest.buffer.length) {
+                    smallest = { buffer, quality, scale, fits: false };
+                }
+                high = quality - 1;
+            }
+        }
+
+        if (best) return best;
+    }
+
+    return smallest;
+}
+
+/**
+ * Writes a file through the staging directory
+ * The file is written to staging first and then renamed into place, so the target
+ * is replaced in one step and never left half-written. On failure the target is untouched.
+ * @async
+ * @function writeAtomically
+ * @param {string} targetPath - The file to write
+ * @param {Function} write - Async function writing the content to the staged path it is given
+ * @returns {Promise<void>}
+ */
+async function writeAtomically(targetPath, write) {
+    fs.mkdirSync(STAGING_DIR, { recursive: true });
+    const stagedPath = path.join(STAGING_DIR, `${process.pid}-${threadId}-${++stagedFileCount}-${path.basename(targetPath)}`);
+
+    try {
+        await write(stagedPath);
+        fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+        fs.renameSync(stagedPath, targetPath);
+    } catch (error) {
+        fs.rmSync(stagedPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Copies a file through the staging directory
+ * @function copyAtomically
+ * @param {string} sourcePath - The file to copy
+ * @param {string} targetPath - The file to write
+ * @returns {Promise<void>}
+ */
+function copyAtomically(sourcePath, targetPath) {
+    return writeAtomically(targetPath, async stagedPath => fs.copyFileSync(sourcePath, stagedPath));
+}
+
+/**
+ * Removes files left in the staging directory by an interrupted run
+ * @function clearStaging
+ * @returns {void}
+ */
+function clearStaging() {
+    if (!DRY_RUN) {
+        fs.rmSync(STAGING_DIR, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Gets the name an original is kept under when another image with the same name replaces it
+ * @function getArchivedOriginalPath
+ * @param {string} originalPath - The path of the original
+ * @param {string} hash - The content hash of the original
+ * @returns {string} - e.g. original/beach.3f2a9c1d.jpg
+ */
+function getArchivedOriginalPath(originalPath, hash) {
+    const ext = path.extname(originalPath);
+    return path.join(path.dirname(originalPath), `${path.basename(originalPath, ext)}.${hash.slice(0, 8)}${ext}`);
+}
+
+/**
+ * Saves a copy of an image in the original/ directory before it is replaced
+ * If a different file with the same name is already there (detected by content hash),
+ * it is an original of an earlier image with that name: it is kept under a name with
+ * its hash added, and the image is saved in its place.
+ * @async
+ * @function saveOriginal
+ * @param {string} imagePath - The image about to be replaced
+ * @param {string} originalPath - Where its original belongs
+ * @returns {Promise<void>}
+ */
+async function saveOriginal(imagePath, originalPath) {
+    const displayPath = path.relative(process.cwd(), originalPath);
+
+    if (fs.existsSync(originalPath)) {
+        const existingHash = hashFile(originalPath);
+
+        if (existingHash === hashFile(imagePath)) {
+            console.log(`  Original already exists: ${displayPath}`);
+            return;
+        }
+
+        const archivedPath = getArchivedOriginalPath(originalPath, existingHash);
+        console.warn(`  Original ${displayPath} belongs to a different image with the same name; keeping it as ${path.relative(process.cwd(), archivedPath)}`);
+        if (!DRY_RUN) {
+            await copyAtomically(originalPath, archivedPath);
+        }
+    }
+
+    if (!DRY_RUN) {
+        await copyAtomically(imagePath, originalPath);
+    }
+    console.log(`  ${DRY_RUN ? 'Would save' : 'Saved'} original to: ${displayPath}`);
+}
+
+/**
+ * Compresses an image if it's larger than the maximum size, and rotates it upright
+ * according to its EXIF orientation
+ * In dry-run mode the decision is reported without writing anything.
  * @async
  * @function compressImage
  * @param {string} imagePath - The path to the image file
+ * @param {string} [sourcePath=imagePath] - The file to read from; the saved original when
+ *     reprocessing an image with changed settings
  * @returns {Promise<Object>} - Result of the compression
  */
-async function compressImage(imagePath) {
+async function compressImage(imagePath, sourcePath = imagePath) {
     const filename = path.basename(imagePath);
-    const originalSize = getFileSizeMB(imagePath);
+    const relativePath = path.relative(IMAGE_DIR, imagePath);
+    const displayName = toManifestPath(relativePath);
+    const fromOriginal = sourcePath !== imagePath;
+    const originalSize = getFileSizeMB(sourcePath);
 
-    console.log(`\nProcessing: ${filename} (${originalSize.toFixed(2)} MB)`);
+    console.log(`\nProcessing: ${displayName} (${originalSize.toFixed(2)} MB)${fromOriginal ? ' from saved original' : ''}`);
 
-    // Skip if already compressed
-    if (originalSize <= MAX_SIZE_MB) {
-        console.log(`  Skipping: Image is already under ${MAX_SIZE_MB} MB`);
-        return { success: false, skipped: true, path: imagePath };
+    let metadata;
+    try {
+        metadata = await openImage(sourcePath).metadata();
+    } catch (error) {
+        console.error(`  Error reading ${displayName}:`, error.message);
+        return { success: false, error: error.message, path: imagePath };
     }
 
-    // Move original to /original directory
-    const originalPath = path.join(ORIGINAL_DIR, filename);
+    const compress = originalSize > MAX_SIZE_MB;
+    const rotate = needsRotation(metadata);
 
-    // Check if original already exists
-    if (!fs.existsSync(originalPath)) {
-        fs.copyFileSync(imagePath, originalPath);
-        console.log(`  Saved original to: ${path.relative(process.cwd(), originalPath)}`);
-    } else {
-        console.log(`  Original already exists: ${path.relative(process.cwd(), originalPath)}`);
+    // Skip if already compressed and upright
+    if (!compress && !rotate) {
+        // With the new settings the original needs no processing, so it is used as-is
+        if (fromOriginal) {
+            if (!DRY_RUN) {
+                await copyAtomically(sourcePath, imagePath);
+            }
+            console.log(`  ${DRY_RUN ? 'Would restore' : 'Restored'} original: Image is under ${MAX_SIZE_MB} MB`);
+        } else {
+            console.log(`  Skipping: Image is already under ${MAX_SIZE_MB} MB`);
+        }
+        return { success: false, skipped: true, path: imagePath };
     }
 
+    const originalPath = path.join(ORIGINAL_DIR, relativePath);
+
     try {
-        // Process the image with sharp
-        const image = sharp(imagePath);
-        const metadata = await image.metadata();
+        // Determine the best output format; images that only need rotating keep theirs
+        const { format, options } = compress ? getOutputFormat(filename, metadata) : getRotationFormat(metadata);
 
-        // Determine the best output format
-        const { format, options } = getOutputFormat(filename, metadata);
+        // In target-size mode, search the highest quality that fits the size limit
+        const fitted = TARGET_SIZE && compress ? await fitToTargetSize(sourcePath, metadata, format, options) : null;
+        const quality = fitted ? fitted.quality : options.quality;
+        const scale = fitted ? fitted.scale : 1;
 
         // Log the original dimensions that we're preserving
-        console.log(`  Maintaining original dimensions: ${metadata.width}x${metadata.height}`);
-        console.log(`  Using format: ${format} with quality: ${options.quality}%`);
+        if (scale < 1) {
+            console.log(`  Downscaling to ${Math.round(scale * 100)}% of ${metadata.width}x${metadata.height} to fit ${MAX_SIZE_MB} MB`);
+        } else {
+            console.log(`  Maintaining original dimensions: ${metadata.width}x${metadata.height}`);
+        }
+        if (rotate) {
+            console.log(`  Rotating to match EXIF orientation ${metadata.orientation}`);
+        }
+        console.log(`  Using format: ${format} with quality: ${quality}%`);
+        if (fitted && !fitted.fits) {
+            console.warn(`  Warning: ${displayName} is still over ${MAX_SIZE_MB} MB at the lowest quality${ALLOW_DOWNSCALE ? ' and size' : ''}`);
+        }
 
-        // Compress and save
-        await image
-            .toFormat(format, options)
-            .toFile(imagePath + '.temp');
+        if (DRY_RUN) {
+            if (!fromOriginal) {
+                await saveOriginal(imagePath, originalPath);
+            }
+            console.log(`  Would ${compress ? 'compress' : 'rotate'}: ${displayName} using ${format} format`);
+            return {
+                success: true,
+                dryRun: true,
+                path: imagePath,
+                originalSize,
+                newSize: fitted ? fitted.buffer.length / (1024 * 1024) : undefined,
+                format,
+                quality,
+                scale,
+                fits: fitted ? fitted.fits : undefined,
+                compressed: compress,
+                rotated: rotate
+            };
+        }
 
-        // Replace the original with the compressed version
-        fs.unlinkSync(imagePath);
-        fs.renameSync(imagePath + '.temp', imagePath);
+        // Compress and save. The image is only replaced once its original is
+        // safe in the original/ directory.
+        await writeAtomically(imagePath, async stagedPath => {
+            if (fitted) {
+                fs.writeFileSync(stagedPath, fitted.buffer);
+            } else {
+                await createOutputPipeline(sourcePath, format, options).toFile(stagedPath);
+            }
+
+            if (fromOriginal) {
+                console.log(`  Using saved original: ${path.relative(process.cwd(), originalPath)}`);
+            } else {
+                await saveOriginal(imagePath, originalPath);
+            }
+        });
 
         // Get new size
         const newSize = getFileSizeMB(imagePath);
         const reduction = ((originalSize - newSize) / originalSize * 100).toFixed(1);
 
-        console.log(`  Compressed: ${filename} using ${format} format`);
+        console.log(`  ${compress ? 'Compressed' : 'Rotated'}: ${displayName} using ${format} format`);
         console.log(`  Original: ${originalSize.toFixed(2)} MB, New: ${newSize.toFixed(2)} MB (${reduction}% reduction)`);
 
         return {
@@ -239,18 +632,78 @@ async function compressImage(imagePath) {
             originalSize,
             newSize,
             reduction,
-            format
+            format,
+            quality,
+            scale,
+            fits: fitted ? fitted.fits : undefined,
+            compressed: compress,
+            rotated: rotate
         };
     } catch (error) {
-        console.error(`  Error compressing ${filename}:`, error.message);
+        // The image is only replaced after a successful write, so it is still intact
+        console.error(`  Error compressing ${displayName}:`, error.message);
+        return { success: false, error: error.message, path: imagePath };
+    }
+}
 
-        // If compression fails, restore from original
-        if (fs.existsSync(originalPath)) {
-            console.log(`  Restoring original file...`);
-            fs.copyFileSync(originalPath, imagePath);
+/**
+ * Generates the resized derivatives of an image
+ * Only widths smaller than the image are generated; larger screens use the image
+ * itself. Derivatives that are newer than the image are kept as they are, unless
+ * regeneration is forced (e.g. after the derivative settings changed).
+ * @async
+ * @function generateDerivatives
+ * @param {string} imagePath - The path to the image file
+ * @param {boolean} [force=false] - Whether to regenerate derivatives that are up to date
+ * @returns {Promise<Object>} - Number of derivatives created and the paths of all
+ *     derivatives of the image, or the error
+ */
+async function generateDerivatives(imagePath, force = false) {
+    const relativePath = toManifestPath(path.relative(IMAGE_DIR, imagePath));
+    const paths = [];
+
+    try {
+        const metadata = await openImage(imagePath).metadata();
+
+        // Animations would lose all but their first frame
+        if (metadata.pages && metadata.pages > 1) {
+            return { success: true, created: 0, paths };
         }
 
-        return { success: false, error: error.message, path: imagePath };
+        const sourceWidth = metadata.orientation >= 5 ? metadata.height : metadata.width;
+        const sourceModified = fs.statSync(imagePath).mtimeMs;
+        let created = 0;
+
+        for (const width of DERIVATIVE_WIDTHS) {
+            if (width >= sourceWidth) continue;
+
+            for (const format of DERIVATIVE_FORMATS) {
+                const derivativeRelativePath = getDerivativePath(relativePath, width, format);
+                const derivativePath = path.join(IMAGE_DIR, ...derivativeRelativePath.split('/'));
+                paths.push(derivativeRelativePath);
+
+                // Up to date with the image
+                if (!force && fs.existsSync(derivativePath) && fs.statSync(derivativePath).mtimeMs >= sourceModified) continue;
+
+                if (!DRY_RUN) {
+                    await writeAtomically(derivativePath, stagedPath => openImage(imagePath)
+                        .rotate()
+                        .resize({ width })
+                        .toFormat(format, DERIVATIVE_OPTIONS[format])
+                        .toFile(stagedPath));
+                }
+                created++;
+            }
+        }
+
+        if (created > 0) {
+            console.log(`  ${DRY_RUN ? 'Would create' : 'Created'} ${created} derivatives of ${relativePath}`);
+        }
+
+        return { success: true, created, paths };
+    } catch (error) {
+        console.error(`  Error creating derivatives of ${relativePath}:`, error.message);
+        return { success: false, error: error.message };
     }
 }
 
@@ -258,7 +711,7 @@ async function compressImage(imagePath) {
  * Creates a queue for processing images in parallel
  * @function createQueue
  * @param {number} concurrency - Maximum number of concurrent operations
- * @returns {Object} - Queue object with add and drain methods
+ * @returns {Object} - Queue object with add and cancel methods, and onProgress and onDrain callbacks
  */
 function createQueue(concurrency) {
     const tasks = [];
@@ -271,16 +724,13 @@ function createQueue(concurrency) {
         task().then(result => {
             running--;
             completed++;
-
-            // Log progress
-            const percent = Math.round((completed / total) * 100);
-            process.stdout.write(`\rProgress: ${completed}/${total} (${percent}%) - ${running} active tasks`);
-
+            queue.onProgress(completed, total);
             return result;
         }).catch(err => {
             running--;
             completed++;
-            console.error('\nTask error:', err.message);
+            queue.onProgress(completed, total);
+            console.error('Task error:', err.message);
         }).finally(() => {
             if (tasks.length > 0) {
                 const nextTask = tasks.shift();
@@ -300,6 +750,14 @@ function createQueue(concurrency) {
                 tasks.push(task);
             }
         },
+        // Drops the tasks that haven't started; running tasks finish normally
+        cancel() {
+            tasks.length = 0;
+            if (running === 0) {
+                queue.onDrain();
+            }
+        },
+        onProgress: () => {},
         onDrain: () => {}
     };
 
@@ -311,68 +769,163 @@ function createQueue(concurrency) {
  * Uses parallel processing for better performance
  * @async
  * @function processImages
- * @returns {Promise<void>}
+ * @returns {Promise<?Object>} - The results, with a record per file for the report;
+ *     null if the run failed as a whole
  */
 async function processImages() {
-    ensureDirectoriesExist();
+    if (DRY_RUN) {
+        console.log('Dry run: reporting what would be done, no files will be changed.');
+    } else {
+        ensureDirectoriesExist();
+        clearStaging();
+    }
 
     try {
-        // Get all files in the images directory
-        const files = fs.readdirSync(IMAGE_DIR);
+        // Get all images in the images directory and its albums (except original/)
+        const relativePaths = findImages(IMAGE_DIR, SUPPORTED_FORMATS);
+        const imagePaths = relativePaths.map(imagePath => path.join(IMAGE_DIR, ...imagePath.split('/')));
 
-        // Filter out directories and non-image files
-        const imagePaths = files
-            .filter(file => {
-                const filePath = path.join(IMAGE_DIR, file);
-                return fs.statSync(filePath).isFile() && isImage(file);
-            })
-            .map(file => path.join(IMAGE_DIR, file));
+        // Forget images that were deleted since the last run
+        const cache = loadCache();
+        const pruned = pruneCache(cache, relativePaths);
+        if (pruned > 0) {
+            console.log(`${DRY_RUN ? 'Would prune' : 'Pruned'} ${pruned} cache entries of deleted images.`);
+        }
+
+        // Results tracking
+        const results = {
+            compressed: [],
+            rotated: [],
+            derivatives: 0,
+            cached: [],
+            skipped: [],
+            errors: [],
+            files: [],
+            cancelled: false
+        };
 
         if (imagePaths.length === 0) {
+            saveCache(cache);
             console.log('No images found in the directory.');
-            return;
+            return results;
         }
 
         console.log(`Found ${imagePaths.length} images. Processing with ${PARALLEL_LIMIT} parallel workers...`);
 
+        // Per-file logs of the workers are printed above the progress bar
+        const progress = createProgressBar(imagePaths.length);
+        const pool = createWorkerPool(new URL(import.meta.url), {
+            size: PARALLEL_LIMIT,
+            workerData: { argv: process.argv.slice(2) },
+            memoryLimitMB: WORKER_MEMORY_MB,
+            onLog: progress.log
+        });
+
+        // Runs a job on the pool; a crashed worker or cancellation becomes a failed result
+        const runJob = job => pool.run(job).catch(error => ({
+            success: false,
+            cancelled: error instanceof PoolTerminatedError,
+            error: error.message,
+            path: job.imagePath
+        }));
+
         // Create a processing queue with the specified concurrency
         const queue = createQueue(PARALLEL_LIMIT);
-
-        // Results tracking
-        const results = {
-            compressed: [],
-            skipped: [],
-            errors: []
-        };
+        queue.onProgress = () => progress.tick();
 
         // Create a promise that resolves when all tasks are complete
         const processingComplete = new Promise(resolve => {
             queue.onDrain = resolve;
         });
 
+        // The first Ctrl-C lets running images finish, the second stops them at once.
+        // Images are written atomically, so either way none is left half-written.
+        const onSecondInterrupt = () => {
+            progress.setStatus('stopping');
+            pool.terminate();
+        };
+        const onInterrupt = () => {
+            results.cancelled = true;
+            progress.setStatus('cancelling, press Ctrl-C again to stop at once');
+            queue.cancel();
+            process.once('SIGINT', onSecondInterrupt);
+        };
+        process.once('SIGINT', onInterrupt);
+
         // Add all images to the queue
         for (const imagePath of imagePaths) {
             queue.add(async () => {
-                const filename = path.basename(imagePath);
-                const sizeInMB = getFileSizeMB(imagePath);
+                const filename = toManifestPath(path.relative(IMAGE_DIR, imagePath));
+                const stats = fs.statSync(imagePath);
+                const sizeInMB = stats.size / (1024 * 1024);
+                const entry = cache.entries[filename];
+                const started = Date.now();
 
-                if (sizeInMB <= MAX_SIZE_MB) {
-                    results.skipped.push({
-                        name: filename,
-                        size: sizeInMB.toFixed(2)
+                // Records the outcome of the image for the report
+                const addFileResult = (status, details = {}) => {
+                    results.files.push({
+                        path: filename,
+                        status,
+                        originalSize: stats.size,
+                        newSize: stats.size,
+                        format: null,
+                        quality: null,
+                        scale: null,
+                        durationMs: Date.now() - started,
+                        error: null,
+                        ...details
                     });
+                };
+
+                // Unchanged since the last run with the same settings
+                if (!FORCE && isCacheHit(entry, stats)) {
+                    results.cached.push(filename);
+                    addFileResult('unchanged');
                     return;
                 }
 
-                const result = await compressImage(imagePath);
-                if (result.success) {
-                    results.compressed.push({
-                        name: filename,
-                        originalSize: result.originalSize.toFixed(2),
-                        newSize: result.newSize.toFixed(2),
-                        reduction: result.reduction,
-                        format: result.format
+                const currentHash = hashFile(imagePath);
+                // Whether the image is still the file written last time (e.g. only touched)
+                const sameOutput = Boolean(entry) && entry.outputHash === currentHash;
+                const sourceHash = sameOutput ? entry.sourceHash : currentHash;
+
+                let result = { success: false, skipped: true, path: imagePath };
+
+                if (FORCE || !sameOutput || entry.settings !== COMPRESSION_SETTINGS) {
+                    // Reprocess a compressed image from its saved original rather than
+                    // compressing it a second time
+                    const originalPath = path.join(ORIGINAL_DIR, path.relative(IMAGE_DIR, imagePath));
+                    const fromOriginal = sameOutput && sourceHash !== currentHash &&
+                        fs.existsSync(originalPath) && hashFile(originalPath) === sourceHash;
+
+                    // Images under the size limit are still opened to check their orientation
+                    result = await runJob({
+                        type: 'compress',
+                        imagePath,
+                        sourcePath: fromOriginal ? originalPath : imagePath
                     });
+                }
+
+                // Stopped by a second Ctrl-C; the image is untouched and tried again next time
+                if (result.cancelled) return;
+
+                if (result.success) {
+                    if (result.rotated) {
+                        results.rotated.push(filename);
+                    }
+                    if (result.compressed) {
+                        results.compressed.push({
+                            name: filename,
+                            originalSize: result.originalSize.toFixed(2),
+                            newSize: result.newSize === undefined ? null : result.newSize.toFixed(2),
+                            reduction: result.reduction,
+                            format: result.format,
+                            quality: result.quality,
+                            scale: result.scale,
+                            fits: result.fits,
+                            dryRun: Boolean(result.dryRun)
+                        });
+                    }
                 } else if (result.skipped) {
                     results.skipped.push({
                         name: filename,
@@ -383,24 +936,121 @@ async function processImages() {
                         name: filename,
                         error: result.error
                     });
+                    addFileResult('error', { newSize: null, error: result.error });
+                    // Not cached, so the image is tried again next time
+                    delete cache.entries[filename];
+                    return;
+                }
+
+                // Derivatives are made from the compressed, upright image
+                let derivatives = entry ? entry.derivatives : [];
+                let derivativeSettings = SKIP_DERIVATIVES ? (entry && entry.derivativeSettings) || null : DERIVATIVE_SETTINGS;
+                if (!SKIP_DERIVATIVES) {
+                    const settingsChanged = Boolean(entry && entry.derivativeSettings) &&
+                        entry.derivativeSettings !== DERIVATIVE_SETTINGS;
+                    const derivativeResult = await runJob({
+                        type: 'derivatives',
+                        imagePath,
+                        force: FORCE || settingsChanged
+                    });
+                    if (derivativeResult.cancelled) {
+                        // The image itself is recorded; its derivatives are made next time
+                        derivativeSettings = null;
+                    } else if (derivativeResult.success) {
+                        results.derivatives += derivativeResult.created;
+
+                        // Remove sizes and formats that are no longer configured
+                        derivatives.filter(derivativePath => !derivativeResult.paths.includes(derivativePath)).forEach(derivativePath => {
+                            const fullPath = path.join(IMAGE_DIR, ...derivativePath.split('/'));
+                            if (!DRY_RUN && fs.existsSync(fullPath)) {
+                                fs.unlinkSync(fullPath);
+                            }
+                        });
+                        derivatives = derivativeResult.paths;
+                    } else {
+                        const error = `Derivatives: ${derivativeResult.error}`;
+                        results.errors.push({
+                            name: filename,
+                            error
+                        });
+                        addFileResult('error', { newSize: fs.statSync(imagePath).size, error });
+                        delete cache.entries[filename];
+                        return;
+                    }
+                }
+
+                // Record what the image looks like now, hashing it again only if it was rewritten
+                const outputStats = fs.statSync(imagePath);
+                const rewritten = outputStats.size !== stats.size || outputStats.mtimeMs !== stats.mtimeMs;
+
+                cache.entries[filename] = {
+                    sourceHash,
+                    outputHash: rewritten ? hashFile(imagePath) : currentHash,
+                    outputSize: outputStats.size,
+                    outputModified: outputStats.mtimeMs,
+                    settings: COMPRESSION_SETTINGS,
+                    format: result.format || (sameOutput ? entry.format : null) || null,
+                    derivativeSettings,
+                    derivatives
+                };
+
+                if (result.success) {
+                    // A dry run only knows the new size when target-size mode encoded the image
+                    const newSize = DRY_RUN ? (result.newSize === undefined ? null : toBytes(result.newSize)) : outputStats.size;
+                    addFileResult(result.compressed ? 'compressed' : 'rotated', {
+                        originalSize: toBytes(result.originalSize),
+                        newSize,
+                        format: result.format,
+                        quality: result.quality,
+                        scale: result.scale
+                    });
+                } else {
+                    addFileResult('skipped', { newSize: outputStats.size });
                 }
             });
         }
 
         // Wait for all tasks to complete
         await processingComplete;
+        process.removeListener('SIGINT', onInterrupt);
+        process.removeListener('SIGINT', onSecondInterrupt);
+        progress.stop();
+        await pool.terminate();
+        // Remove files staged by jobs that were stopped
+        clearStaging();
+        saveCache(cache);
 
         // Print summary
-        console.log('\n\n=== Compression Summary ===');
+        console.log(`\n\n=== Compression Summary${DRY_RUN ? ' (dry run, no files changed)' : ''} ===`);
         console.log(`Total images processed: ${imagePaths.length}`);
-        console.log(`Images compressed: ${results.compressed.length}`);
+        console.log(`Images ${DRY_RUN ? 'to compress' : 'compressed'}: ${results.compressed.length}`);
+        console.log(`Images ${DRY_RUN ? 'to rotate' : 'rotated'} upright: ${results.rotated.length}`);
+        console.log(`Derivatives ${DRY_RUN ? 'to create' : 'created'}: ${SKIP_DERIVATIVES ? 'skipped' : results.derivatives}`);
+        console.log(`Images unchanged since the last run: ${results.cached.length}`);
         console.log(`Images skipped (under ${MAX_SIZE_MB} MB): ${results.skipped.length}`);
         console.log(`Errors: ${results.errors.length}`);
+        if (results.cancelled) {
+            console.log(`Cancelled: ${imagePaths.length - results.files.length} images left for the next run`);
+        }
 
         if (results.compressed.length > 0) {
             console.log('\nCompressed images:');
             results.compressed.forEach(img => {
-                console.log(`  - ${img.name}: ${img.originalSize} MB → ${img.newSize} MB (${img.reduction}% reduction) using ${img.format}`);
+                // Target-size mode picks the quality per image, so report it
+                let encoding = img.format;
+                if (TARGET_SIZE) {
+                    encoding += ` at quality ${img.quality}`;
+                    if (img.scale < 1) encoding += `, scaled to ${Math.round(img.scale * 100)}%`;
+                    if (img.fits === false) encoding += ' (over budget)';
+                }
+
+                if (img.newSize === null) {
+                    console.log(`  - ${img.name}: ${img.originalSize} MB, would use ${encoding}`);
+                } else if (img.dryRun) {
+                    console.log(`  - ${img.name}: ${img.originalSize} MB → ${img.newSize} MB, would use ${encoding}`);
+                } else {
+                    console.log(`  - ${img.name}: ${img.originalSize} MB → ${img.newSize} MB (${img.reduction}% reduction) using ${encoding}`);
+                }
             });
         }
 
@@ -411,36 +1061,237 @@ async function processImages() {
             });
         }
 
-        console.log('\nCompression complete!');
+        if (DRY_RUN) {
+            console.log('\nDry run complete, no files were changed.');
+            return results;
+        }
+
+        console.log(results.cancelled ? '\nCompression cancelled, run again to process the remaining images.' : '\nCompression complete!');
         console.log('Original images have been preserved in the /images/original/ directory.');
         console.log('Compressed images are available in the /images/ directory.');
+        return results;
     } catch (error) {
         console.error('Error processing images:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Converts a size in megabytes back to bytes
+ * @function toBytes
+ * @param {number} sizeMB - The size in megabytes
+ * @returns {number} - The size in bytes
+ */
+function toBytes(sizeMB) {
+    return Math.round(sizeMB * 1024 * 1024);
+}
+
+/**
+ * Formats a value as a CSV field, quoting it when needed
+ * @function toCsvValue
+ * @param {*} value - The value; null and undefined become an empty field
+ * @returns {string} - The CSV field
+ */
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes the machine-readable report of a compression run
+ * Sizes are in bytes. The JSON report also holds the settings and totals of the
+ * run; the CSV report has one row per file.
+ * @function writeReport
+ * @param {Object} results - The results collected by processImages
+ * @returns {void}
+ */
+function writeReport(results) {
+    const files = [...results.files].sort((a, b) => a.path.localeCompare(b.path));
+    let content;
+
+    if (REPORT_FORMAT === 'csv') {
+        const rows = files.map(file => REPORT_COLUMNS.map(column => toCsvValue(file[column])).join(','));
+        content = [REPORT_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    } else {
+        content = JSON.stringify({
+            generatedAt: new Date().toISOString(),
+            dryRun: DRY_RUN,
+            settings: JSON.parse(COMPRESSION_SETTINGS),
+            summary: {
+                total: files.length,
+                compressed: results.compressed.length,
+                rotated: results.rotated.length,
+                derivatives: SKIP_DERIVATIVES ? null : results.derivatives,
+                unchanged: results.cached.length,
+                skipped: results.skipped.length,
+                errors: results.errors.length
+            },
+            files
+        }, null, 2) + '\n';
     }
+
+    fs.mkdirSync(path.dirname(REPORT_FILE), { recursive: true });
+    fs.writeFileSync(REPORT_FILE, content);
+    console.log(`\nReport written to ${path.relative(process.cwd(), REPORT_FILE)}`);
 }
 
 /**
- * Runs the generate-api-images.js script to update the api-images.json file
+ * Updates the manifest of the library with the compressed images
  * @function updateApiImagesJson
  * @async
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} - False if the manifest could not be written
  */
 async function updateApiImagesJson() {
     try {
-        console.log('\nUpdating api-images.json file...');
-        // Import and run the generate-api-images.js script
-        const generateApiImagesModule = await import('./generate-api-images.js');
-        // The module should automatically run when imported
-        console.log('api-images.json updated successfully.');
+        console.log(`\nUpdating ${path.basename(library.manifestFile)}...`);
+        const manifest = await writeManifest(IMAGE_DIR, library.manifestFile, SUPPORTED_FORMATS,
+            config.images.nearDuplicateThreshold);
+        console.log(`Updated ${path.relative(process.cwd(), library.manifestFile)} with ${manifest.images.length} images in ${manifest.albums.length} albums`);
+        return true;
     } catch (error) {
         console.error('Error updating api-images.json:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Restores images from their saved originals
+ * Each image is replaced in one step through the staging directory and its cache
+ * entry is removed. Note that the next compress run compresses restored images
+ * again if they are still over the size limit.
+ * @async
+ * @function restoreImages
+ * @param {string[]} imagePaths - Image paths relative to the images directory; ignored with all
+ * @param {boolean} all - Whether to restore every image that has a saved original
+ * @returns {Promise<number>} - The number of images that could not be restored
+ */
+async function restoreImages(imagePaths, all) {
+    clearStaging();
+
+    if (DRY_RUN) {
+        console.log('Dry run: reporting what would be done, no files will be changed.');
+    }
+
+    // Originals kept under a hashed name belong to replaced images and are not restored
+    const targets = all
+        ? findImages(ORIGINAL_DIR, SUPPORTED_FORMATS).filter(imagePath =>
+            fs.existsSync(path.join(IMAGE_DIR, ...imagePath.split('/'))))
+        : imagePaths.map(imagePath => toManifestPath(path.normalize(imagePath)));
+
+    if (targets.length === 0) {
+        console.log(all ? 'No saved originals found.' : 'Usage: yarn compress restore <image>... | --all');
+        return 0;
+    }
+
+    const cache = loadCache();
+    let failed = 0;
+    let restored = 0;
+
+    for (const imagePath of targets) {
+        const originalPath = path.join(ORIGINAL_DIR, ...imagePath.split('/'));
+        const targetPath = path.join(IMAGE_DIR, ...imagePath.split('/'));
+
+        if (imagePath.startsWith('..') || !fs.existsSync(originalPath)) {
+            console.error(`  - ${imagePath}: no saved original`);
+            failed++;
+            continue;
+        }
+
+        if (fs.existsSync(targetPath) && hashFile(targetPath) === hashFile(originalPath)) {
+            console.log(`  - ${imagePath}: already the original`);
+            continue;
+        }
+
+        try {
+            if (!DRY_RUN) {
+                await copyAtomically(originalPath, targetPath);
+                delete cache.entries[imagePath];
+            }
+            console.log(`  - ${imagePath}: ${DRY_RUN ? 'would be restored' : 'restored'}`);
+            restored++;
+        } catch (error) {
+            console.error(`  - ${imagePath}: ${error.message}`);
+            failed++;
+        }
     }
+
+    saveCache(cache);
+    console.log(`\n${restored} images ${DRY_RUN ? 'would be restored' : 'restored'}, ${failed} failed.`);
+    return failed;
 }
 
 // Run the scripts
 async function main() {
-    await processImages();
-    await updateApiImagesJson();
+    if (args._[0] === 'restore') {
+        const failed = await restoreImages(args._.slice(1), Boolean(args.all));
+        const manifestUpdated = DRY_RUN || await updateApiImagesJson();
+        process.exitCode = failed > 0 || !manifestUpdated ? EXIT_IMAGE_ERRORS : EXIT_OK;
+        return;
+    }
+
+    if (REPORT_FORMAT && !REPORT_FORMATS.includes(REPORT_FORMAT)) {
+        console.error(`Unknown report format "${REPORT_FORMAT}", use one of: ${REPORT_FORMATS.join(', ')}`);
+        process.exitCode = EXIT_FATAL;
+        return;
+    }
+
+    // Target-size mode searches qualities between these bounds, so they must be usable
+    if (TARGET_SIZE && !(Number.isFinite(MAX_SIZE_MB) && MAX_SIZE_MB > 0)) {
+        console.error(`Invalid --target-size "${args['target-size']}", use a size in MB greater than 0`);
+        process.exitCode = EXIT_FATAL;
+        return;
+    }
+    if (args['min-quality'] !== undefined && !(Number.isInteger(MIN_QUALITY) && MIN_QUALITY >= 1 && MIN_QUALITY <= 100)) {
+        console.error(`Invalid --min-quality "${args['min-quality']}", use a quality from 1 to 100`);
+        process.exitCode = EXIT_FATAL;
+        return;
+    }
+
+    const results = await processImages();
+    if (!results) {
+        process.exitCode = EXIT_FATAL;
+        return;
+    }
+
+    if (REPORT_FORMAT) {
+        writeReport(results);
+    }
+    // A manifest that wasn't rewritten still lists the old images, which the kiosk keeps serving
+    const manifestUpdated = DRY_RUN || await updateApiImagesJson();
+
+    // Lets build pipelines fail on compression problems without parsing the log
+    if (results.cancelled) {
+        process.exitCode = EXIT_CANCELLED;
+    } else {
+        process.exitCode = results.errors.length > 0 || !manifestUpdated ? EXIT_IMAGE_ERRORS : EXIT_OK;
+    }
 }
 
-main().catch(console.error);
+/**
+ * Handles a job from the worker pool
+ * @async
+ * @function handleJob
+ * @param {Object} job - The job: compress an image or generate its derivatives
+ * @returns {Promise<Object>} - The result of compressImage or generateDerivatives
+ */
+async function handleJob(job) {
+    if (job.type === 'compress') {
+        return compressImage(job.imagePath, job.sourcePath);
+    }
+    return generateDerivatives(job.imagePath, job.force);
+}
+
+// This file is also the worker script of the compression pool
+if (isMainThread) {
+    main().catch(error => {
+        console.error(error);
+        process.exitCode = EXIT_FATAL;
+    });
+} else {
+    // Workers run side by side, so each one decodes with a single libvips thread
+    // and keeps its cache small; nothing is cached across files
+    sharp.concurrency(1);
+    sharp.cache({ memory: Math.max(16, Math.floor(WORKER_MEMORY_MB / 8)), files: 0, items: 20 });
+    serveJobs(handleJob);
+}
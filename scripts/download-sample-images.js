@@ -6,21 +6,21 @@
  *
  * @module download-sample-images
  * @author Chris Schweda
- * @version 2.0.0
+ * @version 2.1.0
+ *
+ * Usage: node scripts/download-sample-images.js [--images-dir=<path>] [--manifest=<file>]
  */
 
 import fs from 'fs';
 import path from 'path';
 import https from 'https';
-import { fileURLToPath } from 'url';
-
-// Get current directory in ESM
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { writeManifest } from './image-manifest.js';
+import { parseArgs, loadConfig, getSupportedFormats, resolveLibrary } from './script-options.js';
 
 // Define paths
-const IMAGES_DIR = path.join(__dirname, '../public/images');
-const API_JSON_FILE = path.join(__dirname, '../public/api-images.json');
+const args = parseArgs();
+const config = await loadConfig({ quiet: true });
+const { imagesDir: IMAGES_DIR, manifestFile: API_JSON_FILE } = resolveLibrary(args);
 
 // Sample images to download - 20 high-quality images from Unsplash with their filenames
 const SAMPLE_IMAGES = [
@@ -112,27 +112,14 @@ async function downloadImage(url, filename) {
 }
 
 /**
- * Updates the api-images.json file with all images in the public/images directory
+ * Updates the api-images.json file with all images in the public/images directory and its albums
+ * @async
  */
-function updateApiImagesJson() {
+async function updateApiImagesJson() {
     try {
-        // Get all files in the images directory
-        const files = fs.readdirSync(IMAGES_DIR);
-
-        // Filter for image files only
-        const imageFiles = files.filter(file => {
-            const filePath = path.join(IMAGES_DIR, file);
-            const isFile = fs.statSync(filePath).isFile();
-            const isImage = /\.(jpg|jpeg|png|gif|webp)$/i.test(file);
-            return isFile && isImage;
-        });
-
-        // Sort alphabetically
-        imageFiles.sort();
-
-        // Write to the API JSON file
-        fs.writeFileSync(API_JSON_FILE, JSON.stringify(imageFiles, null, 2));
-        console.log(`Updated ${API_JSON_FILE} with ${imageFiles.length} images`);
+        const manifest = await writeManifest(IMAGES_DIR, API_JSON_FILE, getSupportedFormats(config),
+            config.images.nearDuplicateThreshold);
+        console.log(`Updated ${API_JSON_FILE} with ${manifest.images.length} images`);
     } catch (error) {
         console.error(`Failed to update ${API_JSON_FILE}:`, error.message);
     }
@@ -163,7 +150,7 @@ async function main() {
 
         // Update the api-images.json file with all images in the directory
         console.log('\nUpdating api-images.json with all images in the directory...');
-        updateApiImagesJson();
+        await updateApiImagesJson();
 
         process.exit(0);
     } catch (error) {
@@ -0,0 +1,545 @@
+/**
+ * @fileoverview Image Manifest Builder
+ *
+ * Shared by the indexing scripts. Walks the images directory recursively and builds
+ * the api-images.json manifest, grouping images into albums by folder. The
+ * original/ folder (where compress-images.js keeps uncompressed copies), the
+ * derivatives/ folder (resized copies made by compress-images.js) and hidden
+ * folders are skipped.
+ *
+ * Manifest format:
+ * {
+ *   "version": 4,
+ *   "generatedAt": "2025-04-12T09:30:00.000Z",
+ *   "albums": [{ "path": "travel/2023", "name": "2023", "count": 12 }, ...],
+ *   "images": [{
+ *     "path": "travel/2023/beach.jpg", "name": "beach.jpg", "album": "travel/2023",
+ *     "width": 4032, "height": 3024, "orientation": "landscape", "size": 2483115,
+ *     "modified": "2023-08-02T17:04:11.000Z", "captured": "2023-08-02T14:21:09",
+ *     "color": "#6a8fb0", "hash": "9f86d08188...",
+ *     "camera": "Canon EOS R6", "lens": "RF24-105mm F4 L IS USM",
+ *     "exposure": { "time": 0.004, "aperture": 8, "iso": 100, "focalLength": 35 },
+ *     "location": { "latitude": 38.7139, "longitude": -9.1394 }, "place": "Lisbon, Portugal",
+ *     "ahash": "ffc3c3818181c3ff", "dhash": "0e1c38706070381c", "sharpness": 4.127, "cluster": 0,
+ *     "derivatives": [{ "width": 400, "height": 300, "format": "webp",
+ *                       "path": "derivatives/travel/2023/beach.jpg.400w.webp" }, ...]
+ *   }, ...],
+ *   "clusters": [{ "images": ["travel/2023/beach.jpg", "travel/2023/beach-2.jpg"],
+ *                  "best": "travel/2023/beach.jpg" }, ...]
+ * }
+ * Images directly in the images directory belong to the root album, whose path is ''.
+ * Width and height are as displayed, after applying the EXIF orientation. The capture
+ * date is the camera's local time from EXIF DateTimeOriginal, or null if unknown.
+ * Camera, lens, exposure and location come from EXIF and are null when missing; the
+ * place name is looked up offline from the GPS position (see place-lookup.js).
+ * Derivatives are the resized copies that are at least as new as the image, sorted
+ * by width; images without any have an empty list.
+ * The perceptual hashes and sharpness find near-duplicates (see perceptual-hash.js):
+ * clusters lists each group of near-duplicates with its best shot, and cluster is the
+ * index of an image's group in that list, or null if it has no near-duplicates.
+ *
+ * Metadata of files whose size and modification time are unchanged is reused from
+ * the previous manifest (if it has the current version), so only new or changed
+ * images are read with sharp.
+ *
+ * @module image-manifest
+ * @author Chris Schweda
+ * @version 1.7.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import exifReader from 'exif-reader';
+import { findPlaceName } from './place-lookup.js';
+import { computePerceptualHashes, findNearDuplicates, DEFAULT_NEAR_DUPLICATE_THRESHOLD } from './perceptual-hash.js';
+
+/**
+ * Version of the manifest format written by this module
+ * @type {number}
+ */
+export const MANIFEST_VERSION = 4;
+
+/**
+ * Name of the folder holding original, uncompressed images
+ * @type {string}
+ */
+export const ORIGINAL_DIR_NAME = 'original';
+
+/**
+ * Name of the folder holding resized derivatives of the images
+ * @type {string}
+ */
+export const DERIVATIVES_DIR_NAME = 'derivatives';
+
+/**
+ * Image extensions indexed when no list is passed in
+ * @type {string[]}
+ */
+export const DEFAULT_SUPPORTED_FORMATS = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+
+/**
+ * Tells whether a top-level folder name is one the library keeps for itself
+ * Compared without case, as the folders clash on case-insensitive file systems.
+ * @function isReservedFolderName
+ * @param {string} folderName - The folder name
+ * @returns {boolean} - True for original/ and derivatives/
+ */
+export function isReservedFolderName(folderName) {
+    const name = folderName.toLowerCase();
+    return name === ORIGINAL_DIR_NAME || name === DERIVATIVES_DIR_NAME;
+}
+
+/**
+ * Converts a path relative to the images directory to a forward-slash path
+ * @function toManifestPath
+ * @param {string} relativePath - A path relative to the images directory
+ * @returns {string} - The path with forward slashes
+ */
+export function toManifestPath(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * Finds all images below a directory
+ * @function findImages
+ * @param {string} rootDir - The images directory
+ * @param {string[]} [supportedFormats=DEFAULT_SUPPORTED_FORMATS] - Image extensions to include
+ * @param {Object} [options]
+ * @param {boolean} [options.skipReserved=true] - Skip the top-level original/ and derivatives/
+ *     folders; false for folders that are not a library, such as an import source
+ * @returns {string[]} - Image paths relative to rootDir, with forward slashes, sorted by album then name
+ */
+export function findImages(rootDir, supportedFormats = DEFAULT_SUPPORTED_FORMATS, { skipReserved = true } = {}) {
+    const images = [];
+
+    function walk(dir) {
+        const entries = fs.readdirSync(dir, { withFileTypes: true });
+
+        for (const entry of entries) {
+            // Skip hidden files and folders (.gitkeep, .DS_Store, ...)
+            if (entry.name.startsWith('.')) continue;
+
+            const fullPath = path.join(dir, entry.name);
+
+            if (entry.isDirectory()) {
+                // Skip the backup folder of original images and the derivatives at the top level
+                if (skipReserved && dir === rootDir && (entry.name === ORIGINAL_DIR_NAME || entry.name === DERIVATIVES_DIR_NAME)) continue;
+                walk(fullPath);
+            } else if (entry.isFile() && supportedFormats.includes(path.extname(entry.name).toLowerCase())) {
+                images.push(toManifestPath(path.relative(rootDir, fullPath)));
+            }
+        }
+    }
+
+    if (fs.existsSync(rootDir)) {
+        walk(rootDir);
+    }
+
+    return images.sort(compareImagePaths);
+}
+
+/**
+ * Gets the album (folder) of an image path
+ * @function getAlbumPath
+ * @param {string} imagePath - Image path relative to the images directory
+ * @returns {string} - The album path, '' for the root album
+ */
+export function getAlbumPath(imagePath) {
+    const index = imagePath.lastIndexOf('/');
+    return index === -1 ? '' : imagePath.slice(0, index);
+}
+
+/**
+ * Orders image paths by album, then by file name
+ * @function compareImagePaths
+ * @param {string} a - First image path
+ * @param {string} b - Second image path
+ * @returns {number} - Sort order
+ */
+function compareImagePaths(a, b) {
+    return getAlbumPath(a).localeCompare(getAlbumPath(b)) ||
+        path.posix.basename(a).localeCompare(path.posix.basename(b));
+}
+
+/**
+ * Gets the path of a derivative of an image
+ * @function getDerivativePath
+ * @param {string} imagePath - Image path relative to the images directory
+ * @param {number} width - Width of the derivative in pixels
+ * @param {string} format - Format of the derivative ('webp' or 'avif')
+ * @returns {string} - The derivative path relative to the images directory, e.g.
+ *     derivatives/travel/beach.jpg.1280w.webp
+ */
+export function getDerivativePath(imagePath, width, format) {
+    return `${DERIVATIVES_DIR_NAME}/${imagePath}.${width}w.${format}`;
+}
+
+/**
+ * Finds the up-to-date derivatives of an image
+ * Derivatives older than the image are left out, as they show a previous version.
+ * @function findDerivatives
+ * @param {string} rootDir - The images directory
+ * @param {string} imagePath - Image path relative to the images directory
+ * @param {fs.Stats} stats - File stats of the image
+ * @param {?number} width - Displayed width of the image
+ * @param {?number} height - Displayed height of the image
+ * @returns {Object[]} - Derivatives with width, height, format and path, sorted by width
+ */
+export function findDerivatives(rootDir, imagePath, stats, width, height) {
+    const name = path.posix.basename(imagePath);
+    const dir = path.join(rootDir, DERIVATIVES_DIR_NAME, ...getAlbumPath(imagePath).split('/'));
+    if (!fs.existsSync(dir)) return [];
+
+    const derivatives = [];
+
+    for (const file of fs.readdirSync(dir)) {
+        if (!file.startsWith(`${name}.`)) continue;
+
+        const match = /^(\d+)w\.(webp|avif)$/.exec(file.slice(name.length + 1));
+        if (!match) continue;
+
+        if (fs.statSync(path.join(dir, file)).mtimeMs < stats.mtimeMs) continue;
+
+        const derivativeWidth = parseInt(match[1], 10);
+        derivatives.push({
+            width: derivativeWidth,
+            height: width && height ? Math.round(derivativeWidth * height / width) : null,
+            format: match[2],
+            path: getDerivativePath(imagePath, derivativeWidth, match[2])
+        });
+    }
+
+    return derivatives.sort((a, b) => a.width - b.width || a.format.localeCompare(b.format));
+}
+
+/**
+ * Computes the SHA-256 content hash of a file
+ * @function hashFile
+ * @param {string} filePath - The path to the file
+ * @returns {string} - The hex encoded hash
+ */
+export function hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Parses the EXIF block from sharp metadata
+ * @function readExif
+ * @param {Object} metadata - Metadata returned by sharp
+ * @returns {?Object} - Parsed EXIF tags grouped by IFD, or null if absent or unreadable
+ */
+export function readExif(metadata) {
+    if (!metadata.exif) return null;
+
+    try {
+        return exifReader(metadata.exif);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Converts an EXIF date to an ISO date-time string without time zone
+ * exif-reader returns the camera's wall-clock time as a UTC date.
+ * @function formatExifDate
+ * @param {*} value - The EXIF date value
+ * @returns {?string} - The date as YYYY-MM-DDTHH:MM:SS, or null if invalid
+ */
+function formatExifDate(value) {
+    if (!(value instanceof Date) || isNaN(value.getTime())) return null;
+    return value.toISOString().slice(0, 19);
+}
+
+/**
+ * Gets the capture date from EXIF
+ * @function readCaptureDate
+ * @param {?Object} exif - Parsed EXIF from readExif
+ * @returns {?string} - The date the photo was taken (or digitized) as YYYY-MM-DDTHH:MM:SS,
+ *     or null if unknown
+ */
+export function readCaptureDate(exif) {
+    if (!exif || !exif.Photo) return null;
+    return formatExifDate(exif.Photo.DateTimeOriginal) || formatExifDate(exif.Photo.DateTimeDigitized);
+}
+
+/**
+ * Trims an EXIF text value
+ * @function cleanExifText
+ * @param {*} value - The EXIF value
+ * @returns {?string} - The trimmed text, or null if empty or not text
+ */
+function cleanExifText(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.replace(/\0/g, '').trim();
+    return text || null;
+}
+
+/**
+ * Gets a positive EXIF number
+ * @function cleanExifNumber
+ * @param {*} value - The EXIF value; arrays use their first entry
+ * @returns {?number} - The number, or null if missing or not positive
+ */
+function cleanExifNumber(value) {
+    const number = Array.isArray(value) ? value[0] : value;
+    return typeof number === 'number' && isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Converts an EXIF GPS coordinate to decimal degrees
+ * @function toDecimalDegrees
+ * @param {number[]} dms - Degrees, minutes and seconds
+ * @param {string} ref - 'N', 'S', 'E' or 'W'
+ * @returns {?number} - The coordinate, or null if invalid
+ */
+function toDecimalDegrees(dms, ref) {
+    if (!Array.isArray(dms) || dms.length !== 3 || dms.some(part => typeof part !== 'number' || !isFinite(part))) {
+        return null;
+    }
+    const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return Math.round((ref === 'S' || ref === 'W' ? -degrees : degrees) * 1e6) / 1e6;
+}
+
+/**
+ * Extracts the camera model, lens, exposure and location from parsed EXIF
+ * @function readPhotoDetails
+ * @param {?Object} exif - EXIF tags from readExif
+ * @returns {Object} - camera, lens, exposure and location, each null when unknown
+ */
+export function readPhotoDetails(exif) {
+    const image = (exif && exif.Image) || {};
+    const photo = (exif && exif.Photo) || {};
+    const gps = (exif && exif.GPSInfo) || {};
+
+    // Most cameras repeat the make in the model name ("Canon" / "Canon EOS R6")
+    const make = cleanExifText(image.Make);
+    const model = cleanExifText(image.Model);
+    let camera = model;
+    if (make && model && !model.toLowerCase().startsWith(make.split(' ')[0].toLowerCase())) {
+        camera = `${make} ${model}`;
+    } else if (!model) {
+        camera = make;
+    }
+
+    const exposure = {
+        time: cleanExifNumber(photo.ExposureTime),
+        aperture: cleanExifNumber(photo.FNumber),
+        iso: cleanExifNumber(photo.ISOSpeedRatings) || cleanExifNumber(photo.PhotographicSensitivity),
+        focalLength: cleanExifNumber(photo.FocalLength)
+    };
+
+    const latitude = toDecimalDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+    const longitude = toDecimalDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+    const hasLocation = latitude !== null && longitude !== null &&
+        Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 && !(latitude === 0 && longitude === 0);
+
+    return {
+        camera,
+        lens: cleanExifText(photo.LensModel),
+        exposure: Object.values(exposure).some(value => value !== null) ? exposure : null,
+        location: hasLocation ? { latitude, longitude } : null
+    };
+}
+
+/**
+ * Formats an RGB color as a hex string
+ * @function toHexColor
+ * @param {{r: number, g: number, b: number}} color - The color channels (0-255)
+ * @returns {string} - The color as #rrggbb
+ */
+function toHexColor({ r, g, b }) {
+    return '#' + [r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Reads the metadata of a single image
+ * @async
+ * @function readImageMetadata
+ * @param {string} filePath - The path to the image file
+ * @param {fs.Stats} stats - File stats of the image
+ * @returns {Promise<Object>} - Width, height, orientation, size, modified, captured, color, hash,
+ *     camera, lens, exposure, location and place
+ */
+export async function readImageMetadata(filePath, stats) {
+    const entry = {
+        width: null,
+        height: null,
+        orientation: null,
+        size: stats.size,
+        modified: stats.mtime.toISOString(),
+        captured: null,
+        color: null,
+        hash: hashFile(filePath),
+        camera: null,
+        lens: null,
+        exposure: null,
+        location: null,
+        place: null,
+        ahash: null,
+        dhash: null,
+        sharpness: null
+    };
+
+    try {
+        const metadata = await sharp(filePath).metadata();
+
+        // EXIF orientations 5-8 are rotated by 90 degrees
+        const rotated = metadata.orientation >= 5;
+        entry.width = rotated ? metadata.height : metadata.width;
+        entry.height = rotated ? metadata.width : metadata.height;
+        entry.orientation = entry.width > entry.height ? 'landscape' : entry.width < entry.height ? 'portrait' : 'square';
+
+        const exif = readExif(metadata);
+        entry.captured = readCaptureDate(exif);
+
+        Object.assign(entry, readPhotoDetails(exif));
+        if (entry.location) {
+            entry.place = findPlaceName(entry.location.latitude, entry.location.longitude);
+        }
+
+        // Dominant color of a small preview, used as a placeholder while the image loads
+        const preview = await sharp(filePath).resize(64, 64, { fit: 'inside' }).toBuffer();
+        const { dominant } = await sharp(preview).stats();
+        entry.color = toHexColor(dominant);
+
+        Object.assign(entry, await computePerceptualHashes(filePath));
+    } catch (error) {
+        console.warn(`  Could not read image metadata for ${filePath}: ${error.message}`);
+    }
+
+    return entry;
+}
+
+/**
+ * Reads the image entries of an existing manifest, keyed by path
+ * @function readPreviousEntries
+ * @param {string} manifestFile - Path of the manifest file
+ * @returns {Map<string, Object>} - Previous entries; empty for a missing or outdated manifest
+ */
+function readPreviousEntries(manifestFile) {
+    const manifest = readManifest(manifestFile);
+    // Entries written by older versions lack fields, so they are read again
+    if (manifest && manifest.version === MANIFEST_VERSION && Array.isArray(manifest.images)) {
+        return new Map(manifest.images.map(entry => [entry.path, entry]));
+    }
+    return new Map();
+}
+
+/**
+ * Reads a manifest file
+ * @function readManifest
+ * @param {string} manifestFile - Path of the manifest file
+ * @returns {?Object} - The manifest, or null if it is missing or not valid JSON
+ */
+export function readManifest(manifestFile) {
+    try {
+        return JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Builds the manifest for a list of image paths
+ * @async
+ * @function buildManifest
+ * @param {string} rootDir - The images directory
+ * @param {string[]} imagePaths - Image paths relative to the images directory
+ * @param {Map<string, Object>} [previousEntries] - Entries from the previous manifest to reuse
+ * @param {number} [nearDuplicateThreshold=DEFAULT_NEAR_DUPLICATE_THRESHOLD] - Maximum differing
+ *     hash bits of near-duplicates
+ * @returns {Promise<Object>} - The manifest object
+ */
+export async function buildManifest(rootDir, imagePaths, previousEntries = new Map(),
+    nearDuplicateThreshold = DEFAULT_NEAR_DUPLICATE_THRESHOLD) {
+    const albums = new Map();
+    const images = [];
+
+    for (const imagePath of imagePaths) {
+        const album = getAlbumPath(imagePath);
+
+        if (!albums.has(album)) {
+            albums.set(album, {
+                path: album,
+                name: album === '' ? '' : path.posix.basename(album),
+                count: 0
+            });
+        }
+        albums.get(album).count++;
+
+        const filePath = path.join(rootDir, ...imagePath.split('/'));
+        const stats = fs.statSync(filePath);
+        const previous = previousEntries.get(imagePath);
+
+        // Reuse the metadata of unchanged files
+        const metadata = previous && previous.hash && previous.size === stats.size &&
+            previous.modified === stats.mtime.toISOString()
+            ? previous
+            : await readImageMetadata(filePath, stats);
+
+        images.push({
+            path: imagePath,
+            name: path.posix.basename(imagePath),
+            album,
+            width: metadata.width,
+            height: metadata.height,
+            orientation: metadata.orientation,
+            size: metadata.size,
+            modified: metadata.modified,
+            captured: metadata.captured,
+            color: metadata.color,
+            hash: metadata.hash,
+            camera: metadata.camera,
+            lens: metadata.lens,
+            exposure: metadata.exposure,
+            location: metadata.location,
+            place: metadata.place,
+            ahash: metadata.ahash,
+            dhash: metadata.dhash,
+            sharpness: metadata.sharpness,
+            cluster: null,
+            derivatives: findDerivatives(rootDir, imagePath, stats, metadata.width, metadata.height)
+        });
+    }
+
+    const clusters = findNearDuplicates(images, nearDuplicateThreshold);
+    const imagesByPath = new Map(images.map(image => [image.path, image]));
+    clusters.forEach((cluster, index) => {
+        cluster.images.forEach(imagePath => {
+            imagesByPath.get(imagePath).cluster = index;
+        });
+    });
+
+    return {
+        version: MANIFEST_VERSION,
+        generatedAt: new Date().toISOString(),
+        albums: Array.from(albums.values()).sort((a, b) => a.path.localeCompare(b.path)),
+        images,
+        clusters
+    };
+}
+
+/**
+ * Scans the images directory and writes the manifest file
+ * @async
+ * @function writeManifest
+ * @param {string} rootDir - The images directory
+ * @param {string} manifestFile - Path of the manifest file to write
+ * @param {string[]} [supportedFormats=DEFAULT_SUPPORTED_FORMATS] - Image extensions to include
+ * @param {number} [nearDuplicateThreshold=DEFAULT_NEAR_DUPLICATE_THRESHOLD] - Maximum differing
+ *     hash bits of near-duplicates
+ * @returns {Promise<Object>} - The manifest that was written
+ */
+export async function writeManifest(rootDir, manifestFile, supportedFormats = DEFAULT_SUPPORTED_FORMATS,
+    nearDuplicateThreshold = DEFAULT_NEAR_DUPLICATE_THRESHOLD) {
+    const manifest = await buildManifest(
+        rootDir,
+        findImages(rootDir, supportedFormats),
+        readPreviousEntries(manifestFile),
+        nearDuplicateThreshold
+    );
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
+    return manifest;
+}
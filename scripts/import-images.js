@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Image Import
+ *
+ * Copies photos from any local folder into an image library for the import command
+ * of the screensaver CLI. Files already in the library (as an image or a saved
+ * original) are recognized by content hash and skipped, as are duplicates within the
+ * source folder. File names are normalized to lower case without spaces or special
+ * characters, or optionally replaced by the EXIF capture date, and numbered when
+ * they would collide (e.g. IMG_0001.jpg from two cameras).
+ *
+ * Subfolders of the source are kept as albums below the target album, with their
+ * names normalized like file names. Top-level folders that would land in the
+ * library's original/ or derivatives/ folder get "-album" added to their name.
+ *
+ * @module import-images
+ * @author Chris Schweda
+ * @version 1.1.2
+ */
+
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { findImages, hashFile, readExif, readCaptureDate, readManifest, isReservedFolderName } from './image-manifest.js';
+
+/**
+ * Normalizes a name for the library
+ * Accents are removed, and anything other than letters, digits, dots, dashes and
+ * underscores becomes a dash.
+ * @function normalizeName
+ * @param {string} name - The original name, without extension
+ * @returns {string} - The normalized name; empty if nothing is left
+ */
+function normalizeName(name) {
+    return name
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9._-]+/g, '-')
+        .replace(/-{2,}/g, '-')
+        .replace(/^[-.]+|[-.]+$/g, '');
+}
+
+/**
+ * Normalizes a file name for the library
+ * The name is normalized as by normalizeName and the extension is lower cased.
+ * @function normalizeFileName
+ * @param {string} fileName - The original file name
+ * @returns {string} - e.g. "Été à Nice (1).JPG" becomes "ete-a-nice-1.jpg"
+ */
+export function normalizeFileName(fileName) {
+    const ext = path.extname(fileName).toLowerCase();
+    return `${normalizeName(path.basename(fileName, path.extname(fileName))) || 'image'}${ext}`;
+}
+
+/**
+ * Normalizes a folder name for the library, like the names of the photos in it
+ * @function normalizeFolderName
+ * @param {string} folderName - The original folder name
+ * @returns {string} - e.g. "Été 2024" becomes "ete-2024"
+ */
+function normalizeFolderName(folderName) {
+    return normalizeName(folderName) || 'album';
+}
+
+/**
+ * Checks the album to import into and turns it into a library path
+ * @function getAlbumPath
+ * @param {string} album - Album relative to the images directory, e.g. "travel/2024"
+ * @returns {string} - The album path with forward slashes; empty for the top level
+ * @throws {Error} If the album leaves the images directory, is hidden or is one of
+ *     the library's own folders
+ */
+function getAlbumPath(album) {
+    const folders = album.split(/[\\/]+/).filter(folder => folder && folder !== '.');
+
+    if (folders.includes('..')) {
+        throw new Error(`Invalid album "${album}": it must be inside the images folder`);
+    }
+    if (folders.some(folder => folder.startsWith('.'))) {
+        throw new Error(`Invalid album "${album}": folders starting with a dot are not indexed`);
+    }
+    if (folders.length > 0 && isReservedFolderName(folders[0])) {
+        throw new Error(`Invalid album "${album}": ${folders[0]}/ is kept for the library's own copies of the images`);
+    }
+
+    return folders.join('/');
+}
+
+/**
+ * Gets a file name from the EXIF capture date of a photo
+ * @async
+ * @function getDateFileName
+ * @param {string} filePath - The photo
+ * @returns {Promise<?string>} - e.g. "2024-05-03_14-22-10.jpg", or null without a capture date
+ */
+async function getDateFileName(filePath) {
+    try {
+        const captured = readCaptureDate(readExif(await sharp(filePath).metadata()));
+        if (!captured) return null;
+        return `${captured.replace('T', '_').replace(/:/g, '-')}${path.extname(filePath).toLowerCase()}`;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Collects the content hashes of the images and originals in a library
+ * Manifest hashes are reused for images that haven't changed since indexing.
+ * @function getLibraryHashes
+ * @param {Object} library - Library paths from resolveLibrary
+ * @param {string[]} supportedFormats - Image extensions to include
+ * @returns {Map<string, string>} - Library path per hash
+ */
+function getLibraryHashes(library, supportedFormats) {
+    const hashes = new Map();
+    const manifest = readManifest(library.manifestFile);
+    const entries = new Map(manifest && Array.isArray(manifest.images)
+        ? manifest.images.map(entry => [entry.path, entry])
+        : []);
+
+    findImages(library.imagesDir, supportedFormats).forEach(imagePath => {
+        const filePath = path.join(library.imagesDir, ...imagePath.split('/'));
+        const stats = fs.statSync(filePath);
+        const entry = entries.get(imagePath);
+        const hash = entry && entry.hash && entry.size === stats.size && entry.modified === stats.mtime.toISOString()
+            ? entry.hash
+            : hashFile(filePath);
+        hashes.set(hash, imagePath);
+    });
+
+    // Compressed images no longer match their source file, their originals do
+    findImages(library.originalDir, supportedFormats).forEach(imagePath => {
+        const hash = hashFile(path.join(library.originalDir, ...imagePath.split('/')));
+        if (!hashes.has(hash)) {
+            hashes.set(hash, imagePath);
+        }
+    });
+
+    return hashes;
+}
+
+/**
+ * Finds a name for an imported image that isn't taken yet
+ * Names used by images, by saved originals or earlier in the same import are taken.
+ * @function getFreePath
+ * @param {Object} library - Library paths from resolveLibrary
+ * @param {string} imagePath - The wanted path relative to the images directory
+ * @param {Set<string>} planned - Paths already chosen in this import, lower cased
+ * @returns {string} - The path, with -2, -3, ... added to the name if needed
+ */
+function getFreePath(library, imagePath, planned) {
+    const ext = path.posix.extname(imagePath);
+    const base = imagePath.slice(0, imagePath.length - ext.length);
+    const isTaken = candidate => planned.has(candidate.toLowerCase()) ||
+        fs.existsSync(path.join(library.imagesDir, ...candidate.split('/'))) ||
+        fs.existsSync(path.join(library.originalDir, ...candidate.split('/')));
+
+    let candidate = imagePath;
+    for (let number = 2; isTaken(candidate); number++) {
+        candidate = `${base}-${number}${ext}`;
+    }
+    return candidate;
+}
+
+/**
+ * Plans an import without changing any files
+ * @async
+ * @function planImport
+ * @param {string} sourceDir - The folder to import from
+ * @param {Object} library - Library paths from resolveLibrary
+ * @param {string[]} supportedFormats - Image extensions to import
+ * @param {Object} [options] - Import options
+ * @param {string} [options.album=''] - Album to import into, relative to the images directory
+ * @param {boolean} [options.renameByDate=false] - Whether to name photos after their EXIF capture date
+ * @returns {Promise<Object>} - imports (source path and target path relative to the
+ *     images directory) and duplicates (source path, and the library path or other
+ *     source file it duplicates)
+ * @throws {Error} If the album is invalid (see getAlbumPath)
+ */
+export async function planImport(sourceDir, library, supportedFormats, { album = '', renameByDate = false } = {}) {
+    const libraryHashes = getLibraryHashes(library, supportedFormats);
+    const sourceHashes = new Map();
+    const planned = new Set();
+    const imports = [];
+    const duplicates = [];
+    const albumPath = getAlbumPath(album);
+
+    // The source is not a library, so its original/ and derivatives/ hold photos too
+    for (const relativePath of findImages(sourceDir, supportedFormats, { skipReserved: false })) {
+        const sourcePath = path.join(sourceDir, ...relativePath.split('/'));
+        const hash = hashFile(sourcePath);
+
+        if (libraryHashes.has(hash)) {
+            duplicates.push({ sourcePath, duplicateOf: libraryHashes.get(hash), inLibrary: true });
+            continue;
+        }
+        if (sourceHashes.has(hash)) {
+            duplicates.push({ sourcePath, duplicateOf: sourceHashes.get(hash), inLibrary: false });
+            continue;
+        }
+
+        const folders = path.posix.dirname(relativePath).split('/').filter(folder => folder !== '.').map(normalizeFolderName);
+        // Photos in original/ or derivatives/ would be taken for copies and never indexed
+        if (!albumPath && folders.length > 0 && isReservedFolderName(folders[0])) {
+            folders[0] = `${folders[0]}-album`;
+        }
+        const fileName = (renameByDate && await getDateFileName(sourcePath)) || normalizeFileName(path.posix.basename(relativePath));
+        const targetPath = getFreePath(library, [albumPath, ...folders, fileName].filter(Boolean).join('/'), planned);
+
+        planned.add(targetPath.toLowerCase());
+        sourceHashes.set(hash, sourcePath);
+        imports.push({ sourcePath, targetPath });
+    }
+
+    return { imports, duplicates };
+}
+
+/**
+ * Copies the planned images into the library
+ * Each file is copied next to the library's cache first and then renamed into place,
+ * so an interrupted import never leaves a half-copied image.
+ * @function runImport
+ * @param {Object} plan - The plan from planImport
+ * @param {Object} library - Library paths from resolveLibrary
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.move=false] - Whether to delete the source files after copying
+ * @returns {{imported: number, failed: number}} - Counts of imported and failed files
+ */
+export function runImport(plan, library, { move = false } = {}) {
+    const stagingDir = path.join(library.cacheDir, 'import');
+    fs.mkdirSync(stagingDir, { recursive: true });
+    let imported = 0;
+    let failed = 0;
+
+    plan.imports.forEach(({ sourcePath, targetPath }, index) => {
+        const stagedPath = path.join(stagingDir, `${process.pid}-${index}${path.extname(targetPath)}`);
+        const fullPath = path.join(library.imagesDir, ...targetPath.split('/'));
+
+        try {
+            fs.copyFileSync(sourcePath, stagedPath);
+            // Keep the modification time, which the manifest records
+            const { atime, mtime } = fs.statSync(sourcePath);
+            fs.utimesSync(stagedPath, atime, mtime);
+            fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+            fs.renameSync(stagedPath, fullPath);
+            if (move) {
+                fs.unlinkSync(sourcePath);
+            }
+            console.log(`  - ${targetPath}`);
+            imported++;
+        } catch (error) {
+            fs.rmSync(stagedPath, { force: true });
+            console.error(`  - ${sourcePath}: ${error.message}`);
+            failed++;
+        }
+    });
+
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    return { imported, failed };
+}
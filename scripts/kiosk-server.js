@@ -0,0 +1,503 @@
+/**
+ * @fileoverview Kiosk Server
+ *
+ * A small HTTP server for hosting the screensaver on a local network, used by the
+ * serve command of the screensaver CLI. It only uses Node's http module, so one
+ * machine can serve the built app to any number of wall displays without other
+ * services.
+ *
+ * - The built app is served from dist/, and images from the library (at
+ *   images.directory), so uploaded photos are shown without a rebuild
+ * - GET /api/images (and /api-images.json, which the built app loads) returns the
+ *   manifest, kept up to date as photos are uploaded and deleted
+ * - PUT /api/images/<path> uploads a photo (the request body is the file) and
+ *   DELETE /api/images/<path> deletes one with its original and derivatives
+ * - POST /api/index rescans the library after files were changed by hand
+ * - POST /api/compress starts compressing the library (add ?force=1 to reprocess
+ *   every image) and GET /api/compress reports its progress
+ *
+ * Requests that change the library need "Authorization: Bearer <token>" when the
+ * server is started with a token. Without one the library is read-only, unless
+ * anonymous changes are allowed explicitly. Changes are made one at a time, and
+ * uploads and deletions are refused while compression runs.
+ *
+ * @module kiosk-server
+ * @author Chris Schweda
+ * @version 1.0.3
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { writeManifest, getAlbumPath, isReservedFolderName, DERIVATIVES_DIR_NAME } from './image-manifest.js';
+
+// Get current directory in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const COMPRESS_SCRIPT = path.join(__dirname, 'compress-images.js');
+
+/**
+ * Default port of the kiosk server
+ * @type {number}
+ */
+export const DEFAULT_PORT = 8080;
+
+// Lines of compression output kept for GET /api/compress
+const COMPRESS_LOG_LINES = 50;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff',
+    '.woff2': 'font/woff2',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+/**
+ * Error answered with an HTTP status code and its message
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Sends a JSON response; HEAD requests only get the headers
+ * @function sendJson
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - The HTTP status code
+ * @param {*} body - The value to send
+ * @returns {void}
+ */
+function sendJson(res, status, body) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': CONTENT_TYPES['.json'],
+        'Content-Length': Buffer.byteLength(json),
+        'Cache-Control': 'no-store'
+    });
+    res.end(res.req.method === 'HEAD' ? undefined : json);
+}
+
+/**
+ * Sends a file, or 304 if the client's copy is current
+ * @function sendFile
+ * @param {http.IncomingMessage} req - The request
+ * @param {http.ServerResponse} res - The response
+ * @param {string} filePath - The file to send
+ * @returns {boolean} - False if the file doesn't exist
+ */
+function sendFile(req, res, filePath) {
+    let stats;
+    try {
+        stats = fs.statSync(filePath);
+    } catch (error) {
+        return false;
+    }
+    if (!stats.isFile()) return false;
+
+    const lastModified = stats.mtime.toUTCString();
+    if (req.headers['if-modified-since'] === lastModified) {
+        res.writeHead(304);
+        res.end();
+        return true;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': stats.size,
+        'Last-Modified': lastModified,
+        'Cache-Control': 'no-cache'
+    });
+    if (req.method === 'HEAD') {
+        res.end();
+    } else {
+        fs.createReadStream(filePath).pipe(res);
+    }
+    return true;
+}
+
+/**
+ * Turns the path part of a URL into a safe relative path
+ * @function toSafePath
+ * @param {string} urlPath - URL path below a route, e.g. "travel/beach%201.jpg"
+ * @returns {?string} - The decoded path with forward slashes, or null if it is empty
+ *     or has hidden, "." or ".." segments
+ */
+function toSafePath(urlPath) {
+    let segments;
+    try {
+        segments = urlPath.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        return null;
+    }
+    const isSafe = segments.length > 0 && segments.every(segment =>
+        !segment.startsWith('.') && !/[\\/\0]/.test(segment));
+    return isSafe ? segments.join('/') : null;
+}
+
+/**
+ * Deletes the derivatives of an image, up to date or not
+ * @function deleteDerivatives
+ * @param {string} imagesDir - The images directory
+ * @param {string} imagePath - Image path relative to the images directory
+ * @returns {number} - The number of files deleted
+ */
+function deleteDerivatives(imagesDir, imagePath) {
+    const name = path.posix.basename(imagePath);
+    const dir = path.join(imagesDir, DERIVATIVES_DIR_NAME, ...getAlbumPath(imagePath).split('/'));
+    if (!fs.existsSync(dir)) return 0;
+
+    const derivatives = fs.readdirSync(dir).filter(file =>
+        file.startsWith(`${name}.`) && /^\d+w\.(webp|avif)$/.test(file.slice(name.length + 1)));
+    derivatives.forEach(file => fs.unlinkSync(path.join(dir, file)));
+    return derivatives.length;
+}
+
+/**
+ * Creates the kiosk server
+ * The server isn't listening yet; call listen() on it. Call its ready() method to
+ * wait for the library to be indexed.
+ * @function createKioskServer
+ * @param {Object} options - Server options
+ * @param {Object} options.library - Library paths from resolveLibrary
+ * @param {string} options.distDir - The built app
+ * @param {string[]} options.supportedFormats - Image extensions to serve and accept
+ * @param {string} [options.imagesUrl='/images/'] - URL the app loads images from (images.directory)
+ * @param {number} [options.nearDuplicateThreshold] - Passed on to the manifest
+ * @param {string} [options.token] - Token required to change the library
+ * @param {boolean} [options.allowAnonymousWrites=false] - Whether anyone may change the
+ *     library when there is no token; otherwise it can't be changed without one
+ * @param {number} [options.maxUploadBytes=52428800] - Largest accepted upload
+ * @param {Function} [options.log=console.log] - Receives a line for every change
+ * @returns {http.Server} - The server, with an added ready() method
+ */
+export function createKioskServer({
+    library,
+    distDir,
+    supportedFormats,
+    imagesUrl = '/images/',
+    nearDuplicateThreshold,
+    token,
+    allowAnonymousWrites = false,
+    maxUploadBytes = 50 * 1024 * 1024,
+    log = console.log
+}) {
+    const { imagesDir, originalDir, manifestFile, cacheDir } = library;
+    const stagingDir = path.join(cacheDir, 'uploads');
+    let manifest = null;
+
+    // Library changes run one after another
+    let queue = Promise.resolve();
+
+    /**
+     * Runs a library change after the ones before it
+     * @param {Function} task - Returns a promise
+     * @returns {Promise<*>} - The result of the task
+     */
+    function enqueue(task) {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Rebuilds the manifest, reusing the entries of unchanged images
+     * @returns {Promise<Object>} - The new manifest
+     */
+    async function reindex() {
+        manifest = await writeManifest(imagesDir, manifestFile, supportedFormats, nearDuplicateThreshold);
+        return manifest;
+    }
+
+    // Index the library before answering manifest requests
+    const indexed = enqueue(reindex);
+
+    // State of the last compression, reported by GET /api/compress
+    const compression = {
+        running: false,
+        startedAt: null,
+        finishedAt: null,
+        exitCode: null,
+        output: []
+    };
+
+    /**
+     * Checks that a request may change the library
+     * @param {http.IncomingMessage} req - The request
+     * @returns {void}
+     * @throws {HttpError} If the token is missing or wrong, or changes need a token
+     *     the server wasn't given
+     */
+    function authorize(req) {
+        if (!token) {
+            if (allowAnonymousWrites) return;
+            throw new HttpError(403, 'The library is read-only; start the server with a token to change it');
+        }
+        const expected = Buffer.from(`Bearer ${token}`);
+        const given = Buffer.from(req.headers.authorization || '');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw new HttpError(401, 'Missing or wrong token');
+        }
+    }
+
+    /**
+     * Gets the image path from a URL below /api/images/
+     * @param {string} urlPath - The rest of the URL path
+     * @returns {string} - The image path relative to the images directory
+     * @throws {HttpError} If the path isn't an image path inside the library
+     */
+    function toImagePath(urlPath) {
+        const imagePath = toSafePath(urlPath);
+        if (!imagePath) {
+            throw new HttpError(400, 'Invalid image path');
+        }
+        const [topFolder] = imagePath.split('/');
+        if (imagePath.includes('/') && isReservedFolderName(topFolder)) {
+            throw new HttpError(400, `Images can't be stored in ${topFolder}/`);
+        }
+        if (!supportedFormats.includes(path.posix.extname(imagePath).toLowerCase())) {
+            throw new HttpError(415, `Supported formats are ${supportedFormats.join(', ')}`);
+        }
+        return imagePath;
+    }
+
+    /**
+     * Saves an uploaded photo
+     * The body is written next to the cache first and only moved into the library
+     * once it is complete and readable as an image.
+     * @param {http.IncomingMessage} req - The request, whose body is the file
+     * @param {string} imagePath - Where to store it, relative to the images directory
+     * @returns {Promise<Object>} - The manifest entry of the new image
+     */
+    async function upload(req, imagePath) {
+        const fullPath = path.join(imagesDir, ...imagePath.split('/'));
+        if (fs.existsSync(fullPath)) {
+            throw new HttpError(409, `${imagePath} already exists`);
+        }
+        if (Number(req.headers['content-length']) > maxUploadBytes) {
+            throw new HttpError(413, `Uploads are limited to ${Math.round(maxUploadBytes / 1024 / 1024)} MB`);
+        }
+
+        fs.mkdirSync(stagingDir, { recursive: true });
+        const stagedPath = path.join(stagingDir, `${process.pid}-${crypto.randomUUID()}${path.extname(imagePath)}`);
+
+        try {
+            await new Promise((resolve, reject) => {
+                const file = fs.createWriteStream(stagedPath);
+                let received = 0;
+                req.on('data', chunk => {
+                    received += chunk.length;
+                    if (received > maxUploadBytes) {
+                        req.unpipe(file);
+                        file.destroy();
+                        reject(new HttpError(413, `Uploads are limited to ${Math.round(maxUploadBytes / 1024 / 1024)} MB`));
+                    }
+                });
+                req.on('error', reject);
+                file.on('error', reject);
+                file.on('finish', resolve);
+                req.pipe(file);
+            });
+
+            try {
+                await sharp(stagedPath).metadata();
+            } catch (error) {
+                throw new HttpError(415, `Not a readable image: ${error.message}`);
+            }
+
+            fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+            fs.renameSync(stagedPath, fullPath);
+        } finally {
+            fs.rmSync(stagedPath, { force: true });
+        }
+
+        await reindex();
+        log(`Uploaded ${imagePath}`);
+        return manifest.images.find(entry => entry.path === imagePath);
+    }
+
+    /**
+     * Deletes a photo with its saved original and derivatives
+     * @param {string} imagePath - Image path relative to the images directory
+     * @returns {Promise<Object>} - What was deleted
+     */
+    async function remove(imagePath) {
+        const fullPath = path.join(imagesDir, ...imagePath.split('/'));
+        if (!fs.existsSync(fullPath)) {
+            throw new HttpError(404, `${imagePath} doesn't exist`);
+        }
+        // Folders can be named like images, e.g. "2024.jpg"
+        if (!fs.statSync(fullPath).isFile()) {
+            throw new HttpError(400, `${imagePath} is a folder, not an image`);
+        }
+
+        fs.unlinkSync(fullPath);
+        const originalPath = path.join(originalDir, ...imagePath.split('/'));
+        const original = fs.existsSync(originalPath);
+        if (original) {
+            fs.unlinkSync(originalPath);
+        }
+        const derivatives = deleteDerivatives(imagesDir, imagePath);
+
+        await reindex();
+        log(`Deleted ${imagePath}`);
+        return { path: imagePath, original, derivatives };
+    }
+
+    /**
+     * Starts compress-images.js on the library
+     * @param {boolean} force - Whether to reprocess unchanged images
+     * @returns {void}
+     */
+    function startCompression(force) {
+        Object.assign(compression, {
+            running: true,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            exitCode: null,
+            output: []
+        });
+
+        const argv = [COMPRESS_SCRIPT, `--images-dir=${imagesDir}`, `--manifest=${manifestFile}`];
+        if (force) argv.push('--force');
+
+        // Compression changes the library, so other changes wait until it is done
+        enqueue(() => new Promise(resolve => {
+            const child = spawn(process.execPath, argv, { stdio: ['ignore', 'pipe', 'pipe'] });
+            const collect = data => {
+                const lines = data.toString().split('\n').map(line => line.trimEnd()).filter(Boolean);
+                compression.output = compression.output.concat(lines).slice(-COMPRESS_LOG_LINES);
+            };
+            child.stdout.on('data', collect);
+            child.stderr.on('data', collect);
+
+            const finish = exitCode => {
+                if (!compression.running) return;
+                Object.assign(compression, { running: false, finishedAt: new Date().toISOString(), exitCode });
+                log(`Compression finished with exit code ${exitCode}`);
+                resolve();
+            };
+            child.on('error', error => {
+                collect(error.message);
+                finish(null);
+            });
+            child.on('exit', code => finish(code));
+        }).then(reindex)).catch(error => {
+            log(`Could not index the images after compression: ${error.message}`);
+        });
+
+        log(`Compression started${force ? ' (forced)' : ''}`);
+    }
+
+    /**
+     * Answers an API request
+     * @param {http.IncomingMessage} req - The request
+     * @param {http.ServerResponse} res - The response
+     * @param {URL} url - The parsed request URL
+     * @returns {Promise<void>}
+     */
+    async function handleApi(req, res, url) {
+        const route = url.pathname;
+
+        if (route === '/api/images' && req.method === 'GET') {
+            await indexed;
+            sendJson(res, 200, manifest);
+        } else if (route.startsWith('/api/images/') && (req.method === 'PUT' || req.method === 'DELETE')) {
+            authorize(req);
+            const imagePath = toImagePath(route.slice('/api/images/'.length));
+            if (compression.running) {
+                throw new HttpError(409, 'Compression is running, try again when it is done');
+            }
+            if (req.method === 'PUT') {
+                sendJson(res, 201, await enqueue(() => upload(req, imagePath)));
+            } else {
+                sendJson(res, 200, await enqueue(() => remove(imagePath)));
+            }
+        } else if (route === '/api/index' && req.method === 'POST') {
+            authorize(req);
+            const { images, albums, clusters } = await enqueue(reindex);
+            sendJson(res, 200, { images: images.length, albums: albums.length, clusters: clusters.length });
+        } else if (route === '/api/compress' && req.method === 'GET') {
+            sendJson(res, 200, compression);
+        } else if (route === '/api/compress' && req.method === 'POST') {
+            authorize(req);
+            if (compression.running) {
+                throw new HttpError(409, 'Compression is already running');
+            }
+            startCompression(['1', 'true'].includes(url.searchParams.get('force')));
+            sendJson(res, 202, compression);
+        } else {
+            throw new HttpError(route.startsWith('/api/images') || route.startsWith('/api/compress') || route === '/api/index' ? 405 : 404,
+                'Not found or method not allowed');
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname.startsWith('/api/')) {
+            handleApi(req, res, url).catch(error => {
+                const status = error instanceof HttpError ? error.status : 500;
+                if (status === 500) {
+                    console.error(`${req.method} ${url.pathname}:`, error);
+                }
+                // Stop reading an upload that was refused before its body was read
+                req.resume();
+                if (!res.headersSent) {
+                    sendJson(res, status, { error: error.message });
+                }
+            });
+            return;
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        // The built app loads the static manifest, which is served live instead
+        if (url.pathname === '/api-images.json') {
+            indexed.then(() => sendJson(res, 200, manifest), () => sendJson(res, 500, { error: 'Could not index the images' }));
+            return;
+        }
+
+        // Images come from the library rather than the copy in dist/
+        if (url.pathname.startsWith(imagesUrl)) {
+            const imagePath = toSafePath(url.pathname.slice(imagesUrl.length));
+            if (!imagePath || !sendFile(req, res, path.join(imagesDir, ...imagePath.split('/')))) {
+                sendJson(res, 404, { error: 'Not found' });
+            }
+            return;
+        }
+
+        const filePath = url.pathname === '/' ? 'index.html' : toSafePath(url.pathname);
+        if (!filePath || !sendFile(req, res, path.join(distDir, ...filePath.split('/')))) {
+            sendJson(res, 404, { error: 'Not found' });
+        }
+    });
+
+    server.ready = () => indexed;
+
+    return server;
+}
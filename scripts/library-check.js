@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Library Verification and Statistics
+ *
+ * Checks an image library for problems (unreadable images, a manifest that is out
+ * of date, derivatives left behind by deleted images) and summarizes its contents
+ * for the verify and stats commands of the screensaver CLI.
+ *
+ * @module library-check
+ * @author Chris Schweda
+ * @version 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { findImages, getAlbumPath, readManifest, DERIVATIVES_DIR_NAME, MANIFEST_VERSION } from './image-manifest.js';
+
+const DERIVATIVE_FORMATS = ['.webp', '.avif'];
+
+/**
+ * Gets the path of the image a derivative was made from
+ * @function getDerivativeSource
+ * @param {string} derivativePath - Derivative path relative to the derivatives directory
+ * @returns {?string} - The image path relative to the images directory, or null if the
+ *     name doesn't follow the derivative naming scheme
+ */
+function getDerivativeSource(derivativePath) {
+    const match = /^(.+)\.\d+w\.(webp|avif)$/.exec(derivativePath);
+    return match ? match[1] : null;
+}
+
+/**
+ * Adds up the file sizes of images below a directory
+ * @function sumFileSizes
+ * @param {string} rootDir - The directory
+ * @param {string[]} paths - File paths relative to the directory
+ * @returns {number} - Total size in bytes
+ */
+function sumFileSizes(rootDir, paths) {
+    return paths.reduce((total, filePath) => total + fs.statSync(path.join(rootDir, ...filePath.split('/'))).size, 0);
+}
+
+/**
+ * Checks a library for problems
+ * @async
+ * @function verifyLibrary
+ * @param {Object} library - Library paths from resolveLibrary
+ * @param {string[]} supportedFormats - Image extensions to include
+ * @returns {Promise<{checked: number, problems: Array<{path: string, problem: string}>}>} - The
+ *     number of images checked and the problems found
+ */
+export async function verifyLibrary(library, supportedFormats) {
+    const { imagesDir, manifestFile } = library;
+    const imagePaths = findImages(imagesDir, supportedFormats);
+    const problems = [];
+
+    // Every image must be decodable
+    for (const imagePath of imagePaths) {
+        try {
+            await sharp(path.join(imagesDir, ...imagePath.split('/'))).metadata();
+        } catch (error) {
+            problems.push({ path: imagePath, problem: `unreadable: ${error.message}` });
+        }
+    }
+
+    // The manifest must list exactly the images on disk, as they are now
+    const manifest = readManifest(manifestFile);
+    if (!manifest) {
+        problems.push({ path: path.basename(manifestFile), problem: 'manifest is missing or not valid JSON' });
+    } else if (manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.images)) {
+        problems.push({ path: path.basename(manifestFile), problem: `manifest was written by an older version (${manifest.version || 'unversioned'})` });
+    } else {
+        const entries = new Map(manifest.images.map(entry => [entry.path, entry]));
+
+        imagePaths.forEach(imagePath => {
+            const entry = entries.get(imagePath);
+            if (!entry) {
+                problems.push({ path: imagePath, problem: 'not in the manifest' });
+                return;
+            }
+
+            const stats = fs.statSync(path.join(imagesDir, ...imagePath.split('/')));
+            if (entry.size !== stats.size || entry.modified !== stats.mtime.toISOString()) {
+                problems.push({ path: imagePath, problem: 'changed since the manifest was written' });
+            }
+        });
+
+        const onDisk = new Set(imagePaths);
+        entries.forEach((entry, imagePath) => {
+            if (!onDisk.has(imagePath)) {
+                problems.push({ path: imagePath, problem: 'in the manifest but not on disk' });
+            }
+        });
+    }
+
+    // Derivatives of deleted images are no longer used
+    const derivativesDir = path.join(imagesDir, DERIVATIVES_DIR_NAME);
+    findImages(derivativesDir, DERIVATIVE_FORMATS).forEach(derivativePath => {
+        const source = getDerivativeSource(derivativePath);
+        if (!source || !fs.existsSync(path.join(imagesDir, ...source.split('/')))) {
+            problems.push({ path: `${DERIVATIVES_DIR_NAME}/${derivativePath}`, problem: 'derivative of a missing image' });
+        }
+    });
+
+    return { checked: imagePaths.length, problems };
+}
+
+/**
+ * Summarizes the contents of a library
+ * @function getLibraryStats
+ * @param {Object} library - Library paths from resolveLibrary
+ * @param {string[]} supportedFormats - Image extensions to include
+ * @returns {Object} - Image, album, format, original and derivative counts and sizes in
+ *     bytes, and the range of capture dates from the manifest
+ */
+export function getLibraryStats(library, supportedFormats) {
+    const { imagesDir, originalDir, manifestFile } = library;
+    const imagePaths = findImages(imagesDir, supportedFormats);
+    const formats = {};
+
+    imagePaths.forEach(imagePath => {
+        const format = path.posix.extname(imagePath).slice(1).toLowerCase();
+        const size = fs.statSync(path.join(imagesDir, ...imagePath.split('/'))).size;
+        formats[format] = formats[format] || { count: 0, size: 0 };
+        formats[format].count++;
+        formats[format].size += size;
+    });
+
+    const originalPaths = findImages(originalDir, supportedFormats);
+    const derivativesDir = path.join(imagesDir, DERIVATIVES_DIR_NAME);
+    const derivativePaths = findImages(derivativesDir, DERIVATIVE_FORMATS);
+
+    // Capture dates are only known from the manifest
+    const manifest = readManifest(manifestFile);
+    const captured = manifest && Array.isArray(manifest.images)
+        ? manifest.images.map(entry => entry.captured).filter(Boolean).sort()
+        : [];
+
+    return {
+        images: imagePaths.length,
+        albums: new Set(imagePaths.map(getAlbumPath)).size,
+        size: Object.values(formats).reduce((total, format) => total + format.size, 0),
+        formats,
+        originals: { count: originalPaths.length, size: sumFileSizes(originalDir, originalPaths) },
+        derivatives: { count: derivativePaths.length, size: sumFileSizes(derivativesDir, derivativePaths) },
+        captured: captured.length > 0 ? { first: captured[0], last: captured[captured.length - 1] } : null
+    };
+}
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Perceptual Hashes and Near-Duplicate Detection
+ *
+ * Computes 64-bit perceptual hashes of images (aHash: brightness above or below
+ * average, dHash: brightness gradient between neighbors) that stay nearly the same
+ * when a photo is re-encoded, resized or slightly changed. Images whose hashes
+ * differ in only a few bits are near-duplicates, such as burst shots or re-exports.
+ *
+ * Near-duplicates are grouped into clusters, and the sharpest image of each
+ * cluster (then the largest) is picked as its best shot.
+ *
+ * @module perceptual-hash
+ * @author Chris Schweda
+ * @version 1.0.0
+ */
+
+import sharp from 'sharp';
+
+/**
+ * Default maximum number of differing bits (of 64) for two images to be near-duplicates
+ * @type {number}
+ */
+export const DEFAULT_NEAR_DUPLICATE_THRESHOLD = 6;
+
+// Width of the preview the hashes and sharpness are computed from
+const PREVIEW_SIZE = 256;
+
+/**
+ * Turns a list of bits into a hex string
+ * @function bitsToHex
+ * @param {boolean[]} bits - 64 bits, most significant first
+ * @returns {string} - 16 hex digits
+ */
+function bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+}
+
+/**
+ * Computes the perceptual hashes and sharpness of an image
+ * The image is rotated upright first, so a rotated copy hashes the same.
+ * @async
+ * @function computePerceptualHashes
+ * @param {string} filePath - The image file
+ * @returns {Promise<{ahash: string, dhash: string, sharpness: number}>} - Hashes as 16 hex
+ *     digits, and the sharpness of the preview (higher is sharper)
+ */
+export async function computePerceptualHashes(filePath) {
+    const preview = await sharp(filePath)
+        .rotate()
+        .greyscale()
+        .resize(PREVIEW_SIZE, PREVIEW_SIZE, { fit: 'inside' })
+        .png()
+        .toBuffer();
+
+    // aHash: each pixel of an 8x8 version compared to the average
+    const average8 = await sharp(preview).resize(8, 8, { fit: 'fill' }).greyscale().raw().toBuffer();
+    const mean = average8.reduce((sum, value) => sum + value, 0) / average8.length;
+    const ahash = bitsToHex(Array.from(average8, value => value > mean));
+
+    // dHash: each pixel of a 9x8 version compared to its right neighbor
+    const gradient = await sharp(preview).resize(9, 8, { fit: 'fill' }).greyscale().raw().toBuffer();
+    const dbits = [];
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            dbits.push(gradient[row * 9 + col] > gradient[row * 9 + col + 1]);
+        }
+    }
+
+    const { sharpness } = await sharp(preview).stats();
+
+    return { ahash, dhash: bitsToHex(dbits), sharpness: Math.round(sharpness * 1000) / 1000 };
+}
+
+/**
+ * Counts the bits in which two hashes differ
+ * @function hammingDistance
+ * @param {string} a - A hash as hex digits
+ * @param {string} b - A hash of the same length
+ * @returns {number} - The number of differing bits
+ */
+export function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (bits) {
+            distance += bits & 1;
+            bits >>= 1;
+        }
+    }
+    return distance;
+}
+
+/**
+ * Ranks images of a cluster, best shot first
+ * @function compareShots
+ * @param {Object} a - A manifest entry
+ * @param {Object} b - Another manifest entry
+ * @returns {number} - Negative if a is the better shot
+ */
+function compareShots(a, b) {
+    return (b.sharpness || 0) - (a.sharpness || 0) ||
+        (b.width * b.height || 0) - (a.width * a.height || 0) ||
+        (b.size || 0) - (a.size || 0) ||
+        a.path.localeCompare(b.path);
+}
+
+/**
+ * Groups near-duplicate images into clusters
+ * Two images are near-duplicates when both their aHash and dHash differ in at most
+ * threshold bits; clusters are the connected groups of near-duplicates.
+ * @function findNearDuplicates
+ * @param {Object[]} images - Manifest entries with path, ahash and dhash
+ * @param {number} [threshold=DEFAULT_NEAR_DUPLICATE_THRESHOLD] - Maximum differing bits
+ * @returns {Array<{images: string[], best: string}>} - Clusters of two or more image
+ *     paths with the path of the best shot, ordered by their first image
+ */
+export function findNearDuplicates(images, threshold = DEFAULT_NEAR_DUPLICATE_THRESHOLD) {
+    const hashed = images.filter(image => image.ahash && image.dhash);
+    const parents = hashed.map((_, index) => index);
+
+    const findRoot = index => {
+        while (parents[index] !== index) {
+            parents[index] = parents[parents[index]];
+            index = parents[index];
+        }
+        return index;
+    };
+
+    for (let i = 0; i < hashed.length; i++) {
+        for (let j = i + 1; j < hashed.length; j++) {
+            if (hammingDistance(hashed[i].dhash, hashed[j].dhash) <= threshold &&
+                hammingDistance(hashed[i].ahash, hashed[j].ahash) <= threshold) {
+                parents[findRoot(j)] = findRoot(i);
+            }
+        }
+    }
+
+    const groups = new Map();
+    hashed.forEach((image, index) => {
+        const root = findRoot(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(image);
+    });
+
+    return Array.from(groups.values())
+        .filter(group => group.length > 1)
+        .map(group => ({
+            images: group.map(image => image.path),
+            best: [...group].sort(compareShots)[0].path
+        }));
+}
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Offline Place Lookup
+ *
+ * Turns GPS coordinates into a place name without any network access, using the
+ * list of cities and landmarks bundled in data/places.json. Coordinates are matched
+ * to the nearest place within a maximum distance; photos taken far from any listed
+ * place get no name.
+ *
+ * @module place-lookup
+ * @author Chris Schweda
+ * @version 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get current directory in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PLACES_FILE = path.join(__dirname, 'data/places.json');
+
+/**
+ * Default maximum distance in kilometers between a photo and a named place
+ * @type {number}
+ */
+export const DEFAULT_MAX_DISTANCE_KM = 75;
+
+const EARTH_RADIUS_KM = 6371;
+
+// Loaded on first use: [name, country, latitude, longitude] tuples
+let places = null;
+
+/**
+ * Loads the bundled place list
+ * @function loadPlaces
+ * @returns {Array<Array>} - Place tuples
+ */
+function loadPlaces() {
+    if (!places) {
+        places = JSON.parse(fs.readFileSync(PLACES_FILE, 'utf8'));
+    }
+    return places;
+}
+
+/**
+ * Converts degrees to radians
+ * @function toRadians
+ * @param {number} degrees - An angle in degrees
+ * @returns {number} - The angle in radians
+ */
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Computes the great-circle distance between two coordinates
+ * @function getDistanceKm
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} - The distance in kilometers
+ */
+export function getDistanceKm(lat1, lon1, lat2, lon2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Finds the name of the place nearest to a coordinate
+ * @function findPlaceName
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {number} [maxDistanceKm=DEFAULT_MAX_DISTANCE_KM] - Maximum distance to a named place
+ * @returns {?string} - The place as "City, Country", or null if no place is close enough
+ */
+export function findPlaceName(latitude, longitude, maxDistanceKm = DEFAULT_MAX_DISTANCE_KM) {
+    let nearest = null;
+    let nearestDistance = maxDistanceKm;
+
+    for (const place of loadPlaces()) {
+        const distance = getDistanceKm(latitude, longitude, place[2], place[3]);
+        if (distance <= nearestDistance) {
+            nearest = place;
+            nearestDistance = distance;
+        }
+    }
+
+    return nearest ? `${nearest[0]}, ${nearest[1]}` : null;
+}
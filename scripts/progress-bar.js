@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Terminal Progress Bar
+ *
+ * Shows a progress bar with an estimated time remaining on the last terminal line.
+ * Log lines printed through the bar appear above it, so they never mix with the
+ * progress line. When the output is not a terminal (e.g. in CI logs) no bar is
+ * drawn and only the log lines are printed.
+ *
+ * @module progress-bar
+ * @author Chris Schweda
+ * @version 1.0.0
+ */
+
+const BAR_WIDTH = 30;
+
+/**
+ * Formats a duration for the ETA display
+ * @function formatDuration
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. "45s" or "3m 05s"
+ */
+export function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Creates a progress bar
+ * @function createProgressBar
+ * @param {number} total - Number of steps
+ * @param {Object} [options] - Display options
+ * @param {string} [options.label='Progress'] - Text before the bar
+ * @param {NodeJS.WriteStream} [options.stream=process.stderr] - Stream the bar is drawn on
+ * @returns {Object} - Progress bar with tick, log, setStatus and stop methods
+ */
+export function createProgressBar(total, { label = 'Progress', stream = process.stderr } = {}) {
+    const startTime = Date.now();
+    const interactive = Boolean(stream.isTTY);
+    let completed = 0;
+    let status = '';
+    let visible = false;
+
+    function render() {
+        const ratio = total > 0 ? completed / total : 1;
+        const filled = Math.round(ratio * BAR_WIDTH);
+        const elapsed = Date.now() - startTime;
+        const eta = completed > 0 && completed < total
+            ? ` ETA ${formatDuration(elapsed / completed * (total - completed))}`
+            : '';
+        const line = `${label} [${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}] ` +
+            `${completed}/${total} (${Math.round(ratio * 100)}%)${eta}${status ? ` - ${status}` : ''}`;
+
+        stream.write(`\r${line.slice(0, (stream.columns || 80) - 1)}\x1b[K`);
+        visible = true;
+    }
+
+    function clear() {
+        if (visible) {
+            stream.write('\r\x1b[K');
+            visible = false;
+        }
+    }
+
+    return {
+        /**
+         * Marks steps as done
+         * @param {number} [count=1] - Number of steps completed
+         * @returns {void}
+         */
+        tick(count = 1) {
+            completed = Math.min(total, completed + count);
+            if (interactive) render();
+        },
+
+        /**
+         * Prints a log line above the bar
+         * @param {string} level - Console method: log, info, warn or error
+         * @param {string} text - The text to print
+         * @returns {void}
+         */
+        log(level, text) {
+            clear();
+            (console[level] || console.log)(text);
+            if (interactive) render();
+        },
+
+        /**
+         * Sets a short status shown after the bar (e.g. "cancelling...")
+         * @param {string} text - The status; empty to remove it
+         * @returns {void}
+         */
+        setStatus(text) {
+            status = text;
+            if (interactive) render();
+        },
+
+        /**
+         * Removes the bar from the terminal
+         * @returns {void}
+         */
+        stop() {
+            clear();
+        }
+    };
+}
@@ -0,0 +1,518 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Screensaver CLI
+ *
+ * One command line entry point for the image maintenance scripts. Every command
+ * shares the config loading and library options of script-options.js, so
+ * --images-dir points any command at another image library.
+ *
+ * Compression runs scripts/compress-images.js in a child process, which keeps its
+ * worker pool and Ctrl-C handling separate from the CLI.
+ *
+ * @module screensaver
+ * @author Chris Schweda
+ * @version 1.3.1
+ *
+ * Usage: screensaver <command> [options]
+ *        screensaver <command> --help
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { writeManifest, readManifest, MANIFEST_VERSION } from './image-manifest.js';
+import { findNearDuplicates, hammingDistance } from './perceptual-hash.js';
+import { parseArgs, loadConfig, getSupportedFormats, resolveLibrary } from './script-options.js';
+import { verifyLibrary, getLibraryStats } from './library-check.js';
+import { planImport, runImport } from './import-images.js';
+import { createKioskServer, DEFAULT_PORT } from './kiosk-server.js';
+
+// Get current directory in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const COMPRESS_SCRIPT = path.join(__dirname, 'compress-images.js');
+const DIST_DIR = path.join(__dirname, '..', 'dist');
+
+// Exit codes, the same as those of compress-images.js
+const EXIT_OK = 0;
+const EXIT_PROBLEMS = 1;
+const EXIT_FATAL = 2;
+const EXIT_CANCELLED = 130;
+
+// Options every command accepts
+const COMMON_OPTIONS = [
+    ['--images-dir=<path>', 'Image library to work on (default: public/images)'],
+    ['--manifest=<file>', 'Manifest file (default: public/api-images.json, or api-images.json in --images-dir)'],
+    ['-h, --help', 'Show help']
+];
+
+/**
+ * The commands, in help order
+ * @type {Object.<string, {summary: string, usage: string, options: Array<string[]>, run: Function}>}
+ */
+const COMMANDS = {
+    index: {
+        summary: 'Rebuild the image manifest',
+        usage: 'index',
+        options: [],
+        run: runIndex
+    },
+    compress: {
+        summary: 'Compress large images, rotate them upright and create derivatives',
+        usage: 'compress',
+        options: [
+            ['--quality=<1-100>', 'Compression quality (default: images.compressionQuality)'],
+            ['--algorithm=<auto|mozjpeg|webp|avif>', 'Compression algorithm'],
+            ['--target-size[=<MB>]', 'Use the highest quality that fits the size limit'],
+            ['--min-quality=<1-100>', 'Lowest quality tried in target-size mode (default: 40)'],
+            ['--allow-downscale', 'Shrink images that don\'t fit at the lowest quality'],
+            ['--parallel=<n>', 'Number of worker threads'],
+            ['--worker-memory=<MB>', 'Memory budget of each worker: heap, libvips cache and largest image (default: 512)'],
+            ['--skip-derivatives', 'Don\'t create resized copies'],
+            ['--force', 'Reprocess images that are unchanged since the last run'],
+            ['--report[=<json|csv>]', 'Write a per-file report'],
+            ['--report-file=<path>', 'Where to write the report'],
+            ['--dry-run', 'Report what would change without changing files']
+        ],
+        run: () => runCompression(getForwardedArgs('compress'))
+    },
+    import: {
+        summary: 'Copy new photos from a folder into the library, then compress and index them',
+        usage: 'import <path>',
+        options: [
+            ['--album=<name>', 'Album to import into (default: the top level)'],
+            ['--rename=date', 'Name photos after their EXIF capture date'],
+            ['--move', 'Delete the source files after importing them'],
+            ['--skip-compress', 'Only index the imported photos'],
+            ['--dry-run', 'Report what would be imported without changing files']
+        ],
+        run: runImportCommand
+    },
+    restore: {
+        summary: 'Restore images from their saved originals',
+        usage: 'restore <image>... | --all',
+        options: [
+            ['--all', 'Restore every image that has a saved original'],
+            ['--dry-run', 'Report what would change without changing files']
+        ],
+        run: () => runCompression(['restore', ...getForwardedArgs('restore')])
+    },
+    verify: {
+        summary: 'Check for unreadable images, an outdated manifest and leftover derivatives',
+        usage: 'verify',
+        options: [
+            ['--json', 'Print the problems as JSON']
+        ],
+        run: runVerify
+    },
+    duplicates: {
+        summary: 'List groups of near-duplicate images and their best shots',
+        usage: 'duplicates',
+        options: [
+            ['--threshold=<0-32>', 'Maximum differing hash bits (default: images.nearDuplicateThreshold)'],
+            ['--json', 'Print the groups as JSON']
+        ],
+        run: runDuplicates
+    },
+    stats: {
+        summary: 'Show the number and size of images, originals and derivatives',
+        usage: 'stats',
+        options: [
+            ['--json', 'Print the statistics as JSON']
+        ],
+        run: runStats
+    },
+    serve: {
+        summary: 'Serve the built app and a photo API to displays on the local network',
+        usage: 'serve',
+        options: [
+            ['--port=<n>', `Port to listen on (default: ${DEFAULT_PORT})`],
+            ['--host=<address>', 'Address to listen on (default: all addresses)'],
+            ['--dist=<path>', 'The built app (default: dist)'],
+            ['--token=<secret>', 'Require "Authorization: Bearer <secret>" to upload, delete and compress'],
+            ['--allow-anonymous-writes', 'Let anyone on the network change the library when there is no token'],
+            ['--max-upload=<MB>', 'Largest accepted upload (default: 50)']
+        ],
+        run: runServe
+    }
+};
+
+/**
+ * Formats a list of options as aligned help lines
+ * @function formatOptions
+ * @param {Array<string[]>} options - Pairs of flag and description
+ * @returns {string} - The help lines
+ */
+function formatOptions(options) {
+    const width = Math.max(...options.map(([flag]) => flag.length));
+    return options.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`).join('\n');
+}
+
+/**
+ * Prints the general help, or the help of one command
+ * @function printHelp
+ * @param {string} [commandName] - The command to describe
+ * @returns {void}
+ */
+function printHelp(commandName) {
+    const command = COMMANDS[commandName];
+
+    if (command) {
+        console.log(`Usage: screensaver ${command.usage} [options]\n\n${command.summary}\n`);
+        console.log(`Options:\n${formatOptions([...command.options, ...COMMON_OPTIONS])}`);
+        return;
+    }
+
+    const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+    console.log('Usage: screensaver <command> [options]\n\nCommands:');
+    Object.entries(COMMANDS).forEach(([name, { summary }]) => {
+        console.log(`  ${name.padEnd(width)}  ${summary}`);
+    });
+    console.log(`\nOptions:\n${formatOptions(COMMON_OPTIONS)}`);
+    console.log('\nRun "screensaver <command> --help" for the options of a command.');
+}
+
+/**
+ * Formats a size in bytes for display
+ * @function formatBytes
+ * @param {number} bytes - The size in bytes
+ * @returns {string} - e.g. "12.3 MB"
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Gets the command line arguments without the command name
+ * @function getForwardedArgs
+ * @param {string} commandName - The command
+ * @returns {string[]} - The other arguments, in their original order
+ */
+function getForwardedArgs(commandName) {
+    const argv = process.argv.slice(2);
+    argv.splice(argv.indexOf(commandName), 1);
+    return argv;
+}
+
+/**
+ * Runs compress-images.js with the given arguments
+ * Ctrl-C reaches the child directly, so the CLI ignores it and waits for the child.
+ * @function runCompression
+ * @param {string[]} argv - Arguments for compress-images.js
+ * @returns {Promise<number>} - The exit code of the compression
+ */
+function runCompression(argv) {
+    return new Promise(resolve => {
+        const ignoreInterrupt = () => {};
+        process.on('SIGINT', ignoreInterrupt);
+
+        const child = spawn(process.execPath, [COMPRESS_SCRIPT, ...argv], { stdio: 'inherit' });
+        child.on('error', error => {
+            console.error('Could not start the compression:', error.message);
+            resolve(EXIT_FATAL);
+        });
+        child.on('exit', (code, signal) => {
+            process.removeListener('SIGINT', ignoreInterrupt);
+            resolve(code === null ? (signal === 'SIGINT' ? EXIT_CANCELLED : EXIT_FATAL) : code);
+        });
+    });
+}
+
+/**
+ * Rebuilds the manifest of the library
+ * @async
+ * @function runIndex
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>} - The exit code
+ */
+async function runIndex(args) {
+    const config = await loadConfig({ quiet: true });
+    const library = resolveLibrary(args);
+    const manifest = await writeManifest(library.imagesDir, library.manifestFile, getSupportedFormats(config),
+        config.images.nearDuplicateThreshold);
+    console.log(`Updated ${path.relative(process.cwd(), library.manifestFile)} with ${manifest.images.length} images in ${manifest.albums.length} albums`);
+    if (manifest.clusters.length > 0) {
+        console.log(`Found ${manifest.clusters.length} groups of near-duplicates, run "screensaver duplicates" to list them.`);
+    }
+    return EXIT_OK;
+}
+
+/**
+ * Gets the library options to pass on to compress-images.js
+ * @function getLibraryArgs
+ * @param {Object} args - Parsed arguments
+ * @returns {string[]} - The --images-dir and --manifest arguments that were given
+ */
+function getLibraryArgs(args) {
+    return ['images-dir', 'manifest']
+        .filter(name => typeof args[name] === 'string')
+        .map(name => `--${name}=${args[name]}`);
+}
+
+/**
+ * Imports photos from a folder, then compresses and indexes the library
+ * @async
+ * @function runImportCommand
+ * @param {Object} args - Parsed arguments; the source folder is the first after the command
+ * @returns {Promise<number>} - The exit code
+ */
+async function runImportCommand(args) {
+    const [, source] = args._;
+    if (!source) {
+        printHelp('import');
+        return EXIT_FATAL;
+    }
+
+    const sourceDir = path.resolve(source);
+    const library = resolveLibrary(args);
+    if (!fs.existsSync(sourceDir) || !fs.statSync(sourceDir).isDirectory()) {
+        console.error(`Not a folder: ${sourceDir}`);
+        return EXIT_FATAL;
+    }
+    if (!path.relative(library.imagesDir, sourceDir).startsWith('..')) {
+        console.error('Cannot import from inside the library itself.');
+        return EXIT_FATAL;
+    }
+
+    const config = await loadConfig({ quiet: true });
+    const plan = await planImport(sourceDir, library, getSupportedFormats(config), {
+        album: typeof args.album === 'string' ? args.album : '',
+        renameByDate: args.rename === 'date'
+    });
+
+    plan.duplicates.forEach(({ sourcePath, duplicateOf, inLibrary }) => {
+        console.log(`  = ${path.relative(sourceDir, sourcePath)}: ${inLibrary
+            ? `already in the library as ${duplicateOf}`
+            : `same photo as ${path.relative(sourceDir, duplicateOf)}`}`);
+    });
+
+    if (args['dry-run']) {
+        plan.imports.forEach(({ sourcePath, targetPath }) => {
+            console.log(`  + ${path.relative(sourceDir, sourcePath)} -> ${targetPath}`);
+        });
+        console.log(`\n${plan.imports.length} photos would be imported, ${plan.duplicates.length} duplicates skipped.`);
+        return EXIT_OK;
+    }
+
+    console.log(`Importing ${plan.imports.length} photos into ${path.relative(process.cwd(), library.imagesDir) || '.'}:`);
+    const { imported, failed } = runImport(plan, library, { move: Boolean(args.move) });
+    console.log(`\n${imported} photos imported, ${plan.duplicates.length} duplicates skipped, ${failed} failed.\n`);
+
+    // Compression also updates the manifest
+    const code = args['skip-compress'] || imported === 0
+        ? await runIndex(args)
+        : await runCompression(getLibraryArgs(args));
+
+    return failed > 0 && code === EXIT_OK ? EXIT_PROBLEMS : code;
+}
+
+/**
+ * Checks the library and lists the problems found
+ * @async
+ * @function runVerify
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>} - EXIT_PROBLEMS if any problem was found
+ */
+async function runVerify(args) {
+    const config = await loadConfig({ quiet: true });
+    const { checked, problems } = await verifyLibrary(resolveLibrary(args), getSupportedFormats(config));
+
+    if (args.json) {
+        console.log(JSON.stringify({ checked, problems }, null, 2));
+    } else {
+        problems.forEach(({ path: problemPath, problem }) => console.log(`  - ${problemPath}: ${problem}`));
+        console.log(`${problems.length > 0 ? '\n' : ''}Checked ${checked} images, found ${problems.length} problems.`);
+        if (problems.some(({ problem }) => problem.includes('manifest'))) {
+            console.log('Run "screensaver index" to update the manifest.');
+        }
+    }
+
+    return problems.length > 0 ? EXIT_PROBLEMS : EXIT_OK;
+}
+
+/**
+ * Lists the near-duplicate images of the library
+ * Groups are read from the manifest, or found again when --threshold is given.
+ * @async
+ * @function runDuplicates
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>} - The exit code
+ */
+async function runDuplicates(args) {
+    const library = resolveLibrary(args);
+    const manifest = readManifest(library.manifestFile);
+    if (!manifest || manifest.version !== MANIFEST_VERSION) {
+        console.error('The manifest is missing or out of date. Run "screensaver index" first.');
+        return EXIT_FATAL;
+    }
+
+    let clusters = manifest.clusters;
+    if (args.threshold !== undefined) {
+        const threshold = Number(args.threshold);
+        if (!Number.isInteger(threshold) || threshold < 0 || threshold > 32) {
+            console.error('--threshold must be a whole number from 0 to 32.');
+            return EXIT_FATAL;
+        }
+        clusters = findNearDuplicates(manifest.images, threshold);
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(clusters, null, 2));
+        return EXIT_OK;
+    }
+
+    const entries = new Map(manifest.images.map(entry => [entry.path, entry]));
+    clusters.forEach((cluster, index) => {
+        const best = entries.get(cluster.best);
+        console.log(`Group ${index + 1}:`);
+        cluster.images.forEach(imagePath => {
+            const entry = entries.get(imagePath);
+            const distance = hammingDistance(best.dhash, entry.dhash);
+            console.log(`  ${imagePath === cluster.best ? '*' : ' '} ${imagePath} (${entry.width}x${entry.height}, ${formatBytes(entry.size)}, ` +
+                `sharpness ${entry.sharpness}${imagePath === cluster.best ? '' : `, ${distance} bits from best`})`);
+        });
+    });
+
+    const duplicates = clusters.reduce((total, cluster) => total + cluster.images.length - 1, 0);
+    console.log(`${clusters.length > 0 ? '\n' : ''}Found ${clusters.length} groups of near-duplicates in ${manifest.images.length} images; ` +
+        `${duplicates} images could be dropped in favor of the best shots (marked *).`);
+    return EXIT_OK;
+}
+
+/**
+ * Prints statistics about the library
+ * @async
+ * @function runStats
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>} - The exit code
+ */
+async function runStats(args) {
+    const config = await loadConfig({ quiet: true });
+    const stats = getLibraryStats(resolveLibrary(args), getSupportedFormats(config));
+
+    if (args.json) {
+        console.log(JSON.stringify(stats, null, 2));
+        return EXIT_OK;
+    }
+
+    console.log(`Images:      ${stats.images} in ${stats.albums} albums, ${formatBytes(stats.size)}`);
+    Object.entries(stats.formats)
+        .sort(([, a], [, b]) => b.count - a.count)
+        .forEach(([format, { count, size }]) => console.log(`  ${format.padEnd(10)} ${count}, ${formatBytes(size)}`));
+    console.log(`Originals:   ${stats.originals.count}, ${formatBytes(stats.originals.size)}`);
+    console.log(`Derivatives: ${stats.derivatives.count}, ${formatBytes(stats.derivatives.size)}`);
+    if (stats.captured) {
+        console.log(`Captured:    ${stats.captured.first.slice(0, 10)} to ${stats.captured.last.slice(0, 10)}`);
+    }
+
+    return EXIT_OK;
+}
+
+/**
+ * Runs the kiosk server until Ctrl-C
+ * @async
+ * @function runServe
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>} - The exit code once the server has stopped
+ */
+async function runServe(args) {
+    const port = args.port === undefined ? DEFAULT_PORT : Number(args.port);
+    const maxUploadMB = args['max-upload'] === undefined ? 50 : Number(args['max-upload']);
+    const distDir = typeof args.dist === 'string' ? path.resolve(args.dist) : DIST_DIR;
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        console.error('--port must be a port number.');
+        return EXIT_FATAL;
+    }
+    if (!(maxUploadMB > 0)) {
+        console.error('--max-upload must be a size in MB.');
+        return EXIT_FATAL;
+    }
+    if (!fs.existsSync(path.join(distDir, 'index.html'))) {
+        console.error(`No built app in ${distDir}. Run "yarn build" first.`);
+        return EXIT_FATAL;
+    }
+
+    const config = await loadConfig({ quiet: true });
+    const library = resolveLibrary(args);
+    const server = createKioskServer({
+        library,
+        distDir,
+        supportedFormats: getSupportedFormats(config),
+        imagesUrl: config.images.directory,
+        nearDuplicateThreshold: config.images.nearDuplicateThreshold,
+        token: typeof args.token === 'string' ? args.token : undefined,
+        allowAnonymousWrites: Boolean(args['allow-anonymous-writes']),
+        maxUploadBytes: maxUploadMB * 1024 * 1024,
+        log: message => console.log(`[${new Date().toLocaleTimeString()}] ${message}`)
+    });
+
+    const { images } = await server.ready();
+    console.log(`Indexed ${images.length} images in ${path.relative(process.cwd(), library.imagesDir) || '.'}`);
+    if (typeof args.token !== 'string') {
+        if (args['allow-anonymous-writes']) {
+            console.warn('Anyone on the network can upload and delete photos; use --token=<secret> to prevent this.');
+        } else {
+            console.log('The library is read-only; use --token=<secret> to allow uploads, deletions and compression.');
+        }
+    }
+
+    return new Promise(resolve => {
+        server.on('error', error => {
+            console.error(`Could not start the server: ${error.message}`);
+            resolve(EXIT_FATAL);
+        });
+        server.listen(port, typeof args.host === 'string' ? args.host : undefined, () => {
+            console.log(`Serving the screensaver at http://${typeof args.host === 'string' ? args.host : 'localhost'}:${server.address().port}/ (Ctrl-C to stop)`);
+        });
+        process.once('SIGINT', () => {
+            console.log('\nStopping the server...');
+            server.close(() => resolve(EXIT_OK));
+            server.closeAllConnections();
+        });
+    });
+}
+
+/**
+ * Runs the command given on the command line
+ * @async
+ * @function main
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const args = parseArgs();
+    const [commandName] = args._;
+
+    if (!commandName || commandName === 'help') {
+        printHelp(args._[1]);
+        process.exitCode = commandName || args.help ? EXIT_OK : EXIT_FATAL;
+        return;
+    }
+
+    const command = COMMANDS[commandName];
+    if (!command) {
+        console.error(`Unknown command "${commandName}". Run "screensaver --help" for the list of commands.`);
+        process.exitCode = EXIT_FATAL;
+        return;
+    }
+
+    if (args.help) {
+        printHelp(commandName);
+        return;
+    }
+
+    process.exitCode = await command.run(args);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = EXIT_FATAL;
+});
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Shared Script Options
+ *
+ * Config loading, command line parsing and library paths shared by the image
+ * maintenance scripts and the screensaver CLI, so every script reads the same
+ * configuration, accepts the same flags and agrees on which files are images.
+ *
+ * A library is an images directory with its original/ and derivatives/ folders, a
+ * manifest and a cache. The default library is public/images; --images-dir points
+ * the scripts at any other directory.
+ *
+ * @module script-options
+ * @author Chris Schweda
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ORIGINAL_DIR_NAME } from './image-manifest.js';
+
+// Get current directory in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * The project root directory
+ * @type {string}
+ */
+export const PROJECT_ROOT = path.join(__dirname, '..');
+
+/**
+ * The images directory the app serves
+ * @type {string}
+ */
+export const DEFAULT_IMAGES_DIR = path.join(PROJECT_ROOT, 'public/images');
+
+/**
+ * The manifest the app loads
+ * @type {string}
+ */
+export const DEFAULT_MANIFEST_FILE = path.join(PROJECT_ROOT, 'public/api-images.json');
+
+// Formats the scripts handle in addition to those configured for the app
+const EXTRA_FORMATS = ['.avif', '.tiff', '.tif'];
+
+// Used when config.js cannot be loaded
+const DEFAULT_CONFIG = {
+    images: {
+        directory: '/images/',
+        supportedFormats: ['.jpg', '.jpeg', '.png', '.webp', '.gif'],
+        maxSizeMB: 1,
+        compressionQuality: 80,
+        derivativeWidths: [400, 1280, 1920, 3840],
+        derivativeFormats: ['webp', 'avif'],
+        derivativeQuality: 75,
+        nearDuplicateThreshold: 6
+    }
+};
+
+/**
+ * Parses command line arguments
+ * --name=value and --name become options (true without a value), -h is --help,
+ * and all other arguments are collected in _.
+ * @function parseArgs
+ * @param {string[]} [argv=process.argv.slice(2)] - The arguments
+ * @returns {Object} - Parsed arguments
+ */
+export function parseArgs(argv = process.argv.slice(2)) {
+    const args = { _: [] };
+    argv.forEach(arg => {
+        if (arg === '-h') {
+            args.help = true;
+        } else if (arg.startsWith('--')) {
+            const [key, ...value] = arg.slice(2).split('=');
+            args[key] = value.length > 0 ? value.join('=') : true;
+        } else {
+            args._.push(arg);
+        }
+    });
+    return args;
+}
+
+/**
+ * Loads the app configuration from src/config.js
+ * @async
+ * @function loadConfig
+ * @param {Object} [options] - Loading options
+ * @param {boolean} [options.quiet=false] - Whether to skip the "Loaded configuration" message
+ * @returns {Promise<Object>} - The configuration, or defaults if it cannot be loaded
+ */
+export async function loadConfig({ quiet = false } = {}) {
+    try {
+        const configModule = await import('../src/config.js');
+        if (!quiet) {
+            console.log('Loaded configuration from config.js');
+        }
+        return configModule.default;
+    } catch (error) {
+        console.warn('Could not load config.js, using default values:', error.message);
+        return DEFAULT_CONFIG;
+    }
+}
+
+/**
+ * Gets the image extensions the scripts handle
+ * @function getSupportedFormats
+ * @param {Object} config - The configuration
+ * @returns {string[]} - Lower case extensions including the dot
+ */
+export function getSupportedFormats(config) {
+    return [...new Set([...config.images.supportedFormats, ...EXTRA_FORMATS])];
+}
+
+/**
+ * Resolves the paths of the library the scripts work on
+ * Libraries other than public/images get their manifest and cache inside the images
+ * directory. Keeping the cache there also keeps staged files on the same file system
+ * as the images, which atomic renames require.
+ * @function resolveLibrary
+ * @param {Object} args - Parsed arguments; --images-dir and --manifest are used
+ * @returns {{imagesDir: string, originalDir: string, manifestFile: string, cacheDir: string}} - Absolute paths
+ */
+export function resolveLibrary(args) {
+    const imagesDir = args['images-dir'] ? path.resolve(args['images-dir']) : DEFAULT_IMAGES_DIR;
+    const isDefault = imagesDir === DEFAULT_IMAGES_DIR;
+
+    return {
+        imagesDir,
+        originalDir: path.join(imagesDir, ORIGINAL_DIR_NAME),
+        manifestFile: args.manifest
+            ? path.resolve(args.manifest)
+            : isDefault ? DEFAULT_MANIFEST_FILE : path.join(imagesDir, 'api-images.json'),
+        cacheDir: isDefault ? path.join(PROJECT_ROOT, '.cache') : path.join(imagesDir, '.cache')
+    };
+}
@@ -1,66 +1,48 @@
 /**
  * @fileoverview Update API Images JSON
  *
- * This script scans the public/images directory and generates a JSON file
- * containing a list of all image files. The JSON file is used by the application
+ * This script scans the public/images directory (including album subfolders) and
+ * generates a JSON manifest of all image files. The JSON file is used by the application
  * to load images without requiring a server-side API.
  *
  * @module update-api-images
  * @author Chris Schweda
- * @version 1.0.0
+ * @version 1.1.0
+ *
+ * Usage: node scripts/update-api-images.js [--images-dir=<path>] [--manifest=<file>]
  */
 
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-// Get current directory in ESM
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { writeManifest } from './image-manifest.js';
+import { parseArgs, loadConfig, getSupportedFormats, resolveLibrary } from './script-options.js';
 
-// Define paths
-const IMAGES_DIR = path.join(__dirname, '../public/images');
-const API_JSON_FILE = path.join(__dirname, '../public/api-images.json');
+const args = parseArgs();
+const config = await loadConfig({ quiet: true });
+const { imagesDir, manifestFile } = resolveLibrary(args);
 
 /**
- * Updates the api-images.json file with all images in the public/images directory
+ * Updates the manifest with all images in the images directory and its albums
+ * @async
  */
-function updateApiImagesJson() {
+async function updateApiImagesJson() {
     try {
         console.log('Updating api-images.json...');
         
         // Check if the images directory exists
-        if (!fs.existsSync(IMAGES_DIR)) {
-            console.warn(`Images directory not found: ${IMAGES_DIR}`);
-            // Create an empty JSON file
-            fs.writeFileSync(API_JSON_FILE, JSON.stringify([], null, 2));
-            console.log('Created empty api-images.json file');
-            return;
+        if (!fs.existsSync(imagesDir)) {
+            console.warn(`Images directory not found: ${imagesDir}`);
         }
         
-        // Get all files in the images directory
-        const files = fs.readdirSync(IMAGES_DIR);
-        
-        // Filter for image files only
-        const imageFiles = files.filter(file => {
-            const filePath = path.join(IMAGES_DIR, file);
-            const isFile = fs.statSync(filePath).isFile();
-            const isImage = /\.(jpg|jpeg|png|gif|webp)$/i.test(file);
-            return isFile && isImage;
-        });
-        
-        // Sort alphabetically
-        imageFiles.sort();
-        
-        // Write to the API JSON file
-        fs.writeFileSync(API_JSON_FILE, JSON.stringify(imageFiles, null, 2));
-        console.log(`Updated ${API_JSON_FILE} with ${imageFiles.length} images`);
+        // Scan the directory recursively and write the manifest
+        const manifest = await writeManifest(imagesDir, manifestFile, getSupportedFormats(config),
+            config.images.nearDuplicateThreshold);
+        console.log(`Updated ${manifestFile} with ${manifest.images.length} images in ${manifest.albums.length} albums`);
     } catch (error) {
-        console.error(`Failed to update ${API_JSON_FILE}:`, error.message);
+        console.error(`Failed to update ${manifestFile}:`, error.message);
         process.exit(1);
     }
 }
 
 // Run the script
-updateApiImagesJson();
+await updateApiImagesJson();
 process.exit(0);
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Live Image Index for the Vite Dev Server
+ *
+ * A Vite plugin that keeps the image manifest up to date while the dev server runs.
+ * It serves the manifest at /api/images, watches the images directory with chokidar
+ * and rebuilds the manifest when images or their derivatives are added, changed or
+ * deleted. Each rebuild is announced to the browser over Vite's HMR connection as an
+ * image-index:update event listing the added, removed and changed image paths, so
+ * the app can refresh its thumbnails and running slideshow without a reload.
+ *
+ * The manifest is only kept in memory; api-images.json on disk is still written by
+ * the index and compress commands, which run before dev and build.
+ *
+ * @module vite-image-index
+ * @author Chris Schweda
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import chokidar from 'chokidar';
+import {
+    buildManifest,
+    findImages,
+    readManifest,
+    MANIFEST_VERSION,
+    ORIGINAL_DIR_NAME,
+    DERIVATIVES_DIR_NAME
+} from './image-manifest.js';
+import { loadConfig, getSupportedFormats, DEFAULT_IMAGES_DIR, DEFAULT_MANIFEST_FILE } from './script-options.js';
+
+/**
+ * URL of the live manifest
+ * @type {string}
+ */
+export const IMAGE_INDEX_ENDPOINT = '/api/images';
+
+/**
+ * Name of the HMR event sent after the manifest changed
+ * @type {string}
+ */
+export const IMAGE_INDEX_EVENT = 'image-index:update';
+
+// Changes arriving within this many milliseconds are indexed together
+const REBUILD_DELAY = 300;
+
+/**
+ * Lists the images whose manifest entry differs between two manifests
+ * @function diffManifests
+ * @param {Object} previous - The previous manifest
+ * @param {Object} next - The rebuilt manifest
+ * @returns {{added: string[], removed: string[], changed: string[]}} - Image paths
+ */
+function diffManifests(previous, next) {
+    const previousEntries = new Map(previous.images.map(entry => [entry.path, JSON.stringify(entry)]));
+    const nextPaths = new Set(next.images.map(entry => entry.path));
+
+    return {
+        added: next.images.filter(entry => !previousEntries.has(entry.path)).map(entry => entry.path),
+        removed: previous.images.filter(entry => !nextPaths.has(entry.path)).map(entry => entry.path),
+        changed: next.images
+            .filter(entry => previousEntries.has(entry.path) && previousEntries.get(entry.path) !== JSON.stringify(entry))
+            .map(entry => entry.path)
+    };
+}
+
+/**
+ * Creates the live image index plugin
+ * @function imageIndexPlugin
+ * @param {Object} [options] - Plugin options
+ * @param {string} [options.imagesDir=DEFAULT_IMAGES_DIR] - The images directory to watch
+ * @param {string} [options.manifestFile=DEFAULT_MANIFEST_FILE] - Manifest whose entries are
+ *     reused at startup, so unchanged images aren't read again
+ * @returns {Object} - The Vite plugin
+ */
+export default function imageIndexPlugin({ imagesDir = DEFAULT_IMAGES_DIR, manifestFile = DEFAULT_MANIFEST_FILE } = {}) {
+    return {
+        name: 'image-index',
+        apply: 'serve',
+
+        async configureServer(server) {
+            const { logger } = server.config;
+            const config = await loadConfig({ quiet: true });
+            const supportedFormats = getSupportedFormats(config);
+            const derivativesDir = path.join(imagesDir, DERIVATIVES_DIR_NAME);
+
+            // Builds the manifest, reusing the entries of unchanged images from previous
+            const rebuild = previous => buildManifest(
+                imagesDir,
+                findImages(imagesDir, supportedFormats),
+                new Map(previous && previous.version === MANIFEST_VERSION && Array.isArray(previous.images)
+                    ? previous.images.map(entry => [entry.path, entry])
+                    : []),
+                config.images.nearDuplicateThreshold
+            );
+
+            // Rebuilds run one after another, each starting from the last manifest
+            let manifest = { images: [] };
+            let pending = rebuild(readManifest(manifestFile)).then(initial => {
+                manifest = initial;
+                logger.info(`[image-index] Indexed ${manifest.images.length} images, watching for changes`, { timestamp: true });
+            }).catch(error => {
+                logger.error(`[image-index] Could not index the images: ${error.message}`, { timestamp: true });
+            });
+
+            // Rebuilds the manifest and tells the browser what changed
+            const update = () => {
+                pending = pending.then(async () => {
+                    const next = await rebuild(manifest);
+                    const changes = diffManifests(manifest, next);
+                    manifest = next;
+
+                    if (changes.added.length + changes.removed.length + changes.changed.length === 0) return;
+
+                    logger.info(`[image-index] ${changes.added.length} added, ${changes.removed.length} removed, ` +
+                        `${changes.changed.length} changed`, { timestamp: true });
+                    server.ws.send({ type: 'custom', event: IMAGE_INDEX_EVENT, data: changes });
+                }).catch(error => {
+                    logger.error(`[image-index] Could not update the image index: ${error.message}`, { timestamp: true });
+                });
+            };
+
+            let timer = null;
+            const scheduleUpdate = () => {
+                clearTimeout(timer);
+                timer = setTimeout(update, REBUILD_DELAY);
+            };
+
+            const watcher = chokidar.watch(imagesDir, {
+                ignoreInitial: true,
+                // Saved originals aren't shown, and hidden files include the cache of other libraries
+                ignored: filePath => path.basename(filePath).startsWith('.') ||
+                    filePath === path.join(imagesDir, ORIGINAL_DIR_NAME) ||
+                    filePath.startsWith(path.join(imagesDir, ORIGINAL_DIR_NAME) + path.sep),
+                // Wait until copied files are complete before reading them
+                awaitWriteFinish: { stabilityThreshold: 500, pollInterval: 100 }
+            });
+
+            watcher.on('all', (event, filePath) => {
+                const isImage = supportedFormats.includes(path.extname(filePath).toLowerCase());
+                if (isImage || filePath.startsWith(derivativesDir) || event === 'unlinkDir') {
+                    scheduleUpdate();
+                }
+            });
+            watcher.on('error', error => {
+                logger.error(`[image-index] Watcher error: ${error.message}`, { timestamp: true });
+            });
+
+            server.httpServer?.once('close', () => {
+                clearTimeout(timer);
+                watcher.close();
+            });
+
+            server.middlewares.use(IMAGE_INDEX_ENDPOINT, (req, res, next) => {
+                if (req.method !== 'GET') return next();
+
+                // Answer with the manifest once any running rebuild is done
+                pending.then(() => {
+                    res.setHeader('Content-Type', 'application/json');
+                    res.setHeader('Cache-Control', 'no-store');
+                    res.end(JSON.stringify(manifest));
+                });
+            });
+        }
+    };
+}
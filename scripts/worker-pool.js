@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Worker Thread Pool
+ *
+ * Runs jobs on a fixed number of worker_threads, so CPU-heavy work (image encoding)
+ * runs outside the main thread. Jobs are queued until a worker is free. Each worker
+ * can be given a memory limit; a worker that runs out of memory or crashes fails
+ * its current job and is replaced for the next one.
+ *
+ * The worker side calls serveJobs() with its job handler. Console output of the
+ * worker is sent to the pool's onLog callback instead of being written directly,
+ * so the main thread decides how to show it (e.g. above a progress bar).
+ *
+ * @module worker-pool
+ * @author Chris Schweda
+ * @version 1.0.0
+ */
+
+import { Worker, parentPort } from 'worker_threads';
+import { format } from 'util';
+
+/**
+ * Error for jobs that were dropped because the pool was terminated
+ */
+export class PoolTerminatedError extends Error {
+    constructor() {
+        super('Worker pool was terminated');
+        this.name = 'PoolTerminatedError';
+    }
+}
+
+/**
+ * Creates a pool of worker threads
+ * @function createWorkerPool
+ * @param {URL|string} workerFile - The worker script; it must call serveJobs()
+ * @param {Object} options - Pool options
+ * @param {number} options.size - Number of workers
+ * @param {*} [options.workerData] - Data passed to every worker
+ * @param {number} [options.memoryLimitMB] - Maximum heap size of each worker
+ * @param {Function} [options.onLog] - Called with (level, text) for console output of the workers
+ * @returns {Object} - Pool with run(job) and terminate() methods
+ */
+export function createWorkerPool(workerFile, { size, workerData, memoryLimitMB, onLog = () => {} }) {
+    const idle = [];
+    const pending = [];
+    const active = new Map();
+    let workerCount = 0;
+    let nextJobId = 0;
+    let terminated = false;
+
+    /**
+     * Starts a new worker and wires up its messages
+     * @returns {Worker} - The worker
+     */
+    function startWorker() {
+        const worker = new Worker(workerFile, {
+            workerData,
+            resourceLimits: memoryLimitMB ? { maxOldGenerationSizeMb: memoryLimitMB } : undefined
+        });
+        workerCount++;
+
+        worker.on('message', message => {
+            if (message.log) {
+                onLog(message.log.level, message.log.text);
+                return;
+            }
+
+            const job = active.get(worker);
+            active.delete(worker);
+            if (message.error) {
+                job.reject(new Error(message.error));
+            } else {
+                job.resolve(message.result);
+            }
+            release(worker);
+        });
+
+        // Out of memory and uncaught errors end the worker; its job fails
+        worker.on('error', error => {
+            const job = active.get(worker);
+            active.delete(worker);
+            if (job) {
+                job.reject(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+                    ? new Error(`Worker ran out of memory (limit ${memoryLimitMB} MB)`)
+                    : error);
+            }
+        });
+
+        worker.on('exit', () => {
+            workerCount--;
+            const index = idle.indexOf(worker);
+            if (index !== -1) idle.splice(index, 1);
+
+            const job = active.get(worker);
+            active.delete(worker);
+            if (job) {
+                job.reject(terminated ? new PoolTerminatedError() : new Error('Worker stopped unexpectedly'));
+            }
+            dispatch();
+        });
+
+        return worker;
+    }
+
+    /**
+     * Hands the next pending job to a worker, or marks the worker idle
+     * @param {Worker} worker - A worker that finished its job
+     * @returns {void}
+     */
+    function release(worker) {
+        if (pending.length > 0) {
+            send(worker, pending.shift());
+        } else {
+            idle.push(worker);
+        }
+    }
+
+    /**
+     * Sends a job to a worker
+     * @param {Worker} worker - An idle worker
+     * @param {Object} job - The queued job
+     * @returns {void}
+     */
+    function send(worker, job) {
+        active.set(worker, job);
+        worker.postMessage({ id: job.id, data: job.data });
+    }
+
+    /**
+     * Starts pending jobs on idle or new workers
+     * @returns {void}
+     */
+    function dispatch() {
+        while (!terminated && pending.length > 0) {
+            if (idle.length > 0) {
+                send(idle.pop(), pending.shift());
+            } else if (workerCount < size) {
+                send(startWorker(), pending.shift());
+            } else {
+                break;
+            }
+        }
+    }
+
+    return {
+        /**
+         * Runs a job on the next free worker
+         * @param {*} data - The job, passed to the worker's handler
+         * @returns {Promise<*>} - The handler's result
+         */
+        run(data) {
+            if (terminated) return Promise.reject(new PoolTerminatedError());
+
+            return new Promise((resolve, reject) => {
+                pending.push({ id: ++nextJobId, data, resolve, reject });
+                dispatch();
+            });
+        },
+
+        /**
+         * Stops all workers; running and queued jobs fail with PoolTerminatedError
+         * @returns {Promise<void>}
+         */
+        async terminate() {
+            terminated = true;
+            pending.splice(0).forEach(job => job.reject(new PoolTerminatedError()));
+            const workers = [...idle, ...active.keys()];
+            idle.length = 0;
+            await Promise.all(workers.map(worker => worker.terminate()));
+        }
+    };
+}
+
+/**
+ * Serves jobs from the pool inside a worker
+ * Console output is forwarded to the pool instead of written to the terminal.
+ * @function serveJobs
+ * @param {Function} handler - Async function called with each job's data
+ * @returns {void}
+ */
+export function serveJobs(handler) {
+    ['log', 'info', 'warn', 'error'].forEach(level => {
+        console[level] = (...values) => {
+            parentPort.postMessage({ log: { level, text: format(...values) } });
+        };
+    });
+
+    parentPort.on('message', async ({ id, data }) => {
+        try {
+            const result = await handler(data);
+            parentPort.postMessage({ id, result });
+        } catch (error) {
+            parentPort.postMessage({ id, error: error.message });
+        }
+    });
+}
@@ -6,9 +6,13 @@
  *
  * @module config
  * @author Chris Schweda
- * @version 1.1.0
+ * @version 1.1.1
  */
 
+import { ORDER_MODES } from './ordering.js';
+import { NEAR_DUPLICATE_MODES } from './near-duplicates.js';
+import { getTransitions, RANDOM_TRANSITION } from './transitions.js';
+
 /**
  * Base configuration object containing all application settings
  * @type {Object}
@@ -22,6 +26,10 @@ const baseConfig = {
      * @property {number} maxSizeMB - Maximum size in MB before compression
      * @property {number} compressionQuality - JPEG compression quality (0-100)
      * @property {number} sampleImageCount - Number of sample images to download
+     * @property {number[]} derivativeWidths - Widths in pixels of the resized copies made for thumbnails and screens
+     * @property {string[]} derivativeFormats - Formats of the resized copies: 'webp' and/or 'avif'
+     * @property {number} derivativeQuality - Quality of the resized copies (0-100)
+     * @property {number} nearDuplicateThreshold - Maximum differing perceptual hash bits (of 64) for near-duplicate images
      */
     images: {
         // Default directory for images
@@ -37,7 +45,22 @@ const baseConfig = {
         compressionQuality: 80,
 
         // Number of sample images to download
-        sampleImageCount: 25
+        sampleImageCount: 25,
+
+        // Widths in pixels of the resized copies made by the compress script; the
+        // smallest is used for thumbnails, the others for common screen sizes
+        derivativeWidths: [400, 1280, 1920, 3840],
+
+        // Formats of the resized copies; browsers without AVIF support use WebP
+        derivativeFormats: ['webp', 'avif'],
+
+        // Quality of the resized copies (0-100)
+        derivativeQuality: 75,
+
+        // How many bits (of 64) the perceptual hashes of two images may differ
+        // for the indexer to treat them as near-duplicates; 0 only matches
+        // visually identical images, higher values also match similar shots
+        nearDuplicateThreshold: 6
     },
 
     /**
@@ -46,8 +69,14 @@ const baseConfig = {
      * @property {number} defaultDuration - Default display duration in seconds
      * @property {number} minDuration - Minimum allowed duration in seconds
      * @property {string} defaultBackgroundColor - Default background color in hex format
-     * @property {number} fadeTransitionDuration - Fade transition duration in milliseconds
-     * @property {boolean} defaultRandomizeOrder - Default randomize order setting
+     * @property {number} fadeTransitionDuration - Crossfade transition duration in milliseconds
+     * @property {string} defaultOrder - Default photo order (see src/ordering.js)
+     * @property {string} defaultTransition - Default transition effect (see src/transitions.js), or 'random'
+     * @property {boolean} defaultKenBurns - Default Ken Burns pan-and-zoom setting
+     * @property {number} kenBurnsMaxZoom - Maximum Ken Burns zoom factor (1 = no zoom)
+     * @property {string} kenBurnsFocus - How Ken Burns views are picked: 'interest' or 'random'
+     * @property {boolean} defaultPhotoDetails - Default setting for showing photo details in the image info overlay
+     * @property {string} defaultNearDuplicates - How near-duplicate images are shown: 'show', 'separate' or 'collapse'
      */
     display: {
         // Default display duration in seconds
@@ -59,11 +88,36 @@ const baseConfig = {
         // Default background color
         defaultBackgroundColor: '#000000',
 
-        // Fade transition duration in milliseconds
+        // Crossfade transition duration in milliseconds
         fadeTransitionDuration: 250,
 
-        // Default randomize order setting
-        defaultRandomizeOrder: false
+        // Default photo order: manual (as arranged in the thumbnail grid), name,
+        // album, date-asc, date-desc, shuffle, shuffle-each-round, favorites
+        // or rarely-shown
+        defaultOrder: 'manual',
+
+        // Default transition effect: fade, slide-left, slide-right, zoom,
+        // wipe-left, wipe-right, dissolve, or random for a new effect per slide
+        defaultTransition: 'fade',
+
+        // Default Ken Burns pan-and-zoom setting
+        defaultKenBurns: false,
+
+        // Maximum Ken Burns zoom factor (1 = no zoom)
+        kenBurnsMaxZoom: 1.3,
+
+        // How Ken Burns views are picked: 'interest' biases the tight view toward
+        // the image's center of interest, 'random' picks both views at random
+        kenBurnsFocus: 'interest',
+
+        // Default photo details setting: show capture date, place, camera and
+        // exposure below the file name instead of just the file name
+        defaultPhotoDetails: false,
+
+        // Default near-duplicate setting: 'show' plays every image, 'separate'
+        // avoids showing near-identical images back to back, 'collapse' only
+        // shows the best shot of each group of near-duplicates
+        defaultNearDuplicates: 'show'
     },
 
     /**
@@ -71,6 +125,7 @@ const baseConfig = {
      * @namespace
      * @property {number} thumbnailSize - Thumbnail size in pixels
      * @property {number} menuHideDelay - Menu hide delay in milliseconds
+     * @property {number} hudHideDelay - Delay in milliseconds before the fullscreen playback controls hide
      * @property {number} messageDisplayDuration - Message display duration in milliseconds
      * @property {string} emptyFolderWarning - Empty folder warning message
      */
@@ -81,6 +136,9 @@ const baseConfig = {
         // Menu hide delay in milliseconds
         menuHideDelay: 300,
 
+        // Delay in milliseconds before the fullscreen playback controls hide
+        hudHideDelay: 2500,
+
         // Message display duration in milliseconds
         messageDisplayDuration: 3000,
 
@@ -88,6 +146,27 @@ const baseConfig = {
         emptyFolderWarning: 'Please add images to the /images/ folder to use the screensaver.'
     },
 
+    /**
+     * Keyboard Settings
+     * @namespace
+     * @property {Object.<string, string[]>} bindings - Keys for each fullscreen action. Keys are
+     *     KeyboardEvent.key values ('Space' for the space bar); an empty array disables an action
+     */
+    keyboard: {
+        bindings: {
+            next: ['ArrowRight'],
+            previous: ['ArrowLeft'],
+            pause: ['Space'],
+            first: ['Home'],
+            last: ['End'],
+            toggleInfo: ['i'],
+            favorite: ['f'],
+            remove: ['Delete'],
+            cycleTransition: ['t'],
+            help: ['?']
+        }
+    },
+
     /**
      * Placeholder Images
      * @namespace
@@ -192,6 +271,8 @@ function validateValue(value, schema, path) {
                 errors.push(`${path} must be a string`);
             } else if (schema.pattern && !schema.pattern.test(value)) {
                 errors.push(`${path} must match pattern ${schema.pattern}`);
+            } else if (schema.enum && !schema.enum.includes(value)) {
+                errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
             }
             break;
 
@@ -239,11 +320,12 @@ function validateValue(value, schema, path) {
 
 /**
  * Validates the entire configuration against the schema
+ * Also used to validate stored settings, with schemas in the same format.
  * @param {Object} config - The configuration to validate
  * @param {Object} schema - The schema to validate against
  * @returns {Array<string>} - Array of error messages, empty if valid
  */
-function validateConfig(config, schema) {
+export function validateConfig(config, schema) {
     const errors = [];
 
     function validateObject(obj, schemaObj, path = '') {
@@ -315,21 +397,50 @@ const configSchema = {
         supportedFormats: { type: 'array', required: true, itemType: 'string' },
         maxSizeMB: { type: 'number', required: true, min: 0.1, max: 10 },
         compressionQuality: { type: 'number', required: true, min: 1, max: 100 },
-        sampleImageCount: { type: 'number', required: true, min: 5, max: 100 }
+        sampleImageCount: { type: 'number', required: true, min: 5, max: 100 },
+        derivativeWidths: { type: 'array', required: true, itemType: 'number' },
+        derivativeFormats: { type: 'array', required: true, itemType: 'string' },
+        derivativeQuality: { type: 'number', required: true, min: 1, max: 100 },
+        nearDuplicateThreshold: { type: 'number', required: true, min: 0, max: 32 }
     },
     display: {
         defaultDuration: { type: 'number', required: true, min: 1, max: 60 },
         minDuration: { type: 'number', required: true, min: 0.5, max: 10 },
         defaultBackgroundColor: { type: 'string', required: true, pattern: /^#[0-9A-Fa-f]{6}$/ },
         fadeTransitionDuration: { type: 'number', required: true, min: 50, max: 1000 },
-        defaultRandomizeOrder: { type: 'boolean', required: true }
+        defaultOrder: { type: 'string', required: true, enum: ORDER_MODES.map(mode => mode.name) },
+        defaultTransition: {
+            type: 'string',
+            required: true,
+            enum: [...getTransitions().map(transition => transition.name), RANDOM_TRANSITION]
+        },
+        defaultKenBurns: { type: 'boolean', required: true },
+        kenBurnsMaxZoom: { type: 'number', required: true, min: 1, max: 2 },
+        kenBurnsFocus: { type: 'string', required: true, enum: ['interest', 'random'] },
+        defaultPhotoDetails: { type: 'boolean', required: true },
+        defaultNearDuplicates: { type: 'string', required: true, enum: NEAR_DUPLICATE_MODES.map(mode => mode.name) }
     },
     ui: {
         thumbnailSize: { type: 'number', required: true, min: 50, max: 500 },
         menuHideDelay: { type: 'number', required: true, min: 0, max: 1000 },
+        hudHideDelay: { type: 'number', required: true, min: 500, max: 30000 },
         messageDisplayDuration: { type: 'number', required: true, min: 500, max: 10000 },
         emptyFolderWarning: { type: 'string', required: true }
     },
+    keyboard: {
+        bindings: {
+            next: { type: 'array', required: true, itemType: 'string' },
+            previous: { type: 'array', required: true, itemType: 'string' },
+            pause: { type: 'array', required: true, itemType: 'string' },
+            first: { type: 'array', required: true, itemType: 'string' },
+            last: { type: 'array', required: true, itemType: 'string' },
+            toggleInfo: { type: 'array', required: true, itemType: 'string' },
+            favorite: { type: 'array', required: true, itemType: 'string' },
+            remove: { type: 'array', required: true, itemType: 'string' },
+            cycleTransition: { type: 'array', required: true, itemType: 'string' },
+            help: { type: 'array', required: true, itemType: 'string' }
+        }
+    },
     placeholders: {
         sampleImages: { type: 'array', required: true },
         errorImageTemplate: { type: 'string', required: true },
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Responsive Image Derivatives
+ *
+ * Picks the best resized copy of an image (made by scripts/compress-images.js and
+ * listed in the manifest) for the size it is shown at. The smallest derivative that
+ * is at least as wide as needed wins; if none is, the full-size image is used.
+ * AVIF is preferred over WebP when the browser can decode it.
+ *
+ * @module derivatives
+ * @author Chris Schweda
+ * @version 1.0.0
+ */
+
+/**
+ * A 1x1 AVIF image used to detect browser support
+ * @type {string}
+ */
+const AVIF_TEST_IMAGE = 'data:image/avif;base64,AAAAHGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZgAAANZtZXRhAAAAAAAAACFoZGxyAAAAAAAAAABwaWN0AAAAAAAAAAAAAAAAAAAAAA5waXRtAAAAAAABAAAAImlsb2MAAAAAREAAAQABAAAAAAD6AAEAAAAAAAAAFwAAACNpaW5mAAAAAAABAAAAFWluZmUCAAAAAAEAAGF2MDEAAAAAVmlwcnAAAAA4aXBjbwAAAAxhdjFDgSACAAAAABRpc3BlAAAAAAAAAAEAAAABAAAAEHBpeGkAAAAAAwgICAAAABZpcG1hAAAAAAAAAAEAAQOBAgMAAAAfbWRhdBIACgc4AAYQENBpMgoYAAAAQAX172To';
+
+// Derivative formats the browser can show, in order of preference
+let supportedFormats = ['webp'];
+
+/**
+ * Detects whether the browser can decode AVIF derivatives
+ * Call once at startup, before picking derivatives.
+ * @async
+ * @function detectDerivativeSupport
+ * @returns {Promise<string[]>} - The usable derivative formats, in order of preference
+ */
+export async function detectDerivativeSupport() {
+    const avif = await new Promise(resolve => {
+        const img = new Image();
+        img.onload = () => resolve(img.width > 0);
+        img.onerror = () => resolve(false);
+        img.src = AVIF_TEST_IMAGE;
+    });
+
+    supportedFormats = avif ? ['avif', 'webp'] : ['webp'];
+    return supportedFormats;
+}
+
+/**
+ * Computes how many pixels wide an image is drawn on a screen
+ * @function getRequiredWidth
+ * @param {Object} image - Image object with width and height from the manifest
+ * @param {Object} viewport - The area the image is shown in
+ * @param {number} viewport.width - Width in CSS pixels
+ * @param {number} viewport.height - Height in CSS pixels
+ * @param {number} [viewport.pixelRatio=1] - The device pixel ratio
+ * @param {boolean} [viewport.cover=false] - Whether the image covers the area instead of fitting inside it
+ * @param {number} [viewport.zoom=1] - Additional zoom applied to the image (e.g. Ken Burns)
+ * @returns {number} - The width in device pixels
+ */
+export function getRequiredWidth(image, { width, height, pixelRatio = 1, cover = false, zoom = 1 }) {
+    // Without known dimensions assume the image has the viewport's aspect ratio
+    const aspect = image.width && image.height ? image.width / image.height : width / height;
+    const fitted = cover ? Math.max(width, height * aspect) : Math.min(width, height * aspect);
+    return Math.ceil(fitted * zoom * pixelRatio);
+}
+
+/**
+ * Picks the URL of the best derivative for the width an image is drawn at
+ * @function pickDerivativeUrl
+ * @param {Object} image - Image object with url and derivatives
+ * @param {number} requiredWidth - Width in device pixels, from getRequiredWidth
+ * @returns {string} - URL of the derivative, or of the full-size image if none is wide enough
+ */
+export function pickDerivativeUrl(image, requiredWidth) {
+    if (!image.derivatives || image.derivatives.length === 0) return image.url;
+
+    for (const format of supportedFormats) {
+        const match = image.derivatives
+            .filter(derivative => derivative.format === format && derivative.width >= requiredWidth)
+            .sort((a, b) => a.width - b.width)[0];
+
+        if (match) return match.url;
+    }
+
+    return image.url;
+}
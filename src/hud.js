@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Playback HUD
+ *
+ * Small auto-hiding control bar shown over the fullscreen slideshow when the
+ * mouse moves, plus a progress bar showing the time left on the current slide.
+ * Button actions are wired up by the main module; this module only manages
+ * visibility, the paused state and the progress display.
+ *
+ * @module hud
+ * @author Chris Schweda
+ * @version 1.0.0
+ */
+
+/**
+ * Creates the playback HUD controller
+ * @function createPlaybackHud
+ * @param {Object} options - HUD options
+ * @param {number} options.hideDelay - Milliseconds of mouse inactivity before the HUD hides
+ * @param {Function} options.getProgress - Returns the current slide's progress (0-1),
+ *     or null when no countdown applies (e.g. a single image)
+ * @returns {Object} - HUD object with start, stop, show, hide and setPaused methods
+ */
+export function createPlaybackHud({ hideDelay, getProgress }) {
+    const surface = document.getElementById('fullscreen-elements');
+    const hud = document.getElementById('playback-hud');
+    const progress = document.getElementById('slide-progress');
+    const progressBar = document.getElementById('slide-progress-bar');
+    const pauseButton = document.getElementById('pause-button');
+
+    let active = false;
+    let paused = false;
+    let hovered = false;
+    let hideTimeout = null;
+    let frameId = null;
+
+    /**
+     * Hides the HUD again after the configured delay
+     * @returns {void}
+     */
+    function scheduleHide() {
+        clearTimeout(hideTimeout);
+        hideTimeout = setTimeout(controller.hide, hideDelay);
+    }
+
+    /**
+     * Updates the progress bar to the time left on the current slide
+     * @returns {void}
+     */
+    function renderProgress() {
+        const value = getProgress();
+        progress.classList.toggle('hidden', value === null);
+        if (value !== null) {
+            progressBar.style.transform = `scaleX(${1 - value})`;
+        }
+        frameId = requestAnimationFrame(renderProgress);
+    }
+
+    const controller = {
+        /**
+         * Activates the HUD when the slideshow enters fullscreen
+         * @returns {void}
+         */
+        start() {
+            active = true;
+            controller.setPaused(false);
+            controller.hide();
+            cancelAnimationFrame(frameId);
+            frameId = requestAnimationFrame(renderProgress);
+        },
+
+        /**
+         * Deactivates the HUD when the slideshow leaves fullscreen
+         * @returns {void}
+         */
+        stop() {
+            active = false;
+            clearTimeout(hideTimeout);
+            cancelAnimationFrame(frameId);
+            hud.classList.add('hud-hidden');
+            surface.classList.remove('hud-idle');
+        },
+
+        /**
+         * Shows the HUD and the mouse cursor
+         * @returns {void}
+         */
+        show() {
+            if (!active) return;
+            hud.classList.remove('hud-hidden');
+            surface.classList.remove('hud-idle');
+            scheduleHide();
+        },
+
+        /**
+         * Hides the HUD and the mouse cursor, unless paused or hovered
+         * @returns {void}
+         */
+        hide() {
+            clearTimeout(hideTimeout);
+            if (paused || hovered) return;
+            hud.classList.add('hud-hidden');
+            surface.classList.add('hud-idle');
+        },
+
+        /**
+         * Reflects the paused state; the HUD stays visible while paused
+         * @param {boolean} isPaused - Whether the slideshow is paused
+         * @returns {void}
+         */
+        setPaused(isPaused) {
+            paused = isPaused;
+            pauseButton.textContent = paused ? '▶' : '⏸';
+            pauseButton.title = paused ? 'Resume' : 'Pause';
+            pauseButton.setAttribute('aria-label', pauseButton.title);
+            surface.classList.toggle('is-paused', paused);
+
+            if (paused) {
+                controller.show();
+            } else if (active) {
+                scheduleHide();
+            }
+        }
+    };
+
+    surface.addEventListener('mousemove', controller.show);
+
+    // Keep the HUD up while the pointer is over it
+    hud.addEventListener('mouseenter', () => {
+        hovered = true;
+        clearTimeout(hideTimeout);
+    });
+    hud.addEventListener('mouseleave', () => {
+        hovered = false;
+        if (active) scheduleHide();
+    });
+
+    return controller;
+}
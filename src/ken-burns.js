@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Ken Burns Pan-and-Zoom Effect
+ *
+ * Slowly pans and zooms an image layer across the slide duration. Start and end
+ * views are rectangles inside the image with the same aspect ratio as the screen,
+ * so the image always fills the screen and its edges are never exposed: portrait
+ * photos pan vertically on a landscape screen, panoramas pan horizontally.
+ *
+ * @module ken-burns
+ * @author Chris Schweda
+ * @version 1.0.0
+ */
+
+/**
+ * Size in pixels of the downscaled image used to estimate the center of interest
+ * @type {number}
+ */
+const FOCUS_SAMPLE_SIZE = 32;
+
+/**
+ * Cache of estimated centers of interest, keyed by image URL
+ * @type {Map<string, ?{x: number, y: number}>}
+ */
+const focusCache = new Map();
+
+/**
+ * Running Ken Burns animations, keyed by image layer
+ * @type {WeakMap<HTMLImageElement, Animation>}
+ */
+const activeMoves = new WeakMap();
+
+/**
+ * Picks a random number between min and max
+ * @function randomBetween
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} - A random number in [min, max]
+ */
+function randomBetween(min, max) {
+    return min + Math.random() * (max - min);
+}
+
+/**
+ * Clamps a value between min and max
+ * @function clamp
+ * @param {number} value - The value to clamp
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} - The clamped value
+ */
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Estimates the center of interest of an image
+ * The image is downscaled and the centroid of its edge energy is used, which
+ * favors detailed subjects over flat sky or background.
+ * @function estimateFocus
+ * @param {HTMLImageElement} img - A loaded image
+ * @returns {?{x: number, y: number}} - Normalized focus point (0-1), or null if the
+ *     image cannot be read (e.g. cross-origin without CORS)
+ */
+export function estimateFocus(img) {
+    if (focusCache.has(img.src)) {
+        return focusCache.get(img.src);
+    }
+
+    let focus = null;
+
+    try {
+        const canvas = document.createElement('canvas');
+        canvas.width = FOCUS_SAMPLE_SIZE;
+        canvas.height = FOCUS_SAMPLE_SIZE;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(img, 0, 0, FOCUS_SAMPLE_SIZE, FOCUS_SAMPLE_SIZE);
+        const { data } = context.getImageData(0, 0, FOCUS_SAMPLE_SIZE, FOCUS_SAMPLE_SIZE);
+
+        // Luminance of every sample
+        const luminance = new Float32Array(FOCUS_SAMPLE_SIZE * FOCUS_SAMPLE_SIZE);
+        for (let i = 0; i < luminance.length; i++) {
+            luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        }
+
+        // Weighted centroid of the gradient magnitude
+        let total = 0;
+        let sumX = 0;
+        let sumY = 0;
+        for (let y = 0; y < FOCUS_SAMPLE_SIZE - 1; y++) {
+            for (let x = 0; x < FOCUS_SAMPLE_SIZE - 1; x++) {
+                const i = y * FOCUS_SAMPLE_SIZE + x;
+                const energy = Math.abs(luminance[i] - luminance[i + 1]) +
+                    Math.abs(luminance[i] - luminance[i + FOCUS_SAMPLE_SIZE]);
+                total += energy;
+                sumX += energy * (x + 0.5);
+                sumY += energy * (y + 0.5);
+            }
+        }
+
+        if (total > 0) {
+            focus = {
+                x: sumX / total / FOCUS_SAMPLE_SIZE,
+                y: sumY / total / FOCUS_SAMPLE_SIZE
+            };
+        }
+    } catch (error) {
+        // Tainted canvas: fall back to random rectangles
+        console.warn(`Could not estimate center of interest for ${img.src}:`, error.message);
+    }
+
+    focusCache.set(img.src, focus);
+    return focus;
+}
+
+/**
+ * Plans the start and end views of a Ken Burns move
+ * @function planKenBurns
+ * @param {Object} options - Planning options
+ * @param {number} options.imageWidth - Natural width of the image
+ * @param {number} options.imageHeight - Natural height of the image
+ * @param {number} options.viewportWidth - Width of the area the image fills
+ * @param {number} options.viewportHeight - Height of the area the image fills
+ * @param {number} [options.maxZoom=1.3] - Maximum zoom relative to filling the viewport
+ * @param {?{x: number, y: number}} [options.focus=null] - Normalized center of interest
+ *     the tighter view is centered on; both views are random when omitted
+ * @returns {Object} - Layer box (left, top, width, height) and from/to keyframes
+ *     for the scale and translate properties
+ */
+export function planKenBurns({ imageWidth, imageHeight, viewportWidth, viewportHeight, maxZoom = 1.3, focus = null }) {
+    // Scale at which the image just covers the viewport
+    const coverScale = Math.max(viewportWidth / imageWidth, viewportHeight / imageHeight);
+    const width = imageWidth * coverScale;
+    const height = imageHeight * coverScale;
+
+    // Largest viewport-shaped rectangle that fits inside the image, in image pixels
+    const maxRectWidth = viewportWidth / coverScale;
+    const maxRectHeight = viewportHeight / coverScale;
+
+    // One end of the move is wide, the other tight; zoom in or out at random
+    const spread = (maxZoom - 1) * 0.2;
+    const wideZoom = randomBetween(1, 1 + spread);
+    const tightZoom = randomBetween(maxZoom - spread, maxZoom);
+
+    /**
+     * Converts a view rectangle to scale/translate keyframe values
+     * @param {number} zoom - Zoom of the rectangle relative to the largest one
+     * @param {?{x: number, y: number}} center - Normalized center, random when null
+     * @returns {{scale: string, translate: string}} - Keyframe values
+     */
+    const toKeyframe = (zoom, center) => {
+        const halfWidth = maxRectWidth / zoom / 2;
+        const halfHeight = maxRectHeight / zoom / 2;
+
+        // Keep the rectangle inside the image so no edge is ever exposed
+        const centerX = center
+            ? clamp(center.x * imageWidth, halfWidth, imageWidth - halfWidth)
+            : randomBetween(halfWidth, imageWidth - halfWidth);
+        const centerY = center
+            ? clamp(center.y * imageHeight, halfHeight, imageHeight - halfHeight)
+            : randomBetween(halfHeight, imageHeight - halfHeight);
+
+        // Move the rectangle center to the middle of the viewport
+        const translateX = -zoom * (centerX - imageWidth / 2) * coverScale;
+        const translateY = -zoom * (centerY - imageHeight / 2) * coverScale;
+
+        return {
+            scale: `${zoom}`,
+            translate: `${translateX}px ${translateY}px`
+        };
+    };
+
+    const wide = toKeyframe(wideZoom, null);
+    const tight = toKeyframe(tightZoom, focus);
+    const zoomIn = Math.random() < 0.5;
+
+    return {
+        left: (viewportWidth - width) / 2,
+        top: (viewportHeight - height) / 2,
+        width,
+        height,
+        from: zoomIn ? wide : tight,
+        to: zoomIn ? tight : wide
+    };
+}
+
+/**
+ * Stops the Ken Burns effect on a layer and restores its normal layout
+ * @function stopKenBurns
+ * @param {HTMLImageElement} layer - The image layer
+ * @returns {void}
+ */
+export function stopKenBurns(layer) {
+    const animation = activeMoves.get(layer);
+    if (animation) {
+        animation.cancel();
+        activeMoves.delete(layer);
+    }
+
+    layer.classList.remove('ken-burns');
+    ['left', 'top', 'width', 'height'].forEach(property => layer.style.removeProperty(property));
+}
+
+/**
+ * Pauses or resumes the Ken Burns move on a layer
+ * @function setKenBurnsPaused
+ * @param {HTMLImageElement} layer - The image layer
+ * @param {boolean} paused - Whether the move should be paused
+ * @returns {void}
+ */
+export function setKenBurnsPaused(layer, paused) {
+    const animation = activeMoves.get(layer);
+    if (!animation) return;
+
+    if (paused) {
+        animation.pause();
+    } else {
+        animation.play();
+    }
+}
+
+/**
+ * Starts a Ken Burns move on a layer that holds a loaded image
+ * @function startKenBurns
+ * @param {HTMLImageElement} layer - The image layer
+ * @param {Object} options - Effect options
+ * @param {number} options.duration - Duration of the move in milliseconds
+ * @param {number} [options.maxZoom=1.3] - Maximum zoom factor
+ * @param {string} [options.focus='interest'] - 'interest' to bias the tight view
+ *     toward the center of interest, 'random' for random views
+ * @returns {void}
+ */
+export function startKenBurns(layer, { duration, maxZoom = 1.3, focus = 'interest' }) {
+    stopKenBurns(layer);
+
+    const viewport = layer.parentElement;
+    if (!layer.naturalWidth || !layer.naturalHeight || typeof layer.animate !== 'function') {
+        return;
+    }
+
+    const plan = planKenBurns({
+        imageWidth: layer.naturalWidth,
+        imageHeight: layer.naturalHeight,
+        viewportWidth: viewport.clientWidth,
+        viewportHeight: viewport.clientHeight,
+        maxZoom,
+        focus: focus === 'interest' ? estimateFocus(layer) : null
+    });
+
+    // Size the layer so the image covers the viewport at zoom 1
+    layer.classList.add('ken-burns');
+    layer.style.left = `${plan.left}px`;
+    layer.style.top = `${plan.top}px`;
+    layer.style.width = `${plan.width}px`;
+    layer.style.height = `${plan.height}px`;
+
+    // Scale and translate are animated separately from transform, so transition
+    // effects can still move the layer while the Ken Burns move is running
+    activeMoves.set(layer, layer.animate([plan.from, plan.to], {
+        duration,
+        easing: 'linear',
+        fill: 'forwards'
+    }));
+}
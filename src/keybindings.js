@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Keyboard Shortcuts
+ *
+ * Maps keys to slideshow actions using the bindings from config.keyboard.bindings,
+ * and renders the help overlay listing the active bindings.
+ *
+ * Keys are KeyboardEvent.key values (e.g. 'ArrowRight', 'Home', 'f'). 'Space' may
+ * be used for the space bar. Single letters match regardless of case.
+ *
+ * @module keybindings
+ * @author Chris Schweda
+ * @version 1.0.0
+ */
+
+/**
+ * Human readable descriptions of the bindable actions, in help overlay order
+ * @type {Object.<string, string>}
+ */
+export const ACTION_LABELS = {
+    next: 'Next image',
+    previous: 'Previous image',
+    pause: 'Pause/resume',
+    first: 'Jump to first image',
+    last: 'Jump to last image',
+    toggleInfo: 'Show/hide image info',
+    favorite: 'Mark/unmark as favorite',
+    remove: 'Remove image from slideshow',
+    cycleTransition: 'Next transition effect',
+    help: 'Show/hide this help'
+};
+
+/**
+ * Display names for keys that don't read well as-is
+ * @type {Object.<string, string>}
+ */
+const KEY_DISPLAY_NAMES = {
+    ' ': 'Space',
+    ArrowRight: '→',
+    ArrowLeft: '←',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc',
+    Delete: 'Del',
+    Backspace: '⌫'
+};
+
+/**
+ * Normalizes a key name so config values and KeyboardEvent.key values compare equal
+ * @function normalizeKey
+ * @param {string} key - A key name
+ * @returns {string} - The normalized key
+ */
+function normalizeKey(key) {
+    if (key === 'Space' || key === 'Spacebar') return ' ';
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Gets the display name of a key for the help overlay
+ * @function describeKey
+ * @param {string} key - A key name from the bindings
+ * @returns {string} - The display name
+ */
+export function describeKey(key) {
+    const normalized = normalizeKey(key);
+    return KEY_DISPLAY_NAMES[normalized] || (normalized.length === 1 ? normalized.toUpperCase() : normalized);
+}
+
+/**
+ * Builds a lookup from key to action
+ * Unknown actions and keys bound to more than one action are reported and skipped.
+ * @function createKeymap
+ * @param {Object.<string, string[]>} bindings - Keys per action
+ * @returns {Map<string, string>} - Action name per normalized key
+ */
+export function createKeymap(bindings) {
+    const keymap = new Map();
+
+    Object.entries(bindings).forEach(([action, keys]) => {
+        if (!(action in ACTION_LABELS)) {
+            console.warn(`Ignoring key bindings for unknown action "${action}"`);
+            return;
+        }
+
+        keys.forEach(key => {
+            const normalized = normalizeKey(key);
+            if (keymap.has(normalized)) {
+                console.warn(`Key "${key}" is bound to both "${keymap.get(normalized)}" and "${action}", keeping "${keymap.get(normalized)}"`);
+                return;
+            }
+            keymap.set(normalized, action);
+        });
+    });
+
+    return keymap;
+}
+
+/**
+ * Finds the action bound to a keyboard event
+ * Events with Ctrl, Alt or Meta held are left to the browser.
+ * @function getActionForEvent
+ * @param {Map<string, string>} keymap - Keymap from createKeymap
+ * @param {KeyboardEvent} event - The keyboard event
+ * @returns {?string} - The action name, or null if the key is not bound
+ */
+export function getActionForEvent(keymap, event) {
+    if (event.ctrlKey || event.altKey || event.metaKey) return null;
+    return keymap.get(normalizeKey(event.key)) || null;
+}
+
+/**
+ * Renders the list of active bindings into the help overlay
+ * @function renderShortcutHelp
+ * @param {HTMLElement} container - The element to render the list into
+ * @param {Object.<string, string[]>} bindings - Keys per action
+ * @returns {void}
+ */
+export function renderShortcutHelp(container, bindings) {
+    container.innerHTML = '';
+
+    Object.entries(ACTION_LABELS).forEach(([action, label]) => {
+        const keys = bindings[action] || [];
+        if (keys.length === 0) return;
+
+        const row = document.createElement('div');
+        row.className = 'shortcut-row';
+
+        const keyList = document.createElement('span');
+        keyList.className = 'shortcut-keys';
+        keys.forEach(key => {
+            const kbd = document.createElement('kbd');
+            kbd.textContent = describeKey(key);
+            keyList.appendChild(kbd);
+        });
+
+        const description = document.createElement('span');
+        description.textContent = label;
+
+        row.appendChild(keyList);
+        row.appendChild(description);
+        container.appendChild(row);
+    });
+}
@@ -9,12 +9,34 @@
  * @author Chris Schweda
  * @version 1.0.0
  * @requires module:config
+ * @requires module:transitions
+ * @requires module:ken-burns
+ * @requires module:scheduler
+ * @requires module:hud
+ * @requires module:keybindings
+ * @requires module:photo-details
+ * @requires module:derivatives
+ * @requires module:near-duplicates
+ * @requires module:ordering
+ * @requires module:settings-store
+ * @requires module:playlist-files
  * @requires module:style.css
  */
 
 import './style.css';
 import config from './config.js';
-import { initializeToggleSwitches } from './toggle-switch.js';
+import { initializeToggleSwitches, refreshToggleSwitches } from './toggle-switch.js';
+import { createTransitionEngine, getTransitionDuration, getTransitions, RANDOM_TRANSITION } from './transitions.js';
+import { startKenBurns, stopKenBurns, setKenBurnsPaused } from './ken-burns.js';
+import { createSlideshowScheduler } from './scheduler.js';
+import { createPlaybackHud } from './hud.js';
+import { createKeymap, getActionForEvent, describeKey, renderShortcutHelp } from './keybindings.js';
+import { getPhotoDetailLines } from './photo-details.js';
+import { detectDerivativeSupport, getRequiredWidth, pickDerivativeUrl } from './derivatives.js';
+import { NEAR_DUPLICATE_MODES, arrangeNearDuplicates } from './near-duplicates.js';
+import { ORDER_MODES, createDisplayOrder, isRandomOrder, isRedrawnEachRound } from './ordering.js';
+import { createSettingsStore, SETTINGS_SCHEMA } from './settings-store.js';
+import { createPlaylistFile, createM3uPlaylist, parsePlaylistFile, findMissingImages } from './playlist-files.js';
 
 /**
  * Loading Overlay Management
@@ -61,15 +83,39 @@ const thumbnailContainer = document.getElementById('thumbnail-container');
 const thumbnailLoading = document.getElementById('thumbnail-loading');
 const selectAllButton = document.getElementById('select-all-button');
 const deselectAllButton = document.getElementById('deselect-all-button');
+const resetOrderButton = document.getElementById('reset-order-button');
 const emptyFolderWarning = document.getElementById('empty-folder-warning');
+const playlistSelect = document.getElementById('playlist-select');
+const newPlaylistButton = document.getElementById('new-playlist-button');
+const renamePlaylistButton = document.getElementById('rename-playlist-button');
+const duplicatePlaylistButton = document.getElementById('duplicate-playlist-button');
+const deletePlaylistButton = document.getElementById('delete-playlist-button');
+const includeNewCheckbox = document.getElementById('include-new-checkbox');
+const exportPlaylistButton = document.getElementById('export-playlist-button');
+const exportM3uButton = document.getElementById('export-m3u-button');
+const exportAllButton = document.getElementById('export-all-button');
+const importPlaylistButton = document.getElementById('import-playlist-button');
+const playlistFileInput = document.getElementById('playlist-file-input');
 const durationInput = document.getElementById('duration-input');
-const randomizeCheckbox = document.getElementById('randomize-checkbox');
+const orderSelect = document.getElementById('order-select');
+const transitionSelect = document.getElementById('transition-select');
+const kenBurnsCheckbox = document.getElementById('ken-burns-checkbox');
+const photoDetailsCheckbox = document.getElementById('photo-details-checkbox');
+const nearDuplicatesSelect = document.getElementById('near-duplicates-select');
 const startButton = document.getElementById('start-button');
+const resetSettingsButton = document.getElementById('reset-settings-button');
 const fullscreenContainer = document.getElementById('fullscreen-container');
 const imageDisplay = document.getElementById('image-display');
+const imageDisplayNext = document.getElementById('image-display-next');
 const imageInfo = document.getElementById('image-info');
 const exitButton = document.getElementById('exit-button');
 const restartButton = document.getElementById('restart-button');
+const prevButton = document.getElementById('prev-button');
+const pauseButton = document.getElementById('pause-button');
+const nextButton = document.getElementById('next-button');
+const shortcutHint = document.getElementById('shortcut-hint');
+const shortcutHelp = document.getElementById('shortcut-help');
+const shortcutList = document.getElementById('shortcut-list');
 const bgColorInput = document.getElementById('bg-color-input');
 const messageBox = document.getElementById('message-box');
 
@@ -93,19 +139,52 @@ let currentOrderIndex = 0;
 /** Current index in the image array being displayed
  * @type {number} */
 let currentImageIndex = 0;
-/** Interval ID for the slideshow
- * @type {number|null} */
-let slideshowInterval;
 /** Default duration in milliseconds between image transitions
  * @type {number} */
 let displayDuration = 5000;
 
-/** Flag to track if images should be displayed in random order
+/** Order in which the selected images are displayed (see src/ordering.js)
+ * @type {string} */
+let orderMode = config.display.defaultOrder;
+/** Name of the transition effect used between images
+ * @type {string} */
+let transitionName = config.display.defaultTransition;
+/** Flag to track if the Ken Burns pan-and-zoom effect is enabled
  * @type {boolean} */
-let randomizeOrder = false;
+let kenBurnsEnabled = config.display.defaultKenBurns;
+/** Flag to track if the image info overlay shows photo details instead of just the file name
+ * @type {boolean} */
+let photoDetailsEnabled = config.display.defaultPhotoDetails;
+/** How near-duplicate images are handled: 'show', 'separate' or 'collapse'
+ * @type {string} */
+let nearDuplicateMode = config.display.defaultNearDuplicates;
 /** Cache for preloaded images
  * @type {Object.<string, boolean>} */
 let preloadedImages = {};
+/** Double-buffered transition engine for the fullscreen image layers
+ * @type {Object} */
+const transitionEngine = createTransitionEngine({
+    layers: [imageDisplay, imageDisplayNext],
+    duration: config.display.fadeTransitionDuration
+});
+/** Scheduler that advances the slideshow once each slide has been shown for displayDuration
+ * @type {Object} */
+const slideshowScheduler = createSlideshowScheduler({
+    duration: displayDuration,
+    onAdvance: () => nextImage()
+});
+/** Auto-hiding playback controls and slide progress bar shown in fullscreen
+ * @type {Object} */
+const playbackHud = createPlaybackHud({
+    hideDelay: config.ui.hudHideDelay,
+    getProgress: () => slideshowScheduler.isRunning() ? slideshowScheduler.getProgress() : null
+});
+/** Lookup from key to fullscreen action, built from config.keyboard.bindings
+ * @type {Map<string, string>} */
+const keymap = createKeymap(config.keyboard.bindings);
+/** Settings and photo selection kept across reloads
+ * @type {Object} */
+const settingsStore = createSettingsStore();
 
 /**
  * Utility Functions
@@ -128,6 +207,66 @@ function showMessage(message, duration = config.ui.messageDisplayDuration) {
 
 // Deprecated compressImageIfNeeded function removed - compression is now handled server-side
 
+/**
+ * URL of the image manifest: the live index served by the dev server, or the
+ * api-images.json written by the index and compress scripts
+ * @type {string}
+ */
+const MANIFEST_URL = import.meta.env.DEV ? '/api/images' : '/api-images.json';
+
+/**
+ * Converts the api-images.json manifest into image objects
+ * Supports both the album manifest written by scripts/image-manifest.js and the
+ * legacy plain array of file names.
+ * @function parseImageManifest
+ * Metadata written by the indexer (width, height, orientation, size, modified,
+ * captured, color, hash, camera, lens, exposure, location, place) is carried over;
+ * it is null for legacy manifests. Derivatives get a url like the image itself.
+ * Images in a near-duplicate cluster get its index as cluster, and clusterBest
+ * marks the cluster's best shot.
+ * @param {*} manifest - The parsed api-images.json content; anything else gives no images
+ * @returns {Object[]} - Image objects with url, name, path, album, selected and metadata properties
+ */
+function parseImageManifest(manifest) {
+    let entries = [];
+    const toUrl = imagePath => config.images.directory + imagePath.split('/').map(encodeURIComponent).join('/');
+
+    if (Array.isArray(manifest)) {
+        // Legacy format: file names in the root of the images directory
+        entries = manifest.map(file => ({ path: file, name: file, album: '' }));
+    } else if (manifest && typeof manifest === 'object' && Array.isArray(manifest.images)) {
+        entries = manifest.images;
+    }
+
+    // A null or malformed manifest has no clusters either; its images come from the fallback
+    const clusters = manifest && typeof manifest === 'object' && Array.isArray(manifest.clusters) ? manifest.clusters : [];
+    const bestShots = new Set(clusters.map(cluster => cluster.best));
+
+    return entries.map(entry => ({
+        url: toUrl(entry.path),
+        name: entry.name,
+        path: entry.path,
+        album: entry.album || '',
+        selected: true,
+        width: entry.width || null,
+        height: entry.height || null,
+        orientation: entry.orientation || null,
+        size: entry.size ?? null,
+        modified: entry.modified || null,
+        captured: entry.captured || null,
+        color: entry.color || null,
+        hash: entry.hash || null,
+        camera: entry.camera || null,
+        lens: entry.lens || null,
+        exposure: entry.exposure || null,
+        location: entry.location || null,
+        place: entry.place || null,
+        cluster: entry.cluster ?? null,
+        clusterBest: bestShots.has(entry.path),
+        derivatives: (entry.derivatives || []).map(derivative => ({ ...derivative, url: toUrl(derivative.path) }))
+    }));
+}
+
 /**
  * Loads images from the images folder and creates thumbnails
  * First tries to load from the local images directory, then falls back to sample images
@@ -140,21 +279,16 @@ async function loadImagesFromFolder() {
         // Show loading indicator
         thumbnailLoading.style.display = 'flex';
 
-        // Clear the thumbnail container (except the loading indicator)
-        Array.from(thumbnailContainer.children).forEach(child => {
-            if (child !== thumbnailLoading) {
-                child.remove();
-            }
-        });
+        clearThumbnails();
 
         // First try to load images from the public/images directory
         let folderImageFiles = [];
 
         try {
             // Try to fetch the list of images from the JSON file
-            const response = await fetch('/api-images.json');
+            const response = await fetch(MANIFEST_URL);
             if (response.ok) {
-                folderImageFiles = await response.json();
+                folderImageFiles = parseImageManifest(await response.json());
                 console.log('Loaded images from JSON file:', folderImageFiles);
             } else {
                 console.warn('Could not fetch images from JSON file, status:', response.status);
@@ -166,23 +300,19 @@ async function loadImagesFromFolder() {
         // If no images were found in the folder, use sample images
         if (folderImageFiles.length === 0) {
             console.log('No images found in the public/images folder, using sample images');
-
-            // Use sample images from config
-            const sampleImages = config.placeholders.sampleImages;
-
-            // Create image objects from sample images
-            folderImages = sampleImages.map(img => ({
-                url: img.url,
-                name: img.name,
-                selected: true
-            }));
+            folderImages = getSampleImages();
         } else {
-            // Create image objects from the files in the public/images directory
-            folderImages = folderImageFiles.map(file => ({
-                url: `/images/${file}`,
-                name: file,
-                selected: true
-            }));
+            // Use the image objects from the files in the public/images directory and its albums
+            folderImages = folderImageFiles;
+
+            // Restore the selection of the active playlist and the favorites
+            const isSelected = settingsStore.getSelection();
+            const isFavorite = settingsStore.getFavorites();
+            folderImages.forEach(image => {
+                image.selected = isSelected(image.path);
+                image.favorite = isFavorite(image.path);
+            });
+            settingsStore.pruneShowCounts(new Set(folderImages.map(image => image.path)));
 
             console.log(`Found ${folderImages.length} images in the public/images folder`);
         }
@@ -205,16 +335,7 @@ async function loadImagesFromFolder() {
         // Hide the warning if we have images
         emptyFolderWarning.classList.add('hidden');
 
-        // Sort images by name for consistent display
-        folderImages.sort((a, b) => a.name.localeCompare(b.name));
-
-        // Create thumbnails for each image
-        folderImages.forEach((image, index) => {
-            createThumbnail(image, index);
-        });
-
-        // Update the selected images array
-        updateSelectedImages();
+        renderThumbnails();
 
         console.log(`Found ${folderImages.length} images in the images folder`);
         return true;
@@ -228,6 +349,181 @@ async function loadImagesFromFolder() {
     }
 }
 
+/**
+ * Creates image objects for the sample images from the config
+ * @function getSampleImages
+ * @returns {Object[]} - Selected image objects with url, name, path, album and sample properties
+ */
+function getSampleImages() {
+    return config.placeholders.sampleImages.map(img => ({
+        url: img.url,
+        name: img.name,
+        path: img.name,
+        album: '',
+        selected: true,
+        sample: true
+    }));
+}
+
+/**
+ * Removes all thumbnails and album headers from the grid
+ * @function clearThumbnails
+ * @returns {void}
+ */
+function clearThumbnails() {
+    // Clear the thumbnail container (except the loading indicator)
+    Array.from(thumbnailContainer.children).forEach(child => {
+        if (child !== thumbnailLoading) {
+            child.remove();
+        }
+    });
+}
+
+/**
+ * Sorts folderImages by the manual order of the active playlist
+ * Images the order doesn't list, e.g. new ones, follow sorted by album, then by name,
+ * which is also the order of playlists without a manual order.
+ * @function sortFolderImages
+ * @returns {void}
+ */
+function sortFolderImages() {
+    const { order } = settingsStore.getActivePlaylist();
+    const positions = new Map(order.map((imagePath, position) => [imagePath, position]));
+    const getPosition = image => (positions.has(image.path) ? positions.get(image.path) : Infinity);
+
+    folderImages.sort((a, b) =>
+        (getPosition(a) - getPosition(b)) || a.album.localeCompare(b.album) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Sorts folderImages and fills the thumbnail grid with them
+ * @function renderThumbnails
+ * @returns {void}
+ */
+function renderThumbnails() {
+    clearThumbnails();
+
+    // Thumbnails show the order in which the slideshow plays when arranged manually
+    sortFolderImages();
+
+    // Album headers are only needed when images are organized in folders; a manual
+    // order that mixes albums gets a header each time the album changes
+    const hasAlbums = folderImages.some(image => image.album !== '');
+
+    // Create thumbnails for each image, with a header at the start of each album.
+    // Parent albums that only hold sub-albums get a header too, so they can be
+    // selected as a whole.
+    folderImages.forEach((image, index) => {
+        if (hasAlbums) {
+            const previousChain = index === 0 ? [] : getAlbumChain(folderImages[index - 1].album);
+            getAlbumChain(image.album)
+                .filter(albumPath => !previousChain.includes(albumPath))
+                .forEach(createAlbumHeader);
+        }
+        createThumbnail(image, index);
+    });
+
+    // Update the selected images array
+    updateSelectedImages();
+}
+
+/**
+ * Applies changes to the images folder reported by the dev server's live index
+ * New images are selected if the active playlist adds new photos; the others keep
+ * their selection and favorite state. A running slideshow keeps its order and current image, drops deleted
+ * images and shows new ones later in the order.
+ * @function handleImageIndexUpdate
+ * @async
+ * @param {{added: string[], removed: string[], changed: string[]}} changes - Changed image paths
+ * @returns {Promise<void>}
+ */
+async function handleImageIndexUpdate(changes) {
+    let images;
+    try {
+        const response = await fetch(MANIFEST_URL);
+        if (!response.ok) throw new Error(`status ${response.status}`);
+        images = parseImageManifest(await response.json());
+    } catch (error) {
+        console.warn('Could not reload the image index:', error);
+        return;
+    }
+
+    // Remember the slideshow by path, as indices change with the new images
+    const isFullscreen = !!(document.fullscreenElement || document.webkitFullscreenElement);
+    const shownPaths = displayOrder.map(index => selectedImages[index]?.path);
+    const currentPath = selectedImages[currentImageIndex]?.path;
+
+    // Keep the existing image objects, so selection and favorites survive
+    const knownImages = new Map(folderImages.map(image => [image.path, image]));
+    const isSelected = settingsStore.getSelection();
+    const isFavorite = settingsStore.getFavorites();
+    folderImages = images.length > 0
+        ? images.map(image => {
+            const known = knownImages.get(image.path);
+            return known
+                ? Object.assign(known, image, { selected: known.selected })
+                : { ...image, selected: isSelected(image.path), favorite: isFavorite(image.path) };
+        })
+        : getSampleImages();
+    if (images.length > 0) {
+        settingsStore.pruneShowCounts(new Set(images.map(image => image.path)));
+    }
+
+    emptyFolderWarning.classList.add('hidden');
+    renderThumbnails();
+    console.log(`Image folder changed: ${changes.added.length} added, ${changes.removed.length} removed, ${changes.changed.length} changed`);
+
+    if (!isFullscreen) return;
+
+    if (selectedImages.length === 0) {
+        exitFullscreen();
+        showMessage("No images left in the slideshow.", 4000);
+        return;
+    }
+
+    const indexByPath = new Map(selectedImages.map((image, index) => [image.path, index]));
+    const addedIndices = changes.added.filter(path => indexByPath.has(path)).map(path => indexByPath.get(path));
+
+    if (isRandomOrder(orderMode)) {
+        // Shuffle the new images into the rest of the current round
+        const order = shownPaths.filter(path => indexByPath.has(path)).map(path => indexByPath.get(path));
+        const start = order.indexOf(indexByPath.get(currentPath)) + 1;
+        addedIndices.forEach(index => {
+            order.splice(start + Math.floor(Math.random() * (order.length - start + 1)), 0, index);
+        });
+        displayOrder = arrangeNearDuplicates(order, selectedImages, nearDuplicateMode);
+    } else {
+        displayOrder = generateDisplayOrder(selectedImages.length);
+    }
+
+    let showCurrent = false;
+    const currentIndex = indexByPath.get(currentPath);
+    if (currentIndex !== undefined && displayOrder.includes(currentIndex)) {
+        currentImageIndex = currentIndex;
+        currentOrderIndex = displayOrder.indexOf(currentIndex);
+        updateImageInfo(currentImageIndex);
+    } else {
+        // The current image was deleted, so the next one takes its place
+        currentOrderIndex = Math.min(currentOrderIndex, displayOrder.length - 1);
+        currentImageIndex = displayOrder[currentOrderIndex];
+        showCurrent = true;
+    }
+
+    // A single image needs no countdown, a second one starts it again
+    if (displayOrder.length === 1) {
+        stopSlideshow();
+    } else if (!slideshowScheduler.isRunning()) {
+        startSlideshow();
+        showCurrent = true;
+    }
+
+    if (showCurrent) showSlide(currentImageIndex);
+
+    if (changes.added.length > 0 || changes.removed.length > 0) {
+        showMessage(`Image folder changed: ${changes.added.length} added, ${changes.removed.length} removed.`);
+    }
+}
+
 /**
  * Creates a thumbnail element for an image
  * @function createThumbnail
@@ -241,13 +537,18 @@ async function loadImagesFromFolder() {
 function createThumbnail(image, index) {
     // Create the thumbnail container
     const thumbnailItem = document.createElement('div');
-    thumbnailItem.className = 'thumbnail-item' + (image.selected ? ' selected' : '');
+    thumbnailItem.className = 'thumbnail-item' + (image.selected ? ' selected' : '') + (image.favorite ? ' favorite' : '');
     thumbnailItem.dataset.index = index;
 
     // Create a container for the image and loading spinner
     const imageContainer = document.createElement('div');
     imageContainer.className = 'thumbnail-image-container';
 
+    // Use the image's dominant color as a placeholder while it loads
+    if (image.color) {
+        imageContainer.style.backgroundColor = image.color;
+    }
+
     // Create the loading spinner
     const spinner = document.createElement('div');
     spinner.className = 'thumbnail-spinner';
@@ -261,6 +562,9 @@ function createThumbnail(image, index) {
     const img = document.createElement('img');
     img.className = 'thumbnail-image';
     img.alt = image.name;
+    if (image.width && image.height) {
+        thumbnailItem.title = `${image.name} (${image.width} × ${image.height})`;
+    }
     img.loading = 'lazy'; // Lazy load images for better performance
 
     // Add load event to hide spinner when image loads
@@ -277,8 +581,12 @@ function createThumbnail(image, index) {
         img.src = `data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='150' height='150' viewBox='0 0 150 150'%3E%3Crect width='150' height='150' fill='%23374151'/%3E%3Ctext x='75' y='75' font-family='Arial' font-size='14' fill='white' text-anchor='middle' dominant-baseline='middle'%3E${image.name}%3C/text%3E%3C/svg%3E`;
     };
 
-    // Set the image source after setting up events
-    img.src = image.url;
+    // Set the image source after setting up events, using a small derivative if there is one
+    img.src = pickDerivativeUrl(image, getRequiredWidth(image, {
+        width: config.ui.thumbnailSize,
+        height: config.ui.thumbnailSize,
+        pixelRatio: window.devicePixelRatio || 1
+    }));
 
     // Create the checkbox
     const checkbox = document.createElement('input');
@@ -294,6 +602,27 @@ function createThumbnail(image, index) {
         updateSelectedImages();
     });
 
+    // Sample images stand in for an empty library and can't be reordered
+    if (!image.sample) {
+        checkbox.setAttribute('aria-label', `${image.name}, photo ${index + 1} of ${folderImages.length}`);
+        checkbox.setAttribute('aria-describedby', 'thumbnail-order-hint');
+        checkbox.addEventListener('keydown', (e) => handleThumbnailKeydown(e, index));
+        addThumbnailDragHandlers(thumbnailItem, index);
+    }
+
+    // Create the favorite toggle, for the order that favors favorites
+    const favoriteButton = document.createElement('button');
+    favoriteButton.type = 'button';
+    favoriteButton.className = 'thumbnail-favorite';
+    favoriteButton.textContent = '★';
+    favoriteButton.setAttribute('aria-label', `Favorite: ${image.name}`);
+    favoriteButton.setAttribute('aria-pressed', String(Boolean(image.favorite)));
+    favoriteButton.addEventListener('click', (e) => {
+        // Don't toggle the selection as well
+        e.stopPropagation();
+        toggleFavorite(image);
+    });
+
     // Create the image name label
     const nameLabel = document.createElement('div');
     nameLabel.className = 'thumbnail-name';
@@ -316,12 +645,224 @@ function createThumbnail(image, index) {
     // Append elements to the thumbnail
     thumbnailItem.appendChild(imageContainer);
     thumbnailItem.appendChild(checkbox);
+    thumbnailItem.appendChild(favoriteButton);
     thumbnailItem.appendChild(nameLabel);
 
     // Add the thumbnail to the container
     thumbnailContainer.appendChild(thumbnailItem);
 }
 
+/**
+ * Moves an image to another position in the order of the active playlist
+ * The thumbnails are redrawn; the order is stored as the playlist's manual order.
+ * @function moveImage
+ * @param {number} fromIndex - Index of the image in the folderImages array
+ * @param {number} toIndex - The new index of the image
+ * @returns {boolean} - Whether the image was moved
+ */
+function moveImage(fromIndex, toIndex) {
+    if (toIndex === fromIndex || toIndex < 0 || toIndex >= folderImages.length) return false;
+
+    const [image] = folderImages.splice(fromIndex, 1);
+    folderImages.splice(toIndex, 0, image);
+    settingsStore.saveOrder(folderImages.map(folderImage => folderImage.path));
+    renderThumbnails();
+    return true;
+}
+
+/**
+ * Moves the image of a focused thumbnail with Alt+arrow keys, Alt+Home and Alt+End
+ * @function handleThumbnailKeydown
+ * @param {KeyboardEvent} event - The keydown event of the thumbnail checkbox
+ * @param {number} index - Index of the image in the folderImages array
+ * @returns {void}
+ */
+function handleThumbnailKeydown(event, index) {
+    if (!event.altKey || event.ctrlKey || event.metaKey) return;
+
+    const targets = {
+        ArrowLeft: index - 1,
+        ArrowUp: index - 1,
+        ArrowRight: index + 1,
+        ArrowDown: index + 1,
+        Home: 0,
+        End: folderImages.length - 1
+    };
+    if (!(event.key in targets)) return;
+    event.preventDefault();
+
+    const toIndex = targets[event.key];
+    const { name } = folderImages[index];
+    if (!moveImage(index, toIndex)) return;
+
+    // The thumbnails were redrawn, so focus the moved image again
+    thumbnailContainer.querySelector(`.thumbnail-item[data-index="${toIndex}"] .thumbnail-checkbox`)?.focus();
+    showMessage(`Moved ${name} to position ${toIndex + 1} of ${folderImages.length}.`);
+}
+
+/**
+ * Lets a thumbnail be dragged to another position and other thumbnails be dropped on it
+ * Dropping on the left half of a thumbnail puts the dragged image before it, on the
+ * right half after it.
+ * @function addThumbnailDragHandlers
+ * @param {HTMLElement} thumbnailItem - The thumbnail element
+ * @param {number} index - Index of the image in the folderImages array
+ * @returns {void}
+ */
+function addThumbnailDragHandlers(thumbnailItem, index) {
+    thumbnailItem.draggable = true;
+
+    /**
+     * Tells whether the pointer is over the right half of the thumbnail
+     * @param {DragEvent} event - The drag event
+     * @returns {boolean} - True to drop after this thumbnail
+     */
+    function isAfter(event) {
+        const rect = thumbnailItem.getBoundingClientRect();
+        return event.clientX > rect.left + rect.width / 2;
+    }
+
+    /**
+     * Removes the drop position markers
+     * @returns {void}
+     */
+    function clearDropMarkers() {
+        thumbnailItem.classList.remove('drop-before', 'drop-after');
+    }
+
+    thumbnailItem.addEventListener('dragstart', (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(index));
+        thumbnailItem.classList.add('dragging');
+    });
+
+    thumbnailItem.addEventListener('dragend', () => {
+        thumbnailItem.classList.remove('dragging');
+    });
+
+    thumbnailItem.addEventListener('dragover', (e) => {
+        e.preventDefault(); // Allow dropping
+        e.dataTransfer.dropEffect = 'move';
+        const after = isAfter(e);
+        thumbnailItem.classList.toggle('drop-before', !after);
+        thumbnailItem.classList.toggle('drop-after', after);
+    });
+
+    thumbnailItem.addEventListener('dragleave', clearDropMarkers);
+
+    thumbnailItem.addEventListener('drop', (e) => {
+        e.preventDefault();
+        clearDropMarkers();
+
+        const fromIndex = parseInt(e.dataTransfer.getData('text/plain'), 10);
+        if (isNaN(fromIndex) || !folderImages[fromIndex]) return;
+
+        // Removing the dragged image first shifts the later positions back by one
+        let toIndex = index + (isAfter(e) ? 1 : 0);
+        if (fromIndex < toIndex) toIndex--;
+
+        const { name } = folderImages[fromIndex];
+        if (moveImage(fromIndex, toIndex)) {
+            showMessage(`Moved ${name} to position ${toIndex + 1} of ${folderImages.length}.`);
+        }
+    });
+}
+
+/**
+ * Lists an album and the albums it is nested in
+ * @function getAlbumChain
+ * @param {string} albumPath - The album path, '' for the root album
+ * @returns {string[]} - Album paths from the outermost album to albumPath itself
+ */
+function getAlbumChain(albumPath) {
+    if (albumPath === '') return [''];
+    const parts = albumPath.split('/');
+    return parts.map((_, i) => parts.slice(0, i + 1).join('/'));
+}
+
+/**
+ * Gets the indices of the images in an album, including its sub-albums
+ * @function getAlbumImageIndices
+ * @param {string} albumPath - The album path, '' for the root album
+ * @returns {number[]} - Indices into folderImages
+ */
+function getAlbumImageIndices(albumPath) {
+    const indices = [];
+    folderImages.forEach((image, index) => {
+        if (image.album === albumPath || (albumPath !== '' && image.album.startsWith(`${albumPath}/`))) {
+            indices.push(index);
+        }
+    });
+    return indices;
+}
+
+/**
+ * Creates a header row in the thumbnail grid that selects a whole album
+ * @function createAlbumHeader
+ * @param {string} albumPath - The album path, '' for the root album
+ * @returns {void}
+ */
+function createAlbumHeader(albumPath) {
+    const header = document.createElement('label');
+    header.className = 'album-header';
+    header.dataset.album = albumPath;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'album-checkbox';
+    checkbox.addEventListener('change', (e) => {
+        getAlbumImageIndices(albumPath).forEach(index => setImageSelected(index, e.target.checked));
+        updateSelectedImages();
+    });
+
+    const title = document.createElement('span');
+    title.className = 'album-title';
+    title.textContent = albumPath === '' ? 'Main folder' : albumPath.split('/').join(' / ');
+
+    const count = document.createElement('span');
+    count.className = 'album-count';
+    count.textContent = `${getAlbumImageIndices(albumPath).length} photos`;
+
+    header.appendChild(checkbox);
+    header.appendChild(title);
+    header.appendChild(count);
+    thumbnailContainer.appendChild(header);
+}
+
+/**
+ * Syncs the album header checkboxes with the selection of their images
+ * @function updateAlbumHeaders
+ * @returns {void}
+ */
+function updateAlbumHeaders() {
+    thumbnailContainer.querySelectorAll('.album-header').forEach(header => {
+        const indices = getAlbumImageIndices(header.dataset.album);
+        const selectedCount = indices.filter(index => folderImages[index].selected).length;
+        const checkbox = header.querySelector('.album-checkbox');
+        checkbox.checked = selectedCount > 0 && selectedCount === indices.length;
+        checkbox.indeterminate = selectedCount > 0 && selectedCount < indices.length;
+    });
+}
+
+/**
+ * Sets the selected state of an image and its thumbnail
+ * Call updateSelectedImages afterwards to refresh the selection.
+ * @function setImageSelected
+ * @param {number} index - The index of the image in the folderImages array
+ * @param {boolean} selected - Whether the image is selected
+ * @returns {void}
+ */
+function setImageSelected(index, selected) {
+    folderImages[index].selected = selected;
+
+    const thumbnailItem = thumbnailContainer.querySelector(`.thumbnail-item[data-index="${index}"]`);
+    if (thumbnailItem) {
+        thumbnailItem.classList.toggle('selected', selected);
+        const checkbox = thumbnailItem.querySelector('.thumbnail-checkbox');
+        if (checkbox) checkbox.checked = selected;
+    }
+}
+
 /**
  * Updates the selectedImages array based on the selected state of folderImages
  * @function updateSelectedImages
@@ -329,17 +870,28 @@ function createThumbnail(image, index) {
  */
 function updateSelectedImages() {
     selectedImages = folderImages.filter(image => image.selected);
+    // Remember the selection in the active playlist; sample images stand in for an
+    // empty library and aren't part of playlists
+    if (folderImages.length > 0 && !folderImages[0].sample) {
+        settingsStore.saveSelection(
+            selectedImages.map(image => image.path),
+            folderImages.filter(image => !image.selected).map(image => image.path)
+        );
+    }
+    // Keep the album checkboxes in sync with the selection
+    updateAlbumHeaders();
     // Update the start button text whenever selected images change
     updateStartButtonText();
 }
 
 /**
- * Updates the start button text with the current number of selected images
+ * Updates the start button text with the active playlist and its number of selected images
  * @function updateStartButtonText
  * @returns {void}
  */
 function updateStartButtonText() {
-    startButton.textContent = `Start Screensaver (${selectedImages.length} photos)`;
+    const { name } = settingsStore.getActivePlaylist();
+    startButton.textContent = `Start "${name}" (${selectedImages.length} photos)`;
     startButton.disabled = selectedImages.length === 0;
 }
 
@@ -353,36 +905,200 @@ function getCurrentImageList() {
 }
 
 /**
- * Generates the display order for images based on randomization setting
- * @param {number} length - The number of images
- * @returns {number[]} - Array of indices representing the display order
+ * Fills the transition select with the registered transitions
+ * @function populateTransitionSelect
+ * @returns {void}
  */
-function generateDisplayOrder(length) {
-    if (length === 0) return [];
+function populateTransitionSelect() {
+    transitionSelect.innerHTML = '';
+
+    const options = [
+        ...getTransitions(),
+        { name: RANDOM_TRANSITION, label: 'Random (per slide)' }
+    ];
+
+    options.forEach(({ name, label }) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = label;
+        transitionSelect.appendChild(option);
+    });
+}
 
-    // Create an array of indices [0, 1, 2, ..., length-1]
-    const order = Array.from({ length }, (_, i) => i);
+/**
+ * Fills the photo order select with the available orders
+ * @function populateOrderSelect
+ * @returns {void}
+ */
+function populateOrderSelect() {
+    orderSelect.innerHTML = '';
+
+    ORDER_MODES.forEach(({ name, label }) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = label;
+        orderSelect.appendChild(option);
+    });
+}
 
-    // If randomize is enabled, shuffle the array
-    if (randomizeOrder) {
-        // Fisher-Yates shuffle algorithm
-        for (let i = order.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [order[i], order[j]] = [order[j], order[i]]; // Swap elements
-        }
+/**
+ * Fills the near-duplicate select with the available modes
+ * @function populateNearDuplicatesSelect
+ * @returns {void}
+ */
+function populateNearDuplicatesSelect() {
+    nearDuplicatesSelect.innerHTML = '';
+
+    NEAR_DUPLICATE_MODES.forEach(({ name, label }) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = label;
+        nearDuplicatesSelect.appendChild(option);
+    });
+}
+
+/**
+ * Fills the playlist select with the saved playlists and selects the active one
+ * @function populatePlaylistSelect
+ * @returns {void}
+ */
+function populatePlaylistSelect() {
+    playlistSelect.innerHTML = '';
+
+    const playlists = settingsStore.getPlaylists();
+    playlists.forEach(({ id, name }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        playlistSelect.appendChild(option);
+    });
+
+    playlistSelect.value = settingsStore.getActivePlaylist().id;
+    // The last playlist can't be deleted
+    deletePlaylistButton.disabled = playlists.length === 1;
+}
+
+/**
+ * Asks for a playlist name
+ * @function askPlaylistName
+ * @param {string} message - The question
+ * @param {string} defaultName - The suggested name
+ * @returns {?string} - The trimmed name, or null if the dialog was cancelled or left blank
+ */
+function askPlaylistName(message, defaultName) {
+    const name = window.prompt(message, defaultName);
+    return name && name.trim() ? name.trim() : null;
+}
+
+/**
+ * Makes a file name from a playlist name
+ * @function getPlaylistFileName
+ * @param {string} name - The playlist name
+ * @param {string} extension - The file extension including the dot
+ * @returns {string} - The file name
+ */
+function getPlaylistFileName(name, extension) {
+    const baseName = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${baseName || 'playlist'}${extension}`;
+}
+
+/**
+ * Lets the browser download text as a file
+ * @function downloadFile
+ * @param {string} fileName - The file name
+ * @param {string} text - The file contents
+ * @param {string} type - The MIME type
+ * @returns {void}
+ */
+function downloadFile(fileName, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Imports the playlists of a playlist file or M3U-style list
+ * Files holding all playlists replace the existing ones after confirmation; other
+ * files add their playlist. Selected images that aren't in the library are kept in
+ * the playlist and reported.
+ * @function importPlaylistFile
+ * @async
+ * @param {File} file - The chosen file
+ * @returns {Promise<void>}
+ */
+async function importPlaylistFile(file) {
+    let parsed;
+    try {
+        parsed = parsePlaylistFile(await file.text(), file.name);
+    } catch (error) {
+        console.warn('Could not import playlists:', error);
+        showMessage(error.message, 6000);
+        return;
     }
 
-    return order;
+    if (parsed.all && !window.confirm(`Replace all playlists with the ${parsed.playlists.length} playlists in ${file.name}?`)) {
+        return;
+    }
+
+    const imported = settingsStore.importPlaylists(parsed.playlists, { replace: parsed.all, activeIndex: parsed.activeIndex });
+    applyPlaylist(settingsStore.getActivePlaylist());
+    populatePlaylistSelect();
+
+    const libraryPaths = new Set(folderImages.filter(image => !image.sample).map(image => image.path));
+    const missing = [...new Set(imported.flatMap(playlist => findMissingImages(playlist, libraryPaths)))];
+    const summary = imported.length === 1 ? `Imported playlist ${imported[0].name}.` : `Imported ${imported.length} playlists.`;
+
+    if (missing.length > 0) {
+        console.warn('Imported photos that are not in this library:', missing);
+        const listed = missing.slice(0, 3).join(', ');
+        const more = missing.length > 3 ? ` and ${missing.length - 3} more` : '';
+        showMessage(`${summary} ${missing.length} photos are not in this library: ${listed}${more}.`, 8000);
+    } else {
+        showMessage(summary);
+    }
+}
+
+/**
+ * Generates the display order for images based on the order and near-duplicate settings
+ * @param {number} length - The number of images
+ * @param {?number} [previousLast=null] - Index of the image that ended the previous
+ *     round, which a new random round doesn't start with, nor with one of its near-duplicates
+ * @returns {number[]} - Array of indices representing the display order; it is
+ *     shorter than length when near-duplicates are collapsed
+ */
+function generateDisplayOrder(length, previousLast = null) {
+    if (length === 0) return [];
+
+    const order = createDisplayOrder(selectedImages, orderMode, {
+        previousLast,
+        showCounts: orderMode === 'rarely-shown' ? settingsStore.getShowCounts() : {}
+    });
+
+    return arrangeNearDuplicates(order, selectedImages, nearDuplicateMode, previousLast);
 }
 
 /**
  * Gets the URL for an image at the specified index
+ * Picks the smallest derivative that is sharp on this screen; Ken Burns needs a
+ * larger one as it fills the screen and zooms in.
  * @param {number} index - The index of the image
  * @returns {string} - The URL of the image
  */
 function getImageUrl(index) {
     if (index < 0 || index >= selectedImages.length) return '';
-    return selectedImages[index].url;
+    const image = selectedImages[index];
+    return pickDerivativeUrl(image, getRequiredWidth(image, {
+        width: window.screen.width,
+        height: window.screen.height,
+        pixelRatio: window.devicePixelRatio || 1,
+        cover: kenBurnsEnabled,
+        zoom: kenBurnsEnabled ? config.display.kenBurnsMaxZoom : 1
+    }));
 }
 
 /**
@@ -435,17 +1151,7 @@ function preloadImages(startIndex, count = 3) {
 // Handle select all button click
 selectAllButton.addEventListener('click', () => {
     // Update all images to be selected
-    folderImages.forEach((image, index) => {
-        image.selected = true;
-
-        // Update the UI
-        const thumbnailItem = thumbnailContainer.querySelector(`.thumbnail-item[data-index="${index}"]`);
-        if (thumbnailItem) {
-            thumbnailItem.classList.add('selected');
-            const checkbox = thumbnailItem.querySelector('.thumbnail-checkbox');
-            if (checkbox) checkbox.checked = true;
-        }
-    });
+    folderImages.forEach((image, index) => setImageSelected(index, true));
 
     // Update the selected images array
     updateSelectedImages();
@@ -456,17 +1162,7 @@ selectAllButton.addEventListener('click', () => {
 // Handle deselect all button click
 deselectAllButton.addEventListener('click', () => {
     // Update all images to be deselected
-    folderImages.forEach((image, index) => {
-        image.selected = false;
-
-        // Update the UI
-        const thumbnailItem = thumbnailContainer.querySelector(`.thumbnail-item[data-index="${index}"]`);
-        if (thumbnailItem) {
-            thumbnailItem.classList.remove('selected');
-            const checkbox = thumbnailItem.querySelector('.thumbnail-checkbox');
-            if (checkbox) checkbox.checked = false;
-        }
-    });
+    folderImages.forEach((image, index) => setImageSelected(index, false));
 
     // Update the selected images array
     updateSelectedImages();
@@ -474,19 +1170,70 @@ deselectAllButton.addEventListener('click', () => {
     showMessage("All photos deselected.");
 });
 
-// Handle randomize checkbox change
-randomizeCheckbox.addEventListener('change', (event) => {
-    randomizeOrder = event.target.checked;
-    if (randomizeOrder) {
-        showMessage("Photos will be displayed in random order.");
+// Handle reset order button click
+resetOrderButton.addEventListener('click', () => {
+    settingsStore.clearOrder();
+    renderThumbnails();
+    showMessage("Photos will be displayed by album and name.");
+});
+
+// Handle photo order change
+orderSelect.addEventListener('change', (event) => {
+    orderMode = event.target.value;
+    const label = event.target.selectedOptions[0]?.textContent || orderMode;
+    showMessage(`Photo order: ${label}.`);
+    saveSettings();
+
+    // If slideshow is running, regenerate the display order
+    if (slideshowScheduler.isRunning()) {
+        displayOrder = generateDisplayOrder(selectedImages.length);
+        // Keep the current image but reset the order index to match
+        currentOrderIndex = displayOrder.indexOf(currentImageIndex);
+        if (currentOrderIndex === -1) currentOrderIndex = 0; // Fallback if not found
+    }
+});
+
+// Handle transition effect change
+transitionSelect.addEventListener('change', (event) => {
+    transitionName = event.target.value;
+    const label = event.target.selectedOptions[0]?.textContent || transitionName;
+    showMessage(`Transition effect: ${label}.`);
+    saveSettings();
+});
+
+// Handle Ken Burns checkbox change
+kenBurnsCheckbox.addEventListener('change', (event) => {
+    kenBurnsEnabled = event.target.checked;
+    if (kenBurnsEnabled) {
+        showMessage("Photos will slowly pan and zoom.");
+    } else {
+        showMessage("Photos will be shown without pan and zoom.");
+    }
+    saveSettings();
+});
+
+// Handle photo details checkbox change
+photoDetailsCheckbox.addEventListener('change', (event) => {
+    photoDetailsEnabled = event.target.checked;
+    if (photoDetailsEnabled) {
+        showMessage("Photo details will be shown with each image.");
     } else {
-        showMessage("Photos will be displayed in sequential order.");
+        showMessage("Only file names will be shown with each image.");
     }
+    saveSettings();
+});
+
+// Handle near-duplicate mode change
+nearDuplicatesSelect.addEventListener('change', (event) => {
+    nearDuplicateMode = event.target.value;
+    const label = event.target.selectedOptions[0]?.textContent || nearDuplicateMode;
+    showMessage(`Near-duplicate photos: ${label}.`);
+    saveSettings();
 
     // If slideshow is running, regenerate the display order
-    if (slideshowInterval) {
+    if (slideshowScheduler.isRunning()) {
         displayOrder = generateDisplayOrder(selectedImages.length);
-        // Keep the current image but reset the order index to match
+        // Keep the current image if it is still shown
         currentOrderIndex = displayOrder.indexOf(currentImageIndex);
         if (currentOrderIndex === -1) currentOrderIndex = 0; // Fallback if not found
     }
@@ -494,14 +1241,19 @@ randomizeCheckbox.addEventListener('change', (event) => {
 
 // Handle duration change
 durationInput.addEventListener('change', () => {
-    const seconds = parseInt(durationInput.value, 10);
+    let seconds = parseInt(durationInput.value, 10);
+    // Longer durations wouldn't pass validation when the settings are loaded again
+    const maxSeconds = SETTINGS_SCHEMA.duration.max;
+    if (seconds > maxSeconds) {
+        seconds = maxSeconds;
+        durationInput.value = seconds;
+        showMessage(`Duration can be at most ${maxSeconds} seconds.`, 4000);
+    }
     if (seconds >= 1) {
         displayDuration = seconds * 1000;
-        // If slideshow is running, restart it with the new duration
-        if (slideshowInterval) {
-            stopSlideshow();
-            startSlideshow();
-        }
+        // A running slideshow keeps the time already spent on the current slide
+        slideshowScheduler.setDuration(displayDuration);
+        saveSettings();
     } else {
         durationInput.value = displayDuration / 1000; // Reset to previous valid value
         showMessage("Duration must be at least 1 second.", 4000);
@@ -512,6 +1264,136 @@ durationInput.addEventListener('change', () => {
 bgColorInput.addEventListener('input', (event) => {
     const color = event.target.value;
     fullscreenContainer.style.setProperty('--bg-color', color);
+
+    // Update the color preview
+    const colorPreview = document.querySelector('#controls-container .flex-1 .w-full');
+    if (colorPreview) {
+        colorPreview.style.backgroundColor = color;
+    }
+});
+
+// Save the background color once it is picked
+bgColorInput.addEventListener('change', () => {
+    saveSettings();
+});
+
+// Handle playlist change
+playlistSelect.addEventListener('change', (event) => {
+    const playlist = settingsStore.setActivePlaylist(event.target.value);
+    applyPlaylist(playlist);
+    showMessage(`Playlist: ${playlist.name}.`);
+});
+
+// Handle new playlist button click
+newPlaylistButton.addEventListener('click', () => {
+    const name = askPlaylistName('Name of the new playlist:', `Playlist ${settingsStore.getPlaylists().length + 1}`);
+    if (!name) return;
+
+    applyPlaylist(settingsStore.createPlaylist(name));
+    populatePlaylistSelect();
+    showMessage(`Created playlist ${name}. Select its photos below.`);
+});
+
+// Handle rename playlist button click
+renamePlaylistButton.addEventListener('click', () => {
+    const playlist = settingsStore.getActivePlaylist();
+    const name = askPlaylistName('New name of the playlist:', playlist.name);
+    if (!name) return;
+
+    settingsStore.renamePlaylist(playlist.id, name);
+    populatePlaylistSelect();
+    updateStartButtonText();
+    showMessage(`Renamed playlist ${playlist.name} to ${name}.`);
+});
+
+// Handle duplicate playlist button click
+duplicatePlaylistButton.addEventListener('click', () => {
+    const playlist = settingsStore.getActivePlaylist();
+    const name = askPlaylistName('Name of the copy:', `${playlist.name} (copy)`);
+    if (!name) return;
+
+    applyPlaylist(settingsStore.duplicatePlaylist(playlist.id, name));
+    populatePlaylistSelect();
+    showMessage(`Copied playlist ${playlist.name} to ${name}.`);
+});
+
+// Handle delete playlist button click
+deletePlaylistButton.addEventListener('click', () => {
+    const playlist = settingsStore.getActivePlaylist();
+    if (!window.confirm(`Delete the playlist ${playlist.name}? Its photos stay in the library.`)) return;
+
+    if (settingsStore.deletePlaylist(playlist.id)) {
+        applyPlaylist(settingsStore.getActivePlaylist());
+        populatePlaylistSelect();
+        showMessage(`Deleted playlist ${playlist.name}.`);
+    }
+});
+
+// Handle export playlist button click
+exportPlaylistButton.addEventListener('click', () => {
+    const playlist = settingsStore.getActivePlaylist();
+    downloadFile(getPlaylistFileName(playlist.name, '.playlist.json'), createPlaylistFile([playlist]), 'application/json');
+    showMessage(`Exported playlist ${playlist.name}.`);
+});
+
+// Handle export as M3U button click
+exportM3uButton.addEventListener('click', () => {
+    const { name } = settingsStore.getActivePlaylist();
+    const paths = selectedImages.filter(image => !image.sample).map(image => image.path);
+    downloadFile(getPlaylistFileName(name, '.m3u'), createM3uPlaylist(name, paths), 'audio/x-mpegurl');
+    showMessage(`Exported ${paths.length} photos of ${name} as M3U. M3U lists keep no settings.`);
+});
+
+// Handle export all playlists button click
+exportAllButton.addEventListener('click', () => {
+    const { activePlaylist, playlists } = settingsStore.exportPlaylists();
+    const activeIndex = playlists.findIndex(playlist => playlist.id === activePlaylist);
+    downloadFile('playlists.json', createPlaylistFile(playlists, { all: true, activeIndex }), 'application/json');
+    showMessage(`Exported ${playlists.length} playlists.`);
+});
+
+// Handle import button click
+importPlaylistButton.addEventListener('click', () => {
+    playlistFileInput.click();
+});
+
+// Import the chosen playlist file
+playlistFileInput.addEventListener('change', async () => {
+    const [file] = playlistFileInput.files;
+    // Allow choosing the same file again
+    playlistFileInput.value = '';
+    if (file) await importPlaylistFile(file);
+});
+
+// Handle add new photos checkbox change
+includeNewCheckbox.addEventListener('change', (event) => {
+    // Sample images aren't part of playlists
+    const libraryImages = folderImages.length > 0 && folderImages[0].sample ? [] : folderImages;
+    settingsStore.setIncludeNewPhotos(
+        event.target.checked,
+        libraryImages.filter(image => image.selected).map(image => image.path),
+        libraryImages.filter(image => !image.selected).map(image => image.path)
+    );
+    updateSelectedImages();
+    if (event.target.checked) {
+        showMessage("Photos added to the library will be added to this playlist.");
+    } else {
+        showMessage("This playlist will keep only the photos selected in it.");
+    }
+});
+
+// Handle reset settings button click
+resetSettingsButton.addEventListener('click', () => {
+    if (!window.confirm('Delete all playlists and favorites and reset the settings and photo selection to the defaults?')) return;
+
+    settingsStore.reset();
+    folderImages.forEach(image => {
+        image.favorite = false;
+    });
+    applyPlaylist(settingsStore.getActivePlaylist());
+    populatePlaylistSelect();
+
+    showMessage("Playlists were reset to the defaults.");
 });
 
 // Handle Start Button click
@@ -531,35 +1413,60 @@ exitButton.addEventListener('click', () => {
 
 // Handle Restart Button click
 restartButton.addEventListener('click', () => {
-    currentImageIndex = 0;
+    currentOrderIndex = 0;
+    currentImageIndex = displayOrder[0] || 0;
     stopSlideshow(); // Stop current cycle
     const imageList = getCurrentImageList();
     if (imageList.length > 0) {
-        displayImage(currentImageIndex); // Show first image immediately (already in fullscreen)
         startSlideshow(); // Start new cycle
+        playbackHud.setPaused(false);
+        showSlide(currentImageIndex); // Show first image immediately (already in fullscreen)
     }
-    // Menu functionality removed - using Escape key only for exiting fullscreen
 });
 
+// Handle HUD playback buttons
+prevButton.addEventListener('click', () => previousImage());
+pauseButton.addEventListener('click', () => togglePause());
+nextButton.addEventListener('click', () => nextImage());
+
+// Update the thumbnails and slideshow when the dev server sees the images folder change
+if (import.meta.hot) {
+    import.meta.hot.on('image-index:update', handleImageIndexUpdate);
+}
+
 // Handle fullscreen change events (browser exit, e.g., Esc key)
 document.addEventListener('fullscreenchange', handleFullscreenChange);
 document.addEventListener('webkitfullscreenchange', handleFullscreenChange); // Safari
 
+// Write the show counts still waiting to be written before the page goes away
+window.addEventListener('pagehide', () => settingsStore.flushShowCounts());
+
+/**
+ * Fullscreen actions that can be bound to keys in config.keyboard.bindings
+ * Escape is not bindable; the browser uses it to exit fullscreen.
+ * @type {Object.<string, Function>}
+ */
+const shortcutActions = {
+    next: () => nextImage(),
+    previous: () => previousImage(),
+    pause: () => togglePause(),
+    first: () => jumpToOrderIndex(0),
+    last: () => jumpToOrderIndex(displayOrder.length - 1),
+    toggleInfo: () => toggleImageInfo(),
+    favorite: () => toggleFavorite(),
+    remove: () => removeCurrentImage(),
+    cycleTransition: () => cycleTransition(),
+    help: () => toggleShortcutHelp()
+};
+
 // Add keyboard controls for accessibility
 document.addEventListener('keydown', (event) => {
     // Only handle keyboard events when in fullscreen
     if (document.fullscreenElement || document.webkitFullscreenElement) {
-        switch(event.key) {
-            case 'ArrowRight':
-            case ' ': // Space bar
-                nextImage();
-                break;
-            case 'ArrowLeft':
-                previousImage();
-                break;
-            case 'Escape': // Already handled by browser for exiting fullscreen
-                break;
-            // Menu toggle functionality removed - using Escape key only for exiting fullscreen
+        const action = getActionForEvent(keymap, event);
+        if (action && shortcutActions[action]) {
+            event.preventDefault(); // Don't activate a focused HUD button as well
+            shortcutActions[action]();
         }
     }
 });
@@ -570,26 +1477,6 @@ document.addEventListener('keydown', (event) => {
  * Core Logic Functions
  */
 
-/**
- * Fades out the current image
- * @function fadeOutCurrentImage
- * @returns {void}
- */
-function fadeOutCurrentImage() {
-    imageDisplay.classList.add('fade-out');
-    imageDisplay.classList.remove('fade-in');
-}
-
-/**
- * Fades in the current image
- * @function fadeInCurrentImage
- * @returns {void}
- */
-function fadeInCurrentImage() {
-    imageDisplay.classList.remove('fade-out');
-    imageDisplay.classList.add('fade-in');
-}
-
 /**
  * Shows the loading indicator
  * @function showLoadingIndicator
@@ -610,6 +1497,31 @@ function hideLoadingIndicator() {
 
 // updateImageDisplay function removed - now handled directly in displayImage
 
+/**
+ * Starts or clears the Ken Burns effect on an image layer that is about to be shown
+ * @function applyKenBurns
+ * @param {HTMLImageElement} layer - The incoming image layer
+ * @param {number} transitionDuration - Duration of the transition that brings the layer in, in milliseconds
+ * @returns {void}
+ */
+function applyKenBurns(layer, transitionDuration) {
+    if (kenBurnsEnabled) {
+        startKenBurns(layer, {
+            // The move starts as the layer transitions in, and the slide stays on screen
+            // for its duration and the transition to the next one, so keep moving until
+            // it is covered
+            duration: transitionDuration + displayDuration
+                + getTransitionDuration(transitionName, config.display.fadeTransitionDuration),
+            maxZoom: config.display.kenBurnsMaxZoom,
+            focus: config.display.kenBurnsFocus
+        });
+        // A slide shown while paused stays still until playback resumes
+        setKenBurnsPaused(layer, slideshowScheduler.isPaused());
+    } else {
+        stopKenBurns(layer);
+    }
+}
+
 /**
  * Handles the case when an image fails to load
  * @function handleImageLoadError
@@ -624,12 +1536,13 @@ function handleImageLoadError(imageUrl, imageName) {
     // Use the error image template from config
     const fallbackUrl = config.placeholders.errorImageTemplate.replace('{bgColor}', bgColorInput.value.substring(1));
 
-    // After the fade-out is complete, update with error image
-    setTimeout(() => {
-        imageDisplay.src = fallbackUrl;
-        imageInfo.textContent = `Error loading: ${imageName}`;
-        fadeInCurrentImage();
-    }, config.display.fadeTransitionDuration);
+    // Crossfade to the error image
+    transitionEngine.show(fallbackUrl, {
+        alt: `Error loading: ${imageName}`,
+        onSwap: () => {
+            imageInfo.textContent = `Error loading: ${imageName}`;
+        }
+    }).catch(error => console.error('Failed to load error placeholder:', error.message));
 }
 
 /**
@@ -639,22 +1552,24 @@ function handleImageLoadError(imageUrl, imageName) {
  */
 function handleNoImages() {
     hideLoadingIndicator();
-    fadeOutCurrentImage();
 
-    setTimeout(() => {
-        // Use the no images template from config
-        const fallbackUrl = config.placeholders.noImagesTemplate.replace('{bgColor}', bgColorInput.value.substring(1));
-        imageDisplay.src = fallbackUrl;
-        imageInfo.textContent = '';
-        fadeInCurrentImage();
-    }, config.display.fadeTransitionDuration);
+    // Use the no images template from config
+    const fallbackUrl = config.placeholders.noImagesTemplate.replace('{bgColor}', bgColorInput.value.substring(1));
+
+    transitionEngine.show(fallbackUrl, {
+        alt: 'No Images Available',
+        onSwap: () => {
+            imageInfo.textContent = '';
+        }
+    }).catch(error => console.error('Failed to load no images placeholder:', error.message));
 }
 
 /**
- * Displays an image at the specified index using requestAnimationFrame for smoother transitions
+ * Displays an image at the specified index
+ * The image is decoded off-screen and crossfaded over the current one
  * @function displayImage
  * @param {number} index - The index of the image to display
- * @returns {void}
+ * @returns {Promise<boolean>} - True once the transition finished, false if it was superseded or failed
  */
 function displayImage(index) {
     console.log(`Displaying image at index ${index}`); // Debug log
@@ -667,44 +1582,38 @@ function displayImage(index) {
         console.log(`Loading image: ${imageName} from ${imageUrl}`); // Debug log
 
         showLoadingIndicator();
-        fadeOutCurrentImage();
-
-        // Create and preload the next image
-        const nextImage = new Image();
-        nextImage.onload = () => {
-            console.log(`Image loaded successfully: ${imageUrl}`); // Debug log
-            hideLoadingIndicator();
 
-            // Update the image display directly
-            imageDisplay.src = imageUrl;
-            imageDisplay.alt = imageName || 'Screensaver Image';
-
-            // Make sure the image is visible
-            imageDisplay.style.display = 'block';
-
-            // Update the image info text
-            if (imageInfo) {
-                imageInfo.textContent = imageName || '';
+        // Decode the image off-screen, then crossfade it over the current one
+        return transitionEngine.show(imageUrl, {
+            alt: imageName || 'Screensaver Image',
+            transition: transitionName,
+            onSwap: (layer, transitionDuration) => {
+                console.log(`Image loaded successfully: ${imageUrl}`); // Debug log
+                hideLoadingIndicator();
+                applyKenBurns(layer, transitionDuration);
+
+                // Count the image as shown for the order that favors rarely shown photos;
+                // other orders don't use the counts
+                if (orderMode === 'rarely-shown' && !imageList[index].sample) {
+                    settingsStore.recordShown(imageList[index].path);
+                }
+
+                // Update the image info text
+                updateImageInfo(index);
             }
-
-            // Fade the image back in
-            fadeInCurrentImage();
-            console.log('Image display updated successfully'); // Debug log
-        };
-
-        nextImage.onerror = () => {
+        }).catch(() => {
             console.error(`Failed to load image: ${imageUrl}`); // Debug log
-            hideLoadingIndicator();
             handleImageLoadError(imageUrl, imageName);
-        };
-
-        nextImage.src = imageUrl;
+            return false;
+        });
     } else if (imageList.length === 0) {
         console.log('No images to display'); // Debug log
         handleNoImages();
     } else {
         console.error(`Invalid image index: ${index}, list length: ${imageList.length}`); // Debug log
     }
+
+    return Promise.resolve(false);
 }
 
 
@@ -718,16 +1627,17 @@ function nextImage() {
 
     // Move to the next position in the display order
     currentOrderIndex = (currentOrderIndex + 1) % displayOrder.length; // Loop back to 0
+    if (currentOrderIndex === 0 && isRedrawnEachRound(orderMode)) {
+        // Draw the next round, which doesn't start with the image just shown
+        displayOrder = generateDisplayOrder(selectedImages.length, currentImageIndex);
+    }
     currentImageIndex = displayOrder[currentOrderIndex];
-    displayImage(currentImageIndex);
+    showSlide(currentImageIndex);
 
     // Preload the next few images
     const nextOrderIndex = (currentOrderIndex + 1) % displayOrder.length;
     const nextImageIndex = displayOrder[nextOrderIndex];
     preloadImages(nextImageIndex, 3);
-
-    // Reset the slideshow timer to prevent immediate transition
-    resetSlideshowTimer();
 }
 
 /**
@@ -741,61 +1651,215 @@ function previousImage() {
     // Go to previous image in the display order, loop to end if at first image
     currentOrderIndex = (currentOrderIndex - 1 + displayOrder.length) % displayOrder.length;
     currentImageIndex = displayOrder[currentOrderIndex];
-    displayImage(currentImageIndex);
+    showSlide(currentImageIndex);
 
     // Preload the previous few images (in case user keeps going back)
     const prevOrderIndex = (currentOrderIndex - 1 + displayOrder.length) % displayOrder.length;
     const prevImageIndex = displayOrder[prevOrderIndex];
     preloadImages(prevImageIndex, 2);
+}
 
-    // Reset the slideshow timer to prevent immediate transition
-    resetSlideshowTimer();
+/**
+ * Displays an image and restarts the slide countdown once it is fully on screen
+ * Any countdown for the previous slide is cancelled, so manual navigation never double-advances
+ * @function showSlide
+ * @param {number} index - The index of the image to display
+ * @returns {void}
+ */
+function showSlide(index) {
+    slideshowScheduler.waitFor(displayImage(index));
 }
 
 /**
- * Resets the slideshow timer with a delay to prevent double transitions
- * @function resetSlideshowTimer
+ * Jumps to a position in the display order
+ * @function jumpToOrderIndex
+ * @param {number} orderIndex - The position in the display order
  * @returns {void}
  */
-function resetSlideshowTimer() {
-    // Only reset if slideshow is active
-    if (slideshowInterval) {
-        // Stop the current slideshow
-        stopSlideshow();
+function jumpToOrderIndex(orderIndex) {
+    if (displayOrder.length === 0 || orderIndex < 0 || orderIndex >= displayOrder.length) return;
+
+    currentOrderIndex = orderIndex;
+    currentImageIndex = displayOrder[currentOrderIndex];
+    showSlide(currentImageIndex);
+}
+
+/**
+ * Updates the image info overlay for the image at the specified index
+ * In photo details mode the capture date, place, camera and exposure are listed below the name.
+ * @function updateImageInfo
+ * @param {number} index - The index of the image
+ * @returns {void}
+ */
+function updateImageInfo(index) {
+    if (!imageInfo) return;
+    const image = selectedImages[index];
+    const name = getImageName(index);
+    imageInfo.textContent = image && image.favorite ? `★ ${name}` : name;
+
+    if (!photoDetailsEnabled || !image) return;
+
+    getPhotoDetailLines(image).forEach(line => {
+        const detail = document.createElement('div');
+        detail.className = 'image-info-detail';
+        detail.textContent = line;
+        imageInfo.appendChild(detail);
+    });
+}
+
+/**
+ * Shows or hides the image info overlay
+ * @function toggleImageInfo
+ * @returns {void}
+ */
+function toggleImageInfo() {
+    imageInfo.classList.toggle('hidden');
+}
+
+/**
+ * Shows or hides the keyboard shortcut help overlay
+ * @function toggleShortcutHelp
+ * @returns {void}
+ */
+function toggleShortcutHelp() {
+    shortcutHelp.classList.toggle('hidden');
+}
+
+/**
+ * Marks or unmarks an image as a favorite
+ * @function toggleFavorite
+ * @param {Object} [image] - The image (default: the current slide)
+ * @returns {void}
+ */
+function toggleFavorite(image = selectedImages[currentImageIndex]) {
+    if (!image) return;
+
+    image.favorite = !image.favorite;
+    // Sample images stand in for an empty library, so they aren't stored
+    if (!image.sample) {
+        settingsStore.setFavorite(image.path, image.favorite);
+    }
+
+    const folderIndex = folderImages.indexOf(image);
+    const thumbnailItem = thumbnailContainer.querySelector(`.thumbnail-item[data-index="${folderIndex}"]`);
+    if (thumbnailItem) {
+        thumbnailItem.classList.toggle('favorite', image.favorite);
+        thumbnailItem.querySelector('.thumbnail-favorite').setAttribute('aria-pressed', String(image.favorite));
+    }
+
+    if (selectedImages[currentImageIndex] === image) {
+        updateImageInfo(currentImageIndex);
+    }
+    showMessage(image.favorite ? `Added ${image.name} to favorites.` : `Removed ${image.name} from favorites.`);
+}
+
+/**
+ * Removes the current image from the slideshow and moves on to the next one
+ * The image is deselected in the thumbnail grid, not deleted from disk.
+ * @function removeCurrentImage
+ * @returns {void}
+ */
+function removeCurrentImage() {
+    const removedIndex = currentImageIndex;
+    const image = selectedImages[removedIndex];
+    if (!image) return;
+
+    // Deselect the image in the grid
+    setImageSelected(folderImages.indexOf(image), false);
+    updateSelectedImages();
 
-        // Wait for the transition to complete before starting a new slideshow
-        // This ensures no double-transitions occur
-        setTimeout(() => {
-            startSlideshow();
-        }, 600); // Slightly longer than the transition duration (500ms)
+    if (selectedImages.length === 0) {
+        exitFullscreen();
+        showMessage("No images left in the slideshow.", 4000);
+        return;
     }
+
+    // Drop the image from the display order and shift the indices after it
+    displayOrder = displayOrder
+        .filter(index => index !== removedIndex)
+        .map(index => (index > removedIndex ? index - 1 : index));
+
+    // The collapsed near-duplicates of the last image shown take its place
+    if (displayOrder.length === 0) displayOrder = generateDisplayOrder(selectedImages.length);
+
+    // The next image has moved into the current position
+    if (currentOrderIndex >= displayOrder.length) currentOrderIndex = 0;
+    currentImageIndex = displayOrder[currentOrderIndex];
+
+    // A single remaining image needs no countdown
+    if (displayOrder.length === 1) stopSlideshow();
+
+    showSlide(currentImageIndex);
+    showMessage(`Removed ${image.name} from the slideshow.`);
+}
+
+/**
+ * Switches to the next transition effect in the transition select
+ * @function cycleTransition
+ * @returns {void}
+ */
+function cycleTransition() {
+    const options = Array.from(transitionSelect.options, option => option.value);
+    const nextIndex = (options.indexOf(transitionSelect.value) + 1) % options.length;
+    transitionSelect.value = options[nextIndex];
+    // Reuse the change handler to update the state and show a message
+    transitionSelect.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Renders the keyboard shortcut help overlay and hint from the configured bindings
+ * @function renderShortcuts
+ * @returns {void}
+ */
+function renderShortcuts() {
+    renderShortcutHelp(shortcutList, config.keyboard.bindings);
+
+    const helpKeys = config.keyboard.bindings.help || [];
+    shortcutHint.textContent = helpKeys.length > 0
+        ? `${describeKey(helpKeys[0])}: Keyboard shortcuts · Esc: Exit fullscreen`
+        : 'Esc: Exit fullscreen';
+}
+
+/**
+ * Pauses or resumes the slideshow, keeping the time left on the current slide
+ * @function togglePause
+ * @returns {void}
+ */
+function togglePause() {
+    // A single image has no countdown to pause
+    if (!slideshowScheduler.isRunning()) return;
+
+    const paused = slideshowScheduler.togglePause();
+    [imageDisplay, imageDisplayNext].forEach(layer => setKenBurnsPaused(layer, paused));
+    playbackHud.setPaused(paused);
 }
 
 /**
  * Starts the slideshow with the current display duration
+ * The first countdown begins when the next slide passed to showSlide is on screen
  * @function startSlideshow
  * @returns {void}
  */
 function startSlideshow() {
-    // Clear any existing interval first
+    // Clear any existing countdown first
     stopSlideshow();
-    // Only start interval if more than one image
-    if (selectedImages.length > 1) {
-        slideshowInterval = setInterval(nextImage, displayDuration);
-    } else if (selectedImages.length === 1) {
+    slideshowScheduler.setDuration(displayDuration);
+    // Only schedule if more than one image is shown
+    if (displayOrder.length > 1) {
+        slideshowScheduler.start();
+    } else if (displayOrder.length === 1) {
         // If only one image, make sure it's displayed (already handled by handleFullscreenChange)
-        // No interval needed
+        // No countdown needed
     }
 }
 
 /**
- * Stops the slideshow by clearing the interval
+ * Stops the slideshow and discards the current countdown
  * @function stopSlideshow
  * @returns {void}
  */
 function stopSlideshow() {
-    clearInterval(slideshowInterval);
-    slideshowInterval = null;
+    slideshowScheduler.stop();
 }
 
 /**
@@ -805,14 +1869,26 @@ function stopSlideshow() {
  */
 function requestFullscreen() {
     // Update duration from input just before starting
-    displayDuration = parseInt(durationInput.value, 10) * 1000;
+    displayDuration = Math.min(parseInt(durationInput.value, 10), SETTINGS_SCHEMA.duration.max) * 1000;
     if (isNaN(displayDuration) || displayDuration < (config.display.minDuration * 1000)) {
         displayDuration = config.display.defaultDuration * 1000; // Fallback
         durationInput.value = config.display.defaultDuration;
     }
 
-    // Update randomize setting
-    randomizeOrder = randomizeCheckbox.checked;
+    // Update photo order setting
+    orderMode = orderSelect.value;
+
+    // Update transition effect
+    transitionName = transitionSelect.value;
+
+    // Update Ken Burns setting
+    kenBurnsEnabled = kenBurnsCheckbox.checked;
+
+    // Update photo details setting
+    photoDetailsEnabled = photoDetailsCheckbox.checked;
+
+    // Update near-duplicate setting
+    nearDuplicateMode = nearDuplicatesSelect.value;
 
     // Update background color
     fullscreenContainer.style.setProperty('--bg-color', bgColorInput.value);
@@ -867,7 +1943,7 @@ function handleFullscreenChange() {
             return;
         }
 
-        // Generate the display order based on randomization setting
+        // Generate the display order based on the order setting
         displayOrder = generateDisplayOrder(selectedImages.length);
         currentOrderIndex = 0;
         currentImageIndex = displayOrder[0] || 0;
@@ -875,18 +1951,24 @@ function handleFullscreenChange() {
         // Preload the first few images
         preloadImages(currentImageIndex, 5);
 
-        // Display the first image immediately
-        displayImage(currentImageIndex);
-
-        // Start the slideshow
+        // Start the slideshow and display the first image immediately
         startSlideshow();
+        showSlide(currentImageIndex);
+
+        // Activate the playback controls
+        playbackHud.start();
         // Menu functionality removed - using Escape key only for exiting fullscreen
     } else {
         // Exited fullscreen
         stopSlideshow();
-        // Menu functionality removed - using Escape key only for exiting fullscreen
+        playbackHud.stop();
+        shortcutHelp.classList.add('hidden');
         // Clear the preloaded images cache when exiting
         preloadedImages = {};
+        // Clear both image layers so the next session starts from the background
+        transitionEngine.reset();
+        [imageDisplay, imageDisplayNext].forEach(stopKenBurns);
+        imageInfo.textContent = '';
     }
 }
 
@@ -897,6 +1979,85 @@ function handleFullscreenChange() {
  * Initial Setup
  */
 
+/**
+ * Gets the settings shown in the controls
+ * @function getCurrentSettings
+ * @returns {Object} - Settings in the format of the settings store
+ */
+function getCurrentSettings() {
+    return {
+        duration: displayDuration / 1000,
+        backgroundColor: bgColorInput.value,
+        order: orderSelect.value,
+        transition: transitionSelect.value,
+        kenBurns: kenBurnsCheckbox.checked,
+        photoDetails: photoDetailsCheckbox.checked,
+        nearDuplicates: nearDuplicatesSelect.value
+    };
+}
+
+/**
+ * Saves the settings shown in the controls in the active playlist
+ * @function saveSettings
+ * @returns {void}
+ */
+function saveSettings() {
+    settingsStore.saveSettings(getCurrentSettings());
+}
+
+/**
+ * Shows settings in the controls and applies them
+ * @function applySettings
+ * @param {Object} settings - Settings in the format of the settings store
+ * @returns {void}
+ */
+function applySettings(settings) {
+    displayDuration = settings.duration * 1000;
+    durationInput.value = settings.duration;
+    slideshowScheduler.setDuration(displayDuration);
+
+    bgColorInput.value = settings.backgroundColor;
+    bgColorInput.dispatchEvent(new Event('input'));
+
+    orderSelect.value = settings.order;
+    orderMode = orderSelect.value;
+    kenBurnsEnabled = settings.kenBurns;
+    kenBurnsCheckbox.checked = settings.kenBurns;
+    photoDetailsEnabled = settings.photoDetails;
+    photoDetailsCheckbox.checked = settings.photoDetails;
+    refreshToggleSwitches();
+
+    // A stored transition may no longer be registered
+    transitionSelect.value = settings.transition;
+    if (transitionSelect.value !== settings.transition) {
+        transitionSelect.value = config.display.defaultTransition;
+    }
+    transitionName = transitionSelect.value;
+
+    nearDuplicatesSelect.value = settings.nearDuplicates;
+    nearDuplicateMode = nearDuplicatesSelect.value;
+}
+
+/**
+ * Shows a playlist's settings and selection in the controls and applies them
+ * @function applyPlaylist
+ * @param {Object} playlist - Playlist from the settings store
+ * @returns {void}
+ */
+function applyPlaylist(playlist) {
+    applySettings(playlist.settings);
+
+    includeNewCheckbox.checked = playlist.includeNewPhotos;
+    refreshToggleSwitches();
+
+    // Redraw the thumbnails in the playlist's order, with its selection
+    const isSelected = settingsStore.getSelection();
+    folderImages.forEach(image => {
+        image.selected = image.sample || isSelected(image.path);
+    });
+    renderThumbnails();
+}
+
 /**
  * Initializes the application
  * @function initializeApp
@@ -907,28 +2068,29 @@ async function initializeApp() {
     // Apply configuration values to the DOM
     applyConfigToDOM();
 
-    // Set initial background color variable
-    bgColorInput.dispatchEvent(new Event('input'));
-
     // Initialize state variables
     currentImageIndex = 0;
-    randomizeOrder = config.display.defaultRandomizeOrder;
-    randomizeCheckbox.checked = config.display.defaultRandomizeOrder;
 
-    // Set default duration
-    durationInput.value = config.display.defaultDuration;
+    // Populate the photo orders, near-duplicate modes and transition effects
+    populateOrderSelect();
+    populateNearDuplicatesSelect();
+    populateTransitionSelect();
 
-    // Set default background color
-    bgColorInput.value = config.display.defaultBackgroundColor;
+    // Apply the playlist of the last session, or the defaults
+    populatePlaylistSelect();
+    applyPlaylist(settingsStore.getActivePlaylist());
 
     // Initialize display order (will be regenerated when entering fullscreen)
     displayOrder = [];
     currentOrderIndex = 0;
 
     // Clear the display
-    imageDisplay.src = ""; // Ensure image is blank initially outside fullscreen
+    transitionEngine.reset(); // Ensure image is blank initially outside fullscreen
     imageInfo.textContent = "";
 
+    // Check which derivative formats the browser can show before loading images
+    await detectDerivativeSupport();
+
     // Load images from the folder
     await loadImagesFromFolder();
 
@@ -939,14 +2101,7 @@ async function initializeApp() {
 
     // Initialize custom UI components
     initializeToggleSwitches();
-
-    // Update color preview when background color changes
-    bgColorInput.addEventListener('input', (e) => {
-        const colorPreview = document.querySelector('#controls-container .flex-1 .w-full');
-        if (colorPreview) {
-            colorPreview.style.backgroundColor = e.target.value;
-        }
-    });
+    renderShortcuts();
 
     // Hide the loading overlay once everything is initialized
     hideLoadingOverlay();
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Near-Duplicate Handling
+ *
+ * Rearranges the slideshow display order using the near-duplicate clusters found by
+ * the indexer (see scripts/perceptual-hash.js), so burst shots and re-exports of the
+ * same photo don't play back to back, or only the best shot of each cluster plays.
+ *
+ * @module near-duplicates
+ * @author Chris Schweda
+ * @version 1.0.2
+ */
+
+/**
+ * Ways of handling near-duplicates, in menu order
+ * @type {Array<{name: string, label: string}>}
+ */
+export const NEAR_DUPLICATE_MODES = [
+    { name: 'show', label: 'Show all photos' },
+    { name: 'separate', label: 'Keep similar photos apart' },
+    { name: 'collapse', label: 'Show only the best shot' }
+];
+
+/**
+ * Keeps one image of each cluster
+ * The best shot is kept if it is selected; otherwise the cluster's first image in
+ * the order stands in for it.
+ * @function collapseClusters
+ * @param {number[]} order - Indices into images
+ * @param {Object[]} images - Images with cluster and clusterBest properties
+ * @returns {number[]} - The order without the other images of each cluster
+ */
+function collapseClusters(order, images) {
+    const kept = new Map();
+    order.forEach(index => {
+        const { cluster, clusterBest } = images[index];
+        if (cluster !== null && (!kept.has(cluster) || clusterBest)) {
+            kept.set(cluster, index);
+        }
+    });
+
+    return order.filter(index => images[index].cluster === null || kept.get(images[index].cluster) === index);
+}
+
+/**
+ * Keeps the image that ended the previous round and its cluster from starting the next one
+ * The first image is swapped with the first one that is neither; if there is none,
+ * the order stays as it was.
+ * @function startApartFrom
+ * @param {number[]} order - Indices into images
+ * @param {Object[]} images - Images with a cluster property
+ * @param {?number} previousLast - Index of the image that ended the previous round
+ * @returns {number[]} - The rearranged order
+ */
+function startApartFrom(order, images, previousLast) {
+    if (previousLast === null || !images[previousLast]) return order;
+
+    const { cluster } = images[previousLast];
+    const isApart = index => index !== previousLast && (cluster === null || images[index].cluster !== cluster);
+    if (order.length === 0 || isApart(order[0])) return order;
+
+    const swap = order.findIndex(isApart);
+    if (swap === -1) return order;
+
+    const result = [...order];
+    [result[0], result[swap]] = [result[swap], result[0]];
+    return result;
+}
+
+/**
+ * Moves images so that no two images of the same cluster follow each other
+ * Each image that would follow one of its own cluster is swapped with the next image
+ * from another cluster, so the order otherwise stays as it was. When too many images
+ * share a cluster to keep them all apart, the rest stay where they are. The image
+ * that ended the previous round counts as the one before the first.
+ * @function separateClusters
+ * @param {number[]} order - Indices into images
+ * @param {Object[]} images - Images with a cluster property
+ * @param {?number} previousLast - Index of the image that ended the previous round
+ * @returns {number[]} - The rearranged order
+ */
+function separateClusters(order, images, previousLast) {
+    const result = [...order];
+    const clusterAt = position => {
+        if (position >= 0) return images[result[position]].cluster;
+        return previousLast !== null && images[previousLast] ? images[previousLast].cluster : null;
+    };
+
+    for (let i = 0; i < result.length; i++) {
+        const previous = clusterAt(i - 1);
+        if (previous === null || clusterAt(i) !== previous) continue;
+
+        for (let j = i + 1; j < result.length; j++) {
+            if (clusterAt(j) !== previous) {
+                [result[i], result[j]] = [result[j], result[i]];
+                break;
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Applies a near-duplicate mode to a display order
+ * @function arrangeNearDuplicates
+ * @param {number[]} order - Indices into images
+ * @param {Object[]} images - Images with cluster (index or null) and clusterBest properties
+ * @param {string} mode - 'show', 'separate' or 'collapse'
+ * @param {?number} [previousLast=null] - Index of the image that ended the previous
+ *     round, which 'separate' and 'collapse' keep apart from its cluster too
+ * @returns {number[]} - The arranged order; 'show' returns it unchanged
+ */
+export function arrangeNearDuplicates(order, images, mode, previousLast = null) {
+    // Collapsing can drop the first image, which ordering kept apart from the previous one
+    if (mode === 'collapse') return startApartFrom(collapseClusters(order, images), images, previousLast);
+    if (mode === 'separate') return separateClusters(order, images, previousLast);
+    return order;
+}
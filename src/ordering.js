@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Slideshow Ordering
+ *
+ * The orders in which the slideshow can play the selected photos: as arranged in
+ * the thumbnail grid, sorted by name, album or capture date, shuffled, or weighted
+ * random. Names are compared naturally, so "large2" comes before "large10".
+ *
+ * Shuffled and weighted orders can be drawn again at the end of each round. A new
+ * round never starts with the photo that ended the previous one. Weighted orders
+ * draw each slide separately, so favorites and rarely shown photos come up more
+ * often than the others, and a photo may appear more than once in a round.
+ *
+ * @module ordering
+ * @author Chris Schweda
+ * @version 1.0.0
+ */
+
+/**
+ * Photo orders, in menu order
+ * @type {Array<{name: string, label: string}>}
+ */
+export const ORDER_MODES = [
+    { name: 'manual', label: 'As arranged (drag to reorder)' },
+    { name: 'name', label: 'By file name' },
+    { name: 'album', label: 'By album, then file name' },
+    { name: 'date-asc', label: 'By date taken, oldest first' },
+    { name: 'date-desc', label: 'By date taken, newest first' },
+    { name: 'shuffle', label: 'Shuffle once' },
+    { name: 'shuffle-each-round', label: 'Shuffle every round' },
+    { name: 'favorites', label: 'Random, favoring favorites' },
+    { name: 'rarely-shown', label: 'Random, favoring rarely shown photos' }
+];
+
+// Orders that are drawn again at the end of each round
+const REDRAWN_MODES = ['shuffle-each-round', 'favorites', 'rarely-shown'];
+
+// How many times as often a favorite comes up as another photo
+const FAVORITE_WEIGHT = 4;
+
+// Compares names the way people count: "large2" before "large10"
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Tells whether an order is random
+ * @function isRandomOrder
+ * @param {string} mode - The order mode
+ * @returns {boolean} - True for shuffled and weighted orders
+ */
+export function isRandomOrder(mode) {
+    return mode === 'shuffle' || REDRAWN_MODES.includes(mode);
+}
+
+/**
+ * Tells whether an order is drawn again at the end of each round
+ * @function isRedrawnEachRound
+ * @param {string} mode - The order mode
+ * @returns {boolean} - True for orders that change from round to round
+ */
+export function isRedrawnEachRound(mode) {
+    return REDRAWN_MODES.includes(mode);
+}
+
+/**
+ * Compares two images by name, naturally, then by path
+ * @function compareNames
+ * @param {Object} a - An image
+ * @param {Object} b - Another image
+ * @returns {number} - Negative if a comes first
+ */
+function compareNames(a, b) {
+    return collator.compare(a.name, b.name) || collator.compare(a.path, b.path);
+}
+
+/**
+ * Sorts indices by capture date; undated images follow by name
+ * @function sortByDate
+ * @param {number[]} order - Indices into images
+ * @param {Object[]} images - Images with captured dates (local ISO strings) or null
+ * @param {boolean} newestFirst - Whether to start with the most recent photo
+ * @returns {number[]} - The sorted indices
+ */
+function sortByDate(order, images, newestFirst) {
+    return order.sort((i, j) => {
+        const a = images[i].captured;
+        const b = images[j].captured;
+        if (a && b && a !== b) return (a < b ? -1 : 1) * (newestFirst ? -1 : 1);
+        if (!a !== !b) return a ? -1 : 1;
+        return compareNames(images[i], images[j]);
+    });
+}
+
+/**
+ * Shuffles indices with the Fisher-Yates algorithm
+ * @function shuffle
+ * @param {number[]} order - Indices, shuffled in place
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {number[]} - The shuffled indices
+ */
+function shuffle(order, random) {
+    for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]]; // Swap elements
+    }
+    return order;
+}
+
+/**
+ * Draws a round of slides, each picked at random in proportion to its weight
+ * No slide is the same as the one before it, including the last slide of the
+ * previous round.
+ * @function drawWeighted
+ * @param {number} length - The number of images, and slides in the round
+ * @param {Function} getWeight - Takes an index and how often it was drawn so far in this
+ *     round, returns a weight above 0
+ * @param {?number} previousLast - Index of the image that ended the previous round
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {number[]} - The drawn indices
+ */
+function drawWeighted(length, getWeight, previousLast, random) {
+    const order = [];
+    const drawnCounts = new Array(length).fill(0);
+    let previous = previousLast;
+
+    for (let slide = 0; slide < length; slide++) {
+        const candidates = [];
+        let total = 0;
+        for (let index = 0; index < length; index++) {
+            if (index === previous && length > 1) continue;
+            const weight = getWeight(index, drawnCounts[index]);
+            candidates.push([index, weight]);
+            total += weight;
+        }
+
+        let pick = random() * total;
+        let [chosen] = candidates[candidates.length - 1];
+        for (const [index, weight] of candidates) {
+            pick -= weight;
+            if (pick < 0) {
+                chosen = index;
+                break;
+            }
+        }
+
+        order.push(chosen);
+        drawnCounts[chosen]++;
+        previous = chosen;
+    }
+
+    return order;
+}
+
+/**
+ * Creates the display order of a round of the slideshow
+ * @function createDisplayOrder
+ * @param {Object[]} images - The selected images, in the order they were arranged in
+ * @param {string} mode - One of ORDER_MODES
+ * @param {Object} [options] - Ordering options
+ * @param {?number} [options.previousLast=null] - Index of the image that ended the
+ *     previous round, which the new round doesn't start with
+ * @param {Object.<string, number>} [options.showCounts={}] - How often each image path was shown
+ * @param {Function} [options.random=Math.random] - Returns a number in [0, 1)
+ * @returns {number[]} - Indices into images; 'manual' keeps the arrangement
+ */
+export function createDisplayOrder(images, mode, { previousLast = null, showCounts = {}, random = Math.random } = {}) {
+    const order = Array.from({ length: images.length }, (_, i) => i);
+
+    switch (mode) {
+        case 'name':
+            return order.sort((i, j) => compareNames(images[i], images[j]));
+
+        case 'album':
+            return order.sort((i, j) => collator.compare(images[i].album, images[j].album) || compareNames(images[i], images[j]));
+
+        case 'date-asc':
+        case 'date-desc':
+            return sortByDate(order, images, mode === 'date-desc');
+
+        case 'shuffle':
+        case 'shuffle-each-round': {
+            shuffle(order, random);
+            // Don't show the last photo of the previous round twice in a row
+            if (order.length > 1 && order[0] === previousLast) {
+                const swap = 1 + Math.floor(random() * (order.length - 1));
+                [order[0], order[swap]] = [order[swap], order[0]];
+            }
+            return order;
+        }
+
+        case 'favorites':
+            return drawWeighted(images.length, index => (images[index].favorite ? FAVORITE_WEIGHT : 1), previousLast, random);
+
+        case 'rarely-shown':
+            // Slides drawn in this round count as shown, so one rare photo doesn't fill the round
+            return drawWeighted(images.length, (index, drawn) => 1 / (1 + (showCounts[images[index].path] || 0) + drawn),
+                previousLast, random);
+
+        default:
+            return order;
+    }
+}
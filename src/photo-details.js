@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Photo Details
+ *
+ * Formats the EXIF details recorded in the image manifest (capture date, place,
+ * camera, lens and exposure) for the photo details mode of the image info overlay.
+ * Details missing from an image are left out.
+ *
+ * @module photo-details
+ * @author Chris Schweda
+ * @version 1.0.0
+ */
+
+/**
+ * Formats a capture date
+ * The manifest stores the camera's local time without a time zone, which Date
+ * parses as local time, so the clock time is shown as the camera recorded it.
+ * @function formatCaptureDate
+ * @param {?string} captured - Date as YYYY-MM-DDTHH:MM:SS
+ * @returns {?string} - The localized date and time, or null if unknown
+ */
+export function formatCaptureDate(captured) {
+    if (!captured) return null;
+    const date = new Date(captured);
+    if (isNaN(date.getTime())) return null;
+    return date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Formats GPS coordinates, used when no place name is known
+ * @function formatCoordinates
+ * @param {?{latitude: number, longitude: number}} location - The GPS position
+ * @returns {?string} - e.g. "38.7139° N, 9.1394° W", or null if unknown
+ */
+export function formatCoordinates(location) {
+    if (!location) return null;
+    const { latitude, longitude } = location;
+    return `${Math.abs(latitude).toFixed(4)}° ${latitude < 0 ? 'S' : 'N'}, ` +
+        `${Math.abs(longitude).toFixed(4)}° ${longitude < 0 ? 'W' : 'E'}`;
+}
+
+/**
+ * Formats exposure settings
+ * @function formatExposure
+ * @param {?Object} exposure - Exposure from the manifest
+ * @param {?number} exposure.time - Exposure time in seconds
+ * @param {?number} exposure.aperture - F-number
+ * @param {?number} exposure.iso - ISO speed
+ * @param {?number} exposure.focalLength - Focal length in millimeters
+ * @returns {?string} - e.g. "1/250 s · f/8 · ISO 100 · 35 mm", or null if unknown
+ */
+export function formatExposure(exposure) {
+    if (!exposure) return null;
+
+    const parts = [];
+    if (exposure.time) {
+        parts.push(exposure.time < 1 ? `1/${Math.round(1 / exposure.time)} s` : `${+exposure.time.toFixed(1)} s`);
+    }
+    if (exposure.aperture) {
+        parts.push(`f/${+exposure.aperture.toFixed(1)}`);
+    }
+    if (exposure.iso) {
+        parts.push(`ISO ${exposure.iso}`);
+    }
+    if (exposure.focalLength) {
+        parts.push(`${Math.round(exposure.focalLength)} mm`);
+    }
+
+    return parts.length > 0 ? parts.join(' · ') : null;
+}
+
+/**
+ * Builds the detail lines shown below the file name
+ * @function getPhotoDetailLines
+ * @param {Object} image - Image object with manifest metadata
+ * @returns {string[]} - Lines for date and place, camera and lens, and exposure; empty lines are omitted
+ */
+export function getPhotoDetailLines(image) {
+    const lines = [
+        [formatCaptureDate(image.captured), image.place || formatCoordinates(image.location)],
+        [image.camera, image.lens],
+        [formatExposure(image.exposure)]
+    ];
+
+    return lines
+        .map(parts => parts.filter(Boolean).join(' · '))
+        .filter(line => line.length > 0);
+}
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Playlist Files
+ *
+ * Reads and writes the files used to move playlists between kiosks. Playlist files
+ * are versioned JSON holding one playlist or all of them, with their settings and
+ * photo selection. Playlists can also be written as M3U-style lists of image paths,
+ * one per line, and read back; they carry no settings.
+ *
+ * Image paths are relative to the images folder, so files can be imported on
+ * kiosks whose libraries contain the same albums. Playlist files are checked with
+ * the validateConfig schema format before anything is imported. Files written by
+ * earlier versions are upgraded first.
+ *
+ * @module playlist-files
+ * @author Chris Schweda
+ * @version 1.2.1
+ */
+
+import config, { validateConfig } from './config.js';
+import { SETTINGS_SCHEMA, getDefaultSettings, upgradeOrderSetting } from './settings-store.js';
+
+/**
+ * Value of the format field that identifies playlist files
+ * @type {string}
+ */
+export const PLAYLIST_FILE_FORMAT = 'web-photo-screensaver-playlists';
+
+/**
+ * Version of the playlist files written by this module
+ * @type {number}
+ */
+export const PLAYLIST_FILE_VERSION = 2;
+
+/**
+ * Schema of a playlist file, in the format of the config schema
+ * @type {Object}
+ */
+const PLAYLIST_FILE_SCHEMA = {
+    format: { type: 'string', required: true, enum: [PLAYLIST_FILE_FORMAT] },
+    version: { type: 'number', required: true, min: 1, max: PLAYLIST_FILE_VERSION },
+    scope: { type: 'string', required: true, enum: ['playlist', 'all'] },
+    activePlaylist: { type: 'number', min: 0 },
+    playlists: { type: 'array', required: true }
+};
+
+/**
+ * Schema of a playlist in a playlist file; its settings follow SETTINGS_SCHEMA
+ * @type {Object}
+ */
+const PLAYLIST_SCHEMA = {
+    name: { type: 'string', required: true, pattern: /\S/ },
+    settings: { type: 'object', required: true },
+    includeNewPhotos: { type: 'boolean', required: true },
+    paths: { type: 'array', required: true, itemType: 'string' },
+    order: { type: 'array', itemType: 'string' }
+};
+
+/**
+ * Leaves out the store's id, which only means something in the browser it came from
+ * @function toFilePlaylist
+ * @param {Object} playlist - Playlist from the settings store
+ * @returns {Object} - The playlist as written to files
+ */
+function toFilePlaylist({ name, settings, includeNewPhotos, paths, order = [] }) {
+    return { name, settings, includeNewPhotos, paths, order };
+}
+
+/**
+ * Writes playlists as a playlist file
+ * @function createPlaylistFile
+ * @param {Object[]} playlists - Playlists from the settings store
+ * @param {Object} [options] - File options
+ * @param {boolean} [options.all=false] - Whether the file holds all playlists, so that
+ *     importing it replaces the playlists of the kiosk
+ * @param {number} [options.activeIndex] - Index of the active playlist, for files holding all playlists
+ * @returns {string} - The file contents
+ */
+export function createPlaylistFile(playlists, { all = false, activeIndex } = {}) {
+    const file = {
+        format: PLAYLIST_FILE_FORMAT,
+        version: PLAYLIST_FILE_VERSION,
+        scope: all ? 'all' : 'playlist',
+        exported: new Date().toISOString(),
+        playlists: playlists.map(toFilePlaylist)
+    };
+    if (all && activeIndex !== undefined) {
+        file.activePlaylist = activeIndex;
+    }
+    return `${JSON.stringify(file, null, 2)}\n`;
+}
+
+/**
+ * Writes an M3U-style list of image paths
+ * @function createM3uPlaylist
+ * @param {string} name - The playlist name
+ * @param {string[]} paths - Image paths relative to the images folder, in playing order
+ * @returns {string} - The file contents
+ */
+export function createM3uPlaylist(name, paths) {
+    return ['#EXTM3U', `#PLAYLIST:${name}`, ...paths].join('\n') + '\n';
+}
+
+/**
+ * Turns a line of an M3U-style list into an image path
+ * Entries may be URLs or paths that include the images folder, as written by other tools.
+ * @function toImagePath
+ * @param {string} entry - The line
+ * @returns {string} - Path relative to the images folder
+ */
+function toImagePath(entry) {
+    let imagePath = entry.replace(/\\/g, '/');
+    try {
+        imagePath = decodeURI(new URL(imagePath).pathname);
+    } catch (error) {
+        // Not a URL
+    }
+
+    const directory = config.images.directory.replace(/^\/+/, '');
+    imagePath = imagePath.replace(/^(\.\/|\/)+/, '');
+    return imagePath.startsWith(directory) ? imagePath.slice(directory.length) : imagePath;
+}
+
+/**
+ * Reads an M3U-style list of image paths as a playlist
+ * The listed order becomes the playlist's manual order.
+ * @function parseM3uPlaylist
+ * @param {string} text - The file contents
+ * @param {string} fileName - The file name, used when the list has no name
+ * @returns {Object} - Parsed file with one playlist that keeps only the listed images
+ * @throws {Error} If the list contains no images
+ */
+function parseM3uPlaylist(text, fileName) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const nameLine = lines.find(line => line.startsWith('#PLAYLIST:'));
+    const paths = [...new Set(lines.filter(line => !line.startsWith('#')).map(toImagePath))];
+
+    if (paths.length === 0) {
+        throw new Error(`${fileName} lists no images`);
+    }
+
+    return {
+        all: false,
+        activeIndex: 0,
+        playlists: [{
+            name: (nameLine && nameLine.slice('#PLAYLIST:'.length).trim()) || fileName.replace(/\.m3u8?$/i, ''),
+            settings: getDefaultSettings(),
+            includeNewPhotos: false,
+            paths,
+            order: paths
+        }]
+    };
+}
+
+/**
+ * Reads a playlist file or an M3U-style list
+ * @function parsePlaylistFile
+ * @param {string} text - The file contents
+ * @param {string} fileName - The file name
+ * @returns {{all: boolean, activeIndex: number, playlists: Object[]}} - Whether the file holds
+ *     all playlists, the index of its active playlist and the playlists
+ * @throws {Error} If the file can't be read or fails validation; the message lists the problems
+ */
+export function parsePlaylistFile(text, fileName) {
+    if (/\.m3u8?$/i.test(fileName) || text.startsWith('#EXTM3U')) {
+        return parseM3uPlaylist(text, fileName);
+    }
+
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${fileName} is not a playlist file: ${error.message}`);
+    }
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+        throw new Error(`${fileName} is not a playlist file`);
+    }
+
+    const errors = validateConfig(file, PLAYLIST_FILE_SCHEMA);
+    if (errors.length === 0) {
+        file.playlists.forEach((playlist, index) => {
+            const prefix = `playlists[${index}]`;
+            if (!playlist || typeof playlist !== 'object') {
+                errors.push(`${prefix} must be an object`);
+                return;
+            }
+
+            // Version 1 files have a randomize setting instead of an order
+            if (file.version === 1 && playlist.settings && typeof playlist.settings === 'object') {
+                playlist.settings = upgradeOrderSetting(playlist.settings);
+            }
+
+            const playlistErrors = validateConfig(playlist, PLAYLIST_SCHEMA);
+            if (playlistErrors.length === 0) {
+                playlistErrors.push(...validateConfig(playlist.settings, SETTINGS_SCHEMA).map(error => `settings.${error}`));
+            }
+            errors.push(...playlistErrors.map(error => `${prefix}.${error}`));
+        });
+        if (file.playlists.length === 0) {
+            errors.push('playlists must contain at least one playlist');
+        }
+        if (file.activePlaylist !== undefined && file.activePlaylist !== null && !Number.isInteger(file.activePlaylist)) {
+            errors.push('activePlaylist must be an integer');
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`${fileName} is not a valid playlist file: ${errors.join(', ')}`);
+    }
+
+    return {
+        all: file.scope === 'all',
+        activeIndex: Number.isInteger(file.activePlaylist) && file.activePlaylist < file.playlists.length ? file.activePlaylist : 0,
+        playlists: file.playlists.map(toFilePlaylist)
+    };
+}
+
+/**
+ * Lists the images a playlist selects that aren't in the library
+ * Only playlists that keep just their listed photos select images by path; the paths
+ * stored by the others are deselected images, which don't need to exist.
+ * @function findMissingImages
+ * @param {Object} playlist - The playlist
+ * @param {Set<string>} libraryPaths - Paths of the images in the library
+ * @returns {string[]} - Paths of the missing images
+ */
+export function findMissingImages(playlist, libraryPaths) {
+    if (playlist.includeNewPhotos) return [];
+    return playlist.paths.filter(imagePath => !libraryPaths.has(imagePath));
+}
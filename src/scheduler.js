@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Slideshow Scheduler
+ *
+ * Drift-free timing for the slideshow. Instead of a fixed interval, the countdown
+ * for each slide only starts once its image has been decoded and its transition
+ * has finished, so slow image loads never eat into the display time and manual
+ * navigation can't trigger a second advance. Supports pause/resume with
+ * remaining-time tracking.
+ *
+ * @module scheduler
+ * @author Chris Schweda
+ * @version 1.0.0
+ */
+
+/**
+ * Creates a slideshow scheduler
+ * @function createSlideshowScheduler
+ * @param {Object} options - Scheduler options
+ * @param {number} options.duration - How long each slide stays on screen in milliseconds
+ * @param {Function} options.onAdvance - Called when the current slide's time is up
+ * @returns {Object} - Scheduler object
+ */
+export function createSlideshowScheduler({ duration, onAdvance }) {
+    let running = false;
+    let paused = false;
+    // Whether the current slide is on screen and its countdown applies
+    let armed = false;
+    // Incremented for every slide so late transitions can't arm the countdown
+    let slideId = 0;
+    let timeoutId = null;
+    // Time left on the current slide when the countdown is not ticking
+    let remaining = duration;
+    // performance.now() when the countdown was last (re)started
+    let startedAt = 0;
+
+    const now = () => performance.now();
+
+    /**
+     * Clears the pending countdown timeout
+     * @returns {void}
+     */
+    function clearCountdown() {
+        clearTimeout(timeoutId);
+        timeoutId = null;
+    }
+
+    /**
+     * Starts (or continues) the countdown with the remaining time
+     * @returns {void}
+     */
+    function runCountdown() {
+        clearCountdown();
+        startedAt = now();
+        timeoutId = setTimeout(() => {
+            timeoutId = null;
+            armed = false;
+            onAdvance();
+        }, remaining);
+    }
+
+    const scheduler = {
+        /**
+         * Starts scheduling; the countdown begins with the next slide passed to waitFor
+         * @returns {void}
+         */
+        start() {
+            running = true;
+            paused = false;
+        },
+
+        /**
+         * Stops scheduling and discards the current countdown
+         * @returns {void}
+         */
+        stop() {
+            clearCountdown();
+            running = false;
+            paused = false;
+            armed = false;
+            slideId++;
+            remaining = duration;
+        },
+
+        /**
+         * Arms the countdown for a slide once it is fully on screen
+         * Any countdown for a previous slide is cancelled immediately.
+         * @param {Promise<*>} slideShown - Settles when the slide's image is decoded and its transition finished
+         * @returns {Promise<void>}
+         */
+        async waitFor(slideShown) {
+            const id = ++slideId;
+            clearCountdown();
+            armed = false;
+
+            // A failed load still gets its full display time
+            await Promise.resolve(slideShown).catch(() => {});
+            if (id !== slideId || !running) return;
+
+            armed = true;
+            remaining = duration;
+            if (!paused) runCountdown();
+        },
+
+        /**
+         * Pauses the countdown, keeping track of the remaining time
+         * @returns {void}
+         */
+        pause() {
+            if (!running || paused) return;
+            paused = true;
+            if (timeoutId !== null) {
+                remaining = Math.max(0, remaining - (now() - startedAt));
+                clearCountdown();
+            }
+        },
+
+        /**
+         * Resumes the countdown with the time that was left
+         * @returns {void}
+         */
+        resume() {
+            if (!running || !paused) return;
+            paused = false;
+            if (armed) runCountdown();
+        },
+
+        /**
+         * Toggles between paused and playing
+         * @returns {boolean} - True if the scheduler is now paused
+         */
+        togglePause() {
+            if (paused) {
+                scheduler.resume();
+            } else {
+                scheduler.pause();
+            }
+            return paused;
+        },
+
+        /**
+         * Changes the slide duration, keeping the time already spent on the current slide
+         * @param {number} newDuration - The new duration in milliseconds
+         * @returns {void}
+         */
+        setDuration(newDuration) {
+            const elapsed = duration - scheduler.getRemaining();
+            duration = newDuration;
+
+            if (!armed) {
+                remaining = duration;
+                return;
+            }
+
+            remaining = Math.max(0, duration - elapsed);
+            if (timeoutId !== null) runCountdown();
+        },
+
+        /**
+         * Gets the time left on the current slide
+         * @returns {number} - Remaining time in milliseconds
+         */
+        getRemaining() {
+            if (timeoutId !== null) {
+                return Math.max(0, remaining - (now() - startedAt));
+            }
+            return remaining;
+        },
+
+        /**
+         * Gets how far the current slide's countdown has progressed
+         * @returns {number} - Progress between 0 and 1
+         */
+        getProgress() {
+            if (!armed || duration <= 0) return 0;
+            return 1 - scheduler.getRemaining() / duration;
+        },
+
+        /**
+         * Whether the slideshow is running (paused or not)
+         * @returns {boolean}
+         */
+        isRunning() {
+            return running;
+        },
+
+        /**
+         * Whether the slideshow is paused
+         * @returns {boolean}
+         */
+        isPaused() {
+            return paused;
+        }
+    };
+
+    return scheduler;
+}
@@ -0,0 +1,672 @@
+/**
+ * @fileoverview Settings Store
+ *
+ * Keeps named playlists in localStorage, so they survive reloads. Each playlist has
+ * its own settings (duration, background color, order, transition, Ken Burns, photo
+ * details and near-duplicates) and photo selection, and one playlist is active. How
+ * often each photo was shown is kept too, for the order that favors rarely shown photos.
+ * Show counts change with every slide, so they are kept under their own key and
+ * written in batches. Favorites belong to the photos rather than to a playlist, so
+ * they are stored once, as a list of image paths.
+ *
+ * A playlist's selection is stored by image path, so it follows images as others are
+ * added or deleted. Playlists that add new photos store the paths of deselected
+ * images, so photos added to the library later start out selected; the others store
+ * the paths of the selected images, so they keep exactly the photos chosen for them.
+ * A playlist can also have a manual order, stored as a list of image paths; an empty
+ * list means the photos play sorted by album and name.
+ *
+ * Stored data carries a version number. Data written by an older version is
+ * upgraded by the migrations below; data from a newer version, and stored values
+ * that don't pass validation, are replaced by the defaults from config.js. When
+ * localStorage is unavailable (e.g. disabled by the browser), playlists are only
+ * kept until the page is reloaded.
+ *
+ * @module settings-store
+ * @author Chris Schweda
+ * @version 1.6.0
+ */
+
+import config, { validateConfig } from './config.js';
+import { ORDER_MODES } from './ordering.js';
+import { NEAR_DUPLICATE_MODES } from './near-duplicates.js';
+
+/**
+ * Version of the stored data written by this module
+ * @type {number}
+ */
+export const SETTINGS_VERSION = 3;
+
+/**
+ * localStorage key of the stored data
+ * @type {string}
+ */
+export const STORAGE_KEY = 'web-photo-screensaver:settings';
+
+// Show counts recorded within this many milliseconds are written together
+const SHOW_COUNTS_WRITE_DELAY = 10000;
+
+/**
+ * Name of the playlist created when there is none
+ * @type {string}
+ */
+export const DEFAULT_PLAYLIST_NAME = 'All Photos';
+
+/**
+ * Schema of the settings of a playlist, in the format of the config schema
+ * @type {Object}
+ */
+export const SETTINGS_SCHEMA = {
+    duration: { type: 'number', required: true, min: config.display.minDuration, max: 3600 },
+    backgroundColor: { type: 'string', required: true, pattern: /^#[0-9A-Fa-f]{6}$/ },
+    order: { type: 'string', required: true, enum: ORDER_MODES.map(mode => mode.name) },
+    transition: { type: 'string', required: true },
+    kenBurns: { type: 'boolean', required: true },
+    photoDetails: { type: 'boolean', required: true },
+    nearDuplicates: { type: 'string', required: true, enum: NEAR_DUPLICATE_MODES.map(mode => mode.name) }
+};
+
+/**
+ * Upgrades stored data to the next version, keyed by the version they upgrade from
+ * @type {Object.<number, Function>}
+ */
+const MIGRATIONS = {
+    // Version 1 kept one set of settings and the deselected paths; they become the first playlist
+    1: ({ settings, deselected }) => ({
+        version: 2,
+        activePlaylist: 'playlist-1',
+        playlists: [{
+            id: 'playlist-1',
+            name: DEFAULT_PLAYLIST_NAME,
+            settings,
+            includeNewPhotos: true,
+            paths: deselected
+        }]
+    }),
+    // Version 2 had a randomize setting, which became one of the orders
+    2: data => ({
+        ...data,
+        version: 3,
+        playlists: Array.isArray(data.playlists)
+            ? data.playlists.map(playlist => ({ ...playlist, settings: upgradeOrderSetting(playlist.settings || {}) }))
+            : []
+    })
+};
+
+/**
+ * Replaces the randomize setting of settings saved before orders existed with an order
+ * @function upgradeOrderSetting
+ * @param {Object} settings - Settings with randomizeOrder
+ * @returns {Object} - Settings with order 'shuffle' if they were randomized, otherwise 'manual'
+ */
+export function upgradeOrderSetting({ randomizeOrder, ...settings }) {
+    return { ...settings, order: randomizeOrder ? 'shuffle' : 'manual' };
+}
+
+/**
+ * Gets the settings defined by config.js
+ * @function getDefaultSettings
+ * @returns {Object} - Duration in seconds, background color, order, transition, Ken Burns,
+ *     photo details and near-duplicate settings
+ */
+export function getDefaultSettings() {
+    return {
+        duration: config.display.defaultDuration,
+        backgroundColor: config.display.defaultBackgroundColor,
+        order: config.display.defaultOrder,
+        transition: config.display.defaultTransition,
+        kenBurns: config.display.defaultKenBurns,
+        photoDetails: config.display.defaultPhotoDetails,
+        nearDuplicates: config.display.defaultNearDuplicates
+    };
+}
+
+/**
+ * Replaces missing and invalid settings with their defaults
+ * @function sanitizeSettings
+ * @param {Object} settings - Stored settings
+ * @returns {Object} - Complete, valid settings
+ */
+function sanitizeSettings(settings) {
+    const defaults = getDefaultSettings();
+    const sanitized = {};
+
+    Object.keys(SETTINGS_SCHEMA).forEach(key => {
+        const errors = validateConfig({ [key]: settings[key] }, { [key]: SETTINGS_SCHEMA[key] });
+        if (errors.length > 0 && settings[key] !== undefined) {
+            console.warn(`Ignoring stored setting: ${errors.join(', ')}`);
+        }
+        sanitized[key] = errors.length === 0 ? settings[key] : defaults[key];
+    });
+
+    return sanitized;
+}
+
+/**
+ * Turns a stored playlist into a valid one
+ * @function sanitizePlaylist
+ * @param {Object} playlist - Stored playlist
+ * @param {number} index - Position of the playlist, used for a missing name
+ * @returns {?Object} - The playlist, or null if it has no id
+ */
+function sanitizePlaylist(playlist, index) {
+    if (!playlist || typeof playlist.id !== 'string') return null;
+
+    return {
+        id: playlist.id,
+        name: typeof playlist.name === 'string' && playlist.name.trim() ? playlist.name.trim() : `Playlist ${index + 1}`,
+        settings: sanitizeSettings(playlist.settings && typeof playlist.settings === 'object' ? playlist.settings : {}),
+        includeNewPhotos: playlist.includeNewPhotos !== false,
+        paths: Array.isArray(playlist.paths) ? playlist.paths.filter(path => typeof path === 'string') : [],
+        order: Array.isArray(playlist.order) ? playlist.order.filter(path => typeof path === 'string') : []
+    };
+}
+
+/**
+ * Keeps the valid show counts of stored data
+ * @function sanitizeShowCounts
+ * @param {*} showCounts - Stored show counts
+ * @returns {Object.<string, number>} - Show counts by image path
+ */
+function sanitizeShowCounts(showCounts) {
+    if (!showCounts || typeof showCounts !== 'object') return {};
+    return Object.fromEntries(Object.entries(showCounts)
+        .filter(([, count]) => Number.isInteger(count) && count > 0));
+}
+
+/**
+ * Creates a playlist with the default settings that shows every photo
+ * @function createDefaultPlaylist
+ * @param {string} id - The playlist id
+ * @param {string} [name=DEFAULT_PLAYLIST_NAME] - The playlist name
+ * @returns {Object} - The playlist
+ */
+function createDefaultPlaylist(id, name = DEFAULT_PLAYLIST_NAME) {
+    return { id, name, settings: getDefaultSettings(), includeNewPhotos: true, paths: [], order: [] };
+}
+
+/**
+ * Upgrades stored data to the current version
+ * @function migrate
+ * @param {Object} data - Parsed stored data
+ * @returns {?Object} - The upgraded data, or null if it can't be used
+ */
+function migrate(data) {
+    let migrated = data;
+
+    while (migrated.version < SETTINGS_VERSION) {
+        const upgrade = MIGRATIONS[migrated.version];
+        if (!upgrade) return null;
+        migrated = upgrade(migrated);
+    }
+
+    return migrated.version === SETTINGS_VERSION ? migrated : null;
+}
+
+/**
+ * Gets localStorage if it can be written to
+ * @function getLocalStorage
+ * @returns {?Storage} - localStorage, or null if it is unavailable
+ */
+function getLocalStorage() {
+    try {
+        const testKey = `${STORAGE_KEY}:test`;
+        window.localStorage.setItem(testKey, '1');
+        window.localStorage.removeItem(testKey);
+        return window.localStorage;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Creates a settings store
+ * Playlists are returned as copies; change them through the store's methods.
+ * @function createSettingsStore
+ * @param {Object} [options] - Store options
+ * @param {?Storage} [options.storage] - Where to keep the data (default: localStorage if available)
+ * @param {string} [options.key=STORAGE_KEY] - Key of the data in the storage; show counts
+ *     are kept under the key followed by ":show-counts"
+ * @returns {Object} - The store
+ */
+export function createSettingsStore({ storage = getLocalStorage(), key = STORAGE_KEY } = {}) {
+    const showCountsKey = `${key}:show-counts`;
+    let data = read();
+    let showCounts = readShowCounts();
+    let showCountsTimer = null;
+
+    /**
+     * Creates the data of a new store
+     * @returns {Object} - Data with one default playlist
+     */
+    function createEmptyData() {
+        return {
+            version: SETTINGS_VERSION,
+            activePlaylist: 'playlist-1',
+            playlists: [createDefaultPlaylist('playlist-1')],
+            favorites: []
+        };
+    }
+
+    /**
+     * Reads and upgrades the stored data
+     * @returns {Object} - The stored data, or new data if there is none or it can't be used
+     */
+    function read() {
+        if (!storage) return createEmptyData();
+
+        try {
+            const stored = JSON.parse(storage.getItem(key));
+            if (!stored || typeof stored.version !== 'number') return createEmptyData();
+
+            const migrated = migrate(stored);
+            if (!migrated) {
+                console.warn(`Ignoring stored settings of unsupported version ${stored.version}`);
+                return createEmptyData();
+            }
+
+            const playlists = (Array.isArray(migrated.playlists) ? migrated.playlists : [])
+                .map(sanitizePlaylist)
+                .filter(Boolean);
+            if (playlists.length === 0) return createEmptyData();
+
+            return {
+                version: SETTINGS_VERSION,
+                activePlaylist: playlists.some(playlist => playlist.id === migrated.activePlaylist)
+                    ? migrated.activePlaylist
+                    : playlists[0].id,
+                playlists,
+                favorites: Array.isArray(migrated.favorites) ? migrated.favorites.filter(path => typeof path === 'string') : []
+            };
+        } catch (error) {
+            console.warn('Ignoring stored settings that could not be read:', error);
+            return createEmptyData();
+        }
+    }
+
+    /**
+     * Writes the data to the storage
+     * @returns {void}
+     */
+    function write() {
+        if (!storage) return;
+        try {
+            storage.setItem(key, JSON.stringify(data));
+        } catch (error) {
+            // A full storage only costs persistence
+            console.warn('Could not save settings:', error);
+        }
+    }
+
+    /**
+     * Reads the stored show counts
+     * @returns {Object.<string, number>} - Show counts by image path; empty if there are none
+     */
+    function readShowCounts() {
+        if (!storage) return {};
+        try {
+            return sanitizeShowCounts(JSON.parse(storage.getItem(showCountsKey)));
+        } catch (error) {
+            console.warn('Ignoring stored show counts that could not be read:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Writes the show counts to the storage
+     * @returns {void}
+     */
+    function writeShowCounts() {
+        clearTimeout(showCountsTimer);
+        showCountsTimer = null;
+        if (!storage) return;
+        try {
+            storage.setItem(showCountsKey, JSON.stringify(showCounts));
+        } catch (error) {
+            console.warn('Could not save show counts:', error);
+        }
+    }
+
+    /**
+     * Finds a playlist
+     * @param {string} id - The playlist id
+     * @returns {Object} - The stored playlist
+     * @throws {Error} If there is no playlist with that id
+     */
+    function findPlaylist(id) {
+        const playlist = data.playlists.find(candidate => candidate.id === id);
+        if (!playlist) {
+            throw new Error(`Unknown playlist: ${id}`);
+        }
+        return playlist;
+    }
+
+    /**
+     * Gets an id that no playlist has
+     * @returns {string} - The new id
+     */
+    function createId() {
+        let number = data.playlists.length + 1;
+        while (data.playlists.some(playlist => playlist.id === `playlist-${number}`)) {
+            number++;
+        }
+        return `playlist-${number}`;
+    }
+
+    /**
+     * Copies a playlist so callers can't change the stored one
+     * @param {Object} playlist - The playlist
+     * @returns {Object} - The copy
+     */
+    function copyPlaylist(playlist) {
+        return { ...playlist, settings: { ...playlist.settings }, paths: [...playlist.paths], order: [...playlist.order] };
+    }
+
+    return {
+        /**
+         * Lists the playlists
+         * @returns {Array<{id: string, name: string}>} - Playlists in the order they were created
+         */
+        getPlaylists() {
+            return data.playlists.map(({ id, name }) => ({ id, name }));
+        },
+
+        /**
+         * Gets the active playlist
+         * @returns {Object} - The playlist with id, name, settings, includeNewPhotos, paths and order
+         */
+        getActivePlaylist() {
+            return copyPlaylist(findPlaylist(data.activePlaylist));
+        },
+
+        /**
+         * Makes a playlist the active one
+         * @param {string} id - The playlist id
+         * @returns {Object} - The playlist
+         */
+        setActivePlaylist(id) {
+            data.activePlaylist = findPlaylist(id).id;
+            write();
+            return copyPlaylist(findPlaylist(id));
+        },
+
+        /**
+         * Gets a test for whether an image is selected in the active playlist
+         * @returns {Function} - Takes an image path and returns whether it is selected
+         */
+        getSelection() {
+            const { includeNewPhotos, paths } = findPlaylist(data.activePlaylist);
+            const listed = new Set(paths);
+            return imagePath => listed.has(imagePath) !== includeNewPhotos;
+        },
+
+        /**
+         * Gets a test for whether an image is a favorite
+         * @returns {Function} - Takes an image path and returns whether it is a favorite
+         */
+        getFavorites() {
+            const favorites = new Set(data.favorites);
+            return imagePath => favorites.has(imagePath);
+        },
+
+        /**
+         * Marks or unmarks an image as a favorite, in every playlist
+         * @param {string} imagePath - Path of the image
+         * @param {boolean} favorite - Whether the image is a favorite
+         * @returns {void}
+         */
+        setFavorite(imagePath, favorite) {
+            const favorites = data.favorites.filter(path => path !== imagePath);
+            data.favorites = favorite ? [...favorites, imagePath] : favorites;
+            write();
+        },
+
+        /**
+         * Adds a playlist and makes it active
+         * @param {string} name - The playlist name
+         * @param {Object} [from] - Settings and selection to start with (default: the
+         *     default settings with no photos selected)
+         * @param {Object} [from.settings] - The settings
+         * @param {string[]} [from.selectedPaths] - Paths of the selected images
+         * @returns {Object} - The new playlist
+         */
+        createPlaylist(name, { settings = getDefaultSettings(), selectedPaths = [] } = {}) {
+            const playlist = sanitizePlaylist({
+                id: createId(),
+                name,
+                settings,
+                includeNewPhotos: false,
+                paths: selectedPaths
+            }, data.playlists.length);
+            data.playlists.push(playlist);
+            data.activePlaylist = playlist.id;
+            write();
+            return copyPlaylist(playlist);
+        },
+
+        /**
+         * Adds playlists, e.g. read from a playlist file
+         * Imported playlists get new ids, and a number is added to names that are taken.
+         * @param {Object[]} playlists - Playlists with name, settings, includeNewPhotos, paths and
+         *     optionally order
+         * @param {Object} [options] - Import options
+         * @param {boolean} [options.replace=false] - Whether to delete all other playlists first
+         * @param {number} [options.activeIndex=0] - Index of the imported playlist to make active
+         * @returns {Object[]} - The imported playlists
+         */
+        importPlaylists(playlists, { replace = false, activeIndex = 0 } = {}) {
+            if (playlists.length === 0) return [];
+            if (replace) {
+                data.playlists = [];
+            }
+
+            const imported = playlists.map(playlist => {
+                const sanitized = sanitizePlaylist({ ...playlist, id: createId() }, data.playlists.length);
+                const baseName = sanitized.name;
+                for (let number = 2; data.playlists.some(existing => existing.name === sanitized.name); number++) {
+                    sanitized.name = `${baseName} (${number})`;
+                }
+                data.playlists.push(sanitized);
+                return sanitized;
+            });
+
+            data.activePlaylist = (imported[activeIndex] || imported[0]).id;
+            write();
+            return imported.map(copyPlaylist);
+        },
+
+        /**
+         * Gets all playlists, e.g. to write them to a playlist file
+         * @returns {{activePlaylist: string, playlists: Object[]}} - Id of the active playlist and copies of all playlists
+         */
+        exportPlaylists() {
+            return { activePlaylist: data.activePlaylist, playlists: data.playlists.map(copyPlaylist) };
+        },
+
+        /**
+         * Copies a playlist and makes the copy active
+         * @param {string} id - The playlist to copy
+         * @param {string} name - Name of the copy
+         * @returns {Object} - The new playlist
+         */
+        duplicatePlaylist(id, name) {
+            const playlist = sanitizePlaylist({ ...copyPlaylist(findPlaylist(id)), id: createId(), name }, data.playlists.length);
+            data.playlists.push(playlist);
+            data.activePlaylist = playlist.id;
+            write();
+            return copyPlaylist(playlist);
+        },
+
+        /**
+         * Renames a playlist
+         * @param {string} id - The playlist id
+         * @param {string} name - The new name; blank names are ignored
+         * @returns {void}
+         */
+        renamePlaylist(id, name) {
+            if (typeof name !== 'string' || !name.trim()) return;
+            findPlaylist(id).name = name.trim();
+            write();
+        },
+
+        /**
+         * Deletes a playlist; the last one can't be deleted
+         * The first remaining playlist becomes active if the active one was deleted.
+         * @param {string} id - The playlist id
+         * @returns {boolean} - Whether the playlist was deleted
+         */
+        deletePlaylist(id) {
+            findPlaylist(id);
+            if (data.playlists.length === 1) return false;
+
+            data.playlists = data.playlists.filter(playlist => playlist.id !== id);
+            if (data.activePlaylist === id) {
+                data.activePlaylist = data.playlists[0].id;
+            }
+            write();
+            return true;
+        },
+
+        /**
+         * Stores the settings of the active playlist
+         * @param {Object} settings - The current settings
+         * @returns {void}
+         */
+        saveSettings(settings) {
+            findPlaylist(data.activePlaylist).settings = sanitizeSettings(settings);
+            write();
+        },
+
+        /**
+         * Stores the selection of the active playlist
+         * Stored paths of images that aren't in either list, e.g. imported ones missing
+         * from this library, are kept.
+         * @param {string[]} selectedPaths - Paths of the selected images
+         * @param {string[]} deselectedPaths - Paths of the other images
+         * @returns {void}
+         */
+        saveSelection(selectedPaths, deselectedPaths) {
+            const playlist = findPlaylist(data.activePlaylist);
+            const known = new Set([...selectedPaths, ...deselectedPaths]);
+            playlist.paths = [
+                ...playlist.paths.filter(imagePath => !known.has(imagePath)),
+                ...(playlist.includeNewPhotos ? deselectedPaths : selectedPaths)
+            ];
+            write();
+        },
+
+        /**
+         * Stores the manual order of the active playlist
+         * Stored paths of images that aren't in the list, e.g. imported ones missing from
+         * this library, keep their places; the listed images fill the other places in
+         * their new order, and images the stored order didn't have follow at the end.
+         * @param {string[]} orderedPaths - Image paths in playing order
+         * @returns {void}
+         */
+        saveOrder(orderedPaths) {
+            const playlist = findPlaylist(data.activePlaylist);
+            const known = new Set(orderedPaths);
+            const placed = new Set();
+            let next = 0;
+            const order = [];
+            playlist.order.forEach(imagePath => {
+                if (!known.has(imagePath)) {
+                    order.push(imagePath);
+                } else if (!placed.has(imagePath)) {
+                    placed.add(imagePath);
+                    order.push(orderedPaths[next++]);
+                }
+            });
+            playlist.order = [...order, ...orderedPaths.slice(next)];
+            write();
+        },
+
+        /**
+         * Forgets the manual order of the active playlist, so its photos are sorted by
+         * album and name
+         * @returns {void}
+         */
+        clearOrder() {
+            findPlaylist(data.activePlaylist).order = [];
+            write();
+        },
+
+        /**
+         * Gets how often each photo was shown
+         * @returns {Object.<string, number>} - Show counts by image path
+         */
+        getShowCounts() {
+            return { ...showCounts };
+        },
+
+        /**
+         * Counts a photo as shown
+         * The counts are written a few seconds later, together with the ones recorded
+         * in the meantime.
+         * @param {string} imagePath - Path of the shown image
+         * @returns {void}
+         */
+        recordShown(imagePath) {
+            showCounts[imagePath] = (showCounts[imagePath] || 0) + 1;
+            if (showCountsTimer === null) {
+                showCountsTimer = setTimeout(writeShowCounts, SHOW_COUNTS_WRITE_DELAY);
+            }
+        },
+
+        /**
+         * Writes show counts that are waiting to be written, e.g. before the page is left
+         * @returns {void}
+         */
+        flushShowCounts() {
+            if (showCountsTimer !== null) {
+                writeShowCounts();
+            }
+        },
+
+        /**
+         * Forgets the show counts of images that are no longer in the library
+         * @param {Set<string>} libraryPaths - Paths of the images in the library
+         * @returns {void}
+         */
+        pruneShowCounts(libraryPaths) {
+            const stale = Object.keys(showCounts).filter(imagePath => !libraryPaths.has(imagePath));
+            if (stale.length === 0) return;
+            stale.forEach(imagePath => delete showCounts[imagePath]);
+            writeShowCounts();
+        },
+
+        /**
+         * Sets whether photos added to the library later are selected in the active playlist
+         * The playlist then stores the other list of paths. Stored paths of images that
+         * aren't in the library are dropped: an image that isn't listed takes the new
+         * mode's default, which is what the dropped path stood for.
+         * @param {boolean} includeNewPhotos - Whether new photos are selected
+         * @param {string[]} selectedPaths - Paths of the selected images
+         * @param {string[]} deselectedPaths - Paths of the other images
+         * @returns {void}
+         */
+        setIncludeNewPhotos(includeNewPhotos, selectedPaths, deselectedPaths) {
+            const playlist = findPlaylist(data.activePlaylist);
+            if (playlist.includeNewPhotos === includeNewPhotos) return;
+            playlist.includeNewPhotos = includeNewPhotos;
+            playlist.paths = [...(includeNewPhotos ? deselectedPaths : selectedPaths)];
+            write();
+        },
+
+        /**
+         * Forgets all playlists, favorites and show counts, leaving one playlist with the
+         * default settings and every photo selected
+         * @returns {void}
+         */
+        reset() {
+            data = createEmptyData();
+            showCounts = {};
+            clearTimeout(showCountsTimer);
+            showCountsTimer = null;
+            if (storage) {
+                storage.removeItem(key);
+                storage.removeItem(showCountsKey);
+            }
+        }
+    };
+}
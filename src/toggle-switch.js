@@ -8,41 +8,61 @@
  * @version 1.0.0
  */
 
+/**
+ * IDs of the checkboxes rendered as toggle switches
+ * @type {string[]}
+ */
+const TOGGLE_SWITCH_IDS = ['ken-burns-checkbox', 'photo-details-checkbox', 'include-new-checkbox'];
+
 /**
  * Initialize toggle switches
  * This function sets up the custom toggle switch UI for checkboxes
  */
 export function initializeToggleSwitches() {
-    // Find the randomize checkbox
-    const randomizeCheckbox = document.getElementById('randomize-checkbox');
-    
-    if (randomizeCheckbox) {
-        // Get the dot element (the circle that moves in the toggle)
-        const dotElement = randomizeCheckbox.parentElement.querySelector('.dot');
-        
-        // Get the background track element
-        const trackElement = randomizeCheckbox.parentElement.querySelector('.block');
+    TOGGLE_SWITCH_IDS.forEach(id => {
+        const checkbox = document.getElementById(id);
         
-        // Set initial state
-        updateToggleState(randomizeCheckbox, dotElement, trackElement);
-        
-        // Add change event listener
-        randomizeCheckbox.addEventListener('change', () => {
-            updateToggleState(randomizeCheckbox, dotElement, trackElement);
-        });
-        
-        // Add click event to the parent label to toggle the checkbox
-        randomizeCheckbox.parentElement.addEventListener('click', (e) => {
-            // Prevent default to avoid double toggling
-            e.preventDefault();
+        if (checkbox) {
+            // Get the dot element (the circle that moves in the toggle)
+            const dotElement = checkbox.parentElement.querySelector('.dot');
             
-            // Toggle the checkbox
-            randomizeCheckbox.checked = !randomizeCheckbox.checked;
+            // Get the background track element
+            const trackElement = checkbox.parentElement.querySelector('.block');
             
-            // Dispatch change event
-            randomizeCheckbox.dispatchEvent(new Event('change'));
-        });
-    }
+            // Set initial state
+            updateToggleState(checkbox, dotElement, trackElement);
+            
+            // Add change event listener
+            checkbox.addEventListener('change', () => {
+                updateToggleState(checkbox, dotElement, trackElement);
+            });
+            
+            // Add click event to the parent label to toggle the checkbox
+            checkbox.parentElement.addEventListener('click', (e) => {
+                // Prevent default to avoid double toggling
+                e.preventDefault();
+                
+                // Toggle the checkbox
+                checkbox.checked = !checkbox.checked;
+                
+                // Dispatch change event
+                checkbox.dispatchEvent(new Event('change'));
+            });
+        }
+    });
+}
+
+/**
+ * Refresh the toggle switches after their checkboxes were changed by code
+ * Setting checked directly fires no change event, so the switches don't follow it.
+ */
+export function refreshToggleSwitches() {
+    TOGGLE_SWITCH_IDS.forEach(id => {
+        const checkbox = document.getElementById(id);
+        if (checkbox) {
+            updateToggleState(checkbox, checkbox.parentElement.querySelector('.dot'), checkbox.parentElement.querySelector('.block'));
+        }
+    });
 }
 
 /**
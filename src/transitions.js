@@ -0,0 +1,438 @@
+/**
+ * @fileoverview Image Transition Engine
+ *
+ * Double-buffered image display for the fullscreen slideshow. Two stacked image
+ * layers take turns being visible: the next image is decoded off-screen, loaded
+ * into the hidden layer and then transitioned over the current one, so the
+ * background color never shows through between slides.
+ *
+ * Transition effects are looked up in a registry. Each effect declares its own
+ * duration and easing and animates the two layers with the Web Animations API.
+ *
+ * @module transitions
+ * @author Chris Schweda
+ * @version 1.2.0
+ */
+
+/**
+ * Name of the pseudo transition that picks a random effect for every slide
+ * @type {string}
+ */
+export const RANDOM_TRANSITION = 'random';
+
+/**
+ * Name of the transition used when none (or an unknown one) is requested
+ * @type {string}
+ */
+export const DEFAULT_TRANSITION = 'fade';
+
+/**
+ * Size in CSS pixels of the blocks revealed by the dissolve transition
+ * @type {number}
+ */
+const DISSOLVE_BLOCK_SIZE = 16;
+
+/**
+ * Registered transition effects, keyed by name
+ * @type {Map<string, Object>}
+ */
+const transitionRegistry = new Map();
+
+/**
+ * Registers a transition effect
+ * @function registerTransition
+ * @param {string} name - Unique name of the transition
+ * @param {Object} definition - The transition definition
+ * @param {string} definition.label - Human readable label for the controls panel
+ * @param {number} [definition.duration] - Duration in milliseconds, defaults to the engine duration
+ * @param {string} [definition.easing='ease-in-out'] - CSS easing function
+ * @param {Function} definition.run - Starts the effect and returns an object with
+ *     a `finished` promise and a `cancel` function
+ * @returns {void}
+ */
+export function registerTransition(name, definition) {
+    if (name === RANDOM_TRANSITION) {
+        throw new Error(`"${RANDOM_TRANSITION}" is reserved and cannot be registered as a transition`);
+    }
+    if (!definition || typeof definition.run !== 'function') {
+        throw new Error(`Transition "${name}" must define a run function`);
+    }
+    transitionRegistry.set(name, { easing: 'ease-in-out', ...definition });
+}
+
+/**
+ * Gets the registered transitions in registration order
+ * @function getTransitions
+ * @returns {Array<{name: string, label: string}>} - The registered transitions
+ */
+export function getTransitions() {
+    return Array.from(transitionRegistry, ([name, definition]) => ({ name, label: definition.label }));
+}
+
+/**
+ * Resolves a transition name to its definition
+ * The random pseudo transition picks a different registered effect on every call.
+ * @function resolveTransition
+ * @param {string} name - The transition name
+ * @returns {Object} - The transition definition
+ */
+export function resolveTransition(name) {
+    if (name === RANDOM_TRANSITION) {
+        const names = Array.from(transitionRegistry.keys());
+        return transitionRegistry.get(names[Math.floor(Math.random() * names.length)]);
+    }
+
+    if (!transitionRegistry.has(name)) {
+        console.warn(`Unknown transition "${name}", falling back to ${DEFAULT_TRANSITION}`);
+        return transitionRegistry.get(DEFAULT_TRANSITION);
+    }
+
+    return transitionRegistry.get(name);
+}
+
+/**
+ * Gets how long a transition runs
+ * For the random pseudo transition this is the longest of the registered effects.
+ * @function getTransitionDuration
+ * @param {string} name - The transition name
+ * @param {number} defaultDuration - Duration in milliseconds of transitions that don't declare one
+ * @returns {number} - Duration in milliseconds
+ */
+export function getTransitionDuration(name, defaultDuration) {
+    if (name === RANDOM_TRANSITION) {
+        return Math.max(...Array.from(transitionRegistry.values(), effect => effect.duration ?? defaultDuration));
+    }
+
+    const effect = transitionRegistry.get(name) || transitionRegistry.get(DEFAULT_TRANSITION);
+    return effect.duration ?? defaultDuration;
+}
+
+/**
+ * Loads and decodes an image off-screen
+ * @function decodeImage
+ * @param {string} url - The URL of the image to decode
+ * @returns {Promise<HTMLImageElement>} - Resolves with the decoded image, rejects if it fails to load
+ */
+export function decodeImage(url) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+
+        img.onload = () => {
+            // decode() makes sure the bitmap is ready before it is painted;
+            // a failed decode still leaves a usable, loaded image
+            if (typeof img.decode === 'function') {
+                img.decode().then(() => resolve(img), () => resolve(img));
+            } else {
+                resolve(img);
+            }
+        };
+
+        img.onerror = () => {
+            reject(new Error(`Failed to load image: ${url}`));
+        };
+
+        img.src = url;
+    });
+}
+
+/**
+ * Builds a run function that animates both layers with keyframes
+ * @function keyframeTransition
+ * @param {Object[]} incomingKeyframes - Keyframes for the layer being revealed
+ * @param {Object[]} [outgoingKeyframes] - Keyframes for the layer being hidden
+ * @returns {Function} - A transition run function
+ */
+function keyframeTransition(incomingKeyframes, outgoingKeyframes) {
+    return ({ incoming, outgoing, duration, easing }) => {
+        // Without the Web Animations API the swap happens as a cut
+        if (typeof incoming.animate !== 'function') {
+            return { finished: Promise.resolve(), cancel() {} };
+        }
+
+        const timing = { duration, easing, fill: 'forwards' };
+        const animations = [incoming.animate(incomingKeyframes, timing)];
+        if (outgoingKeyframes) {
+            animations.push(outgoing.animate(outgoingKeyframes, timing));
+        }
+
+        return {
+            finished: Promise.all(animations.map(animation => animation.finished)),
+            cancel: () => animations.forEach(animation => animation.cancel())
+        };
+    };
+}
+
+/**
+ * Reveals the incoming layer block by block on a canvas laid over it
+ * @function runDissolve
+ * @param {Object} context - The transition context
+ * @param {HTMLImageElement} context.incoming - The layer being revealed
+ * @param {HTMLImageElement} context.outgoing - The layer being hidden
+ * @param {number} context.duration - Duration in milliseconds
+ * @param {string} context.easing - CSS easing function
+ * @returns {{finished: Promise<void>, cancel: Function}} - The running transition
+ */
+function runDissolve({ incoming, outgoing, duration, easing }) {
+    if (typeof incoming.animate !== 'function') {
+        return { finished: Promise.resolve(), cancel() {} };
+    }
+
+    // Match the rendered box of the incoming layer
+    const width = incoming.offsetWidth;
+    const height = incoming.offsetHeight;
+    const ratio = window.devicePixelRatio || 1;
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'image-layer-canvas';
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    canvas.style.left = `${incoming.offsetLeft}px`;
+    canvas.style.top = `${incoming.offsetTop}px`;
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    incoming.parentElement.appendChild(canvas);
+
+    const context = canvas.getContext('2d');
+    const columns = Math.ceil(width / DISSOLVE_BLOCK_SIZE);
+    const rows = Math.ceil(height / DISSOLVE_BLOCK_SIZE);
+    const sourceScaleX = incoming.naturalWidth / width;
+    const sourceScaleY = incoming.naturalHeight / height;
+
+    // Shuffle the blocks so they are revealed in random order
+    const blocks = Array.from({ length: columns * rows }, (_, i) => i);
+    for (let i = blocks.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [blocks[i], blocks[j]] = [blocks[j], blocks[i]];
+    }
+
+    // A no-op animation drives the eased progress of the dissolve
+    const timing = canvas.animate([{ opacity: 1 }, { opacity: 1 }], { duration, easing });
+    const fadeOut = outgoing.animate([{ opacity: 1 }, { opacity: 0 }], { duration, easing, fill: 'forwards' });
+
+    let drawn = 0;
+    let frameId = null;
+
+    const drawBlocks = (count) => {
+        for (; drawn < count; drawn++) {
+            const x = (blocks[drawn] % columns) * DISSOLVE_BLOCK_SIZE;
+            const y = Math.floor(blocks[drawn] / columns) * DISSOLVE_BLOCK_SIZE;
+            context.drawImage(
+                incoming,
+                x * sourceScaleX, y * sourceScaleY,
+                DISSOLVE_BLOCK_SIZE * sourceScaleX, DISSOLVE_BLOCK_SIZE * sourceScaleY,
+                x * ratio, y * ratio,
+                DISSOLVE_BLOCK_SIZE * ratio, DISSOLVE_BLOCK_SIZE * ratio
+            );
+        }
+    };
+
+    const finished = new Promise((resolve, reject) => {
+        const frame = () => {
+            // Follow any pan-and-zoom motion of the incoming layer
+            const { scale, translate } = getComputedStyle(incoming);
+            canvas.style.scale = scale;
+            canvas.style.translate = translate;
+
+            const progress = timing.effect.getComputedTiming().progress || 0;
+            drawBlocks(Math.floor(progress * blocks.length));
+            frameId = requestAnimationFrame(frame);
+        };
+        frameId = requestAnimationFrame(frame);
+
+        timing.finished.then(() => {
+            drawBlocks(blocks.length);
+            resolve();
+        }, reject);
+    });
+
+    return {
+        finished,
+        cancel: () => {
+            cancelAnimationFrame(frameId);
+            timing.cancel();
+            fadeOut.cancel();
+            canvas.remove();
+        }
+    };
+}
+
+// Built-in transitions
+registerTransition('fade', {
+    label: 'Crossfade',
+    // No duration: uses config.display.fadeTransitionDuration via the engine
+    easing: 'ease-in-out',
+    // The outgoing image stays fully visible underneath until the incoming one
+    // covers it, so the background never shows through halfway
+    run: keyframeTransition(
+        [{ opacity: 0 }, { opacity: 1 }]
+    )
+});
+
+registerTransition('slide-left', {
+    label: 'Slide Left',
+    duration: 900,
+    easing: 'cubic-bezier(0.65, 0, 0.35, 1)',
+    run: keyframeTransition(
+        [{ opacity: 1, transform: 'translateX(100vw)' }, { opacity: 1, transform: 'translateX(0)' }],
+        [{ transform: 'translateX(0)' }, { transform: 'translateX(-100vw)' }]
+    )
+});
+
+registerTransition('slide-right', {
+    label: 'Slide Right',
+    duration: 900,
+    easing: 'cubic-bezier(0.65, 0, 0.35, 1)',
+    run: keyframeTransition(
+        [{ opacity: 1, transform: 'translateX(-100vw)' }, { opacity: 1, transform: 'translateX(0)' }],
+        [{ transform: 'translateX(0)' }, { transform: 'translateX(100vw)' }]
+    )
+});
+
+registerTransition('zoom', {
+    label: 'Zoom Through',
+    duration: 800,
+    easing: 'ease-in-out',
+    run: keyframeTransition(
+        [{ opacity: 0, transform: 'scale(0.8)' }, { opacity: 1, transform: 'scale(1)' }],
+        // Keep the outgoing image opaque; it is hidden once the incoming one covers it
+        [{ transform: 'scale(1)' }, { transform: 'scale(1.25)' }]
+    )
+});
+
+registerTransition('wipe-left', {
+    label: 'Wipe Left',
+    duration: 800,
+    easing: 'ease-in-out',
+    run: keyframeTransition(
+        [{ opacity: 1, clipPath: 'inset(0 0 0 100%)' }, { opacity: 1, clipPath: 'inset(0 0 0 0)' }],
+        // Hold the outgoing image until the wipe has nearly covered it
+        [{ opacity: 1 }, { opacity: 1, offset: 0.8 }, { opacity: 0 }]
+    )
+});
+
+registerTransition('wipe-right', {
+    label: 'Wipe Right',
+    duration: 800,
+    easing: 'ease-in-out',
+    run: keyframeTransition(
+        [{ opacity: 1, clipPath: 'inset(0 100% 0 0)' }, { opacity: 1, clipPath: 'inset(0 0 0 0)' }],
+        [{ opacity: 1 }, { opacity: 1, offset: 0.8 }, { opacity: 0 }]
+    )
+});
+
+registerTransition('dissolve', {
+    label: 'Pixel Dissolve',
+    duration: 1200,
+    easing: 'linear',
+    run: runDissolve
+});
+
+/**
+ * Creates a double-buffered transition engine for two stacked image layers
+ * @function createTransitionEngine
+ * @param {Object} options - Engine options
+ * @param {HTMLImageElement[]} options.layers - The two image elements to alternate between
+ * @param {number} options.duration - Duration in milliseconds for transitions that don't declare one
+ * @returns {Object} - Engine object with show and reset methods
+ */
+export function createTransitionEngine({ layers, duration }) {
+    // Index of the layer that is currently visible
+    let front = 0;
+    // Incremented on every request so stale loads can be discarded
+    let requestId = 0;
+    // Jumps the transition in progress (if any) to its end state
+    let settleActive = null;
+
+    layers.forEach(layer => layer.classList.add('image-layer'));
+
+    const engine = {
+        /**
+         * Decodes an image and transitions it over the currently visible one
+         * @param {string} url - The URL of the image to show
+         * @param {Object} [options] - Display options
+         * @param {string} [options.alt=''] - Alternative text for the image
+         * @param {string} [options.transition='fade'] - Name of the transition to use
+         * @param {Function} [options.onSwap] - Called with the incoming layer and the duration of
+         *     its transition in milliseconds once the image is decoded, right before the transition starts
+         * @returns {Promise<boolean>} - True when the transition finished, false if a newer request superseded it
+         * @throws {Error} If the image can't be loaded and no newer request superseded it
+         */
+        async show(url, { alt = '', transition = DEFAULT_TRANSITION, onSwap } = {}) {
+            const id = ++requestId;
+
+            try {
+                await decodeImage(url);
+            } catch (error) {
+                // Only a request that is still current reports its failed load;
+                // a newer slide is already on its way
+                if (id !== requestId) return false;
+                throw error;
+            }
+            if (id !== requestId) return false;
+
+            // A newer image replaces one that is still transitioning in
+            if (settleActive) settleActive();
+
+            const incoming = layers[1 - front];
+            const outgoing = layers[front];
+
+            incoming.src = url;
+            incoming.alt = alt;
+
+            // The layer shares the decoded bitmap from the cache, but make sure
+            // it is ready before it becomes visible
+            if (typeof incoming.decode === 'function') {
+                await incoming.decode().catch(() => {});
+                if (id !== requestId) return false;
+            }
+
+            const effect = resolveTransition(transition);
+            const effectDuration = effect.duration ?? duration;
+
+            if (onSwap) onSwap(incoming, effectDuration);
+
+            // The incoming layer is drawn on top while the effect runs
+            incoming.classList.add('is-front');
+            outgoing.classList.remove('is-front');
+            front = 1 - front;
+
+            const running = effect.run({
+                incoming,
+                outgoing,
+                duration: effectDuration,
+                easing: effect.easing
+            });
+
+            const settle = () => {
+                incoming.classList.add('is-visible');
+                outgoing.classList.remove('is-visible');
+                running.cancel();
+                if (settleActive === settle) settleActive = null;
+            };
+            settleActive = settle;
+
+            // Cancelling a superseded transition rejects its finished promise
+            await running.finished.catch(() => {});
+            if (settleActive === settle) settle();
+
+            return id === requestId;
+        },
+
+        /**
+         * Clears both layers and cancels any pending request
+         * @returns {void}
+         */
+        reset() {
+            requestId++;
+            if (settleActive) settleActive();
+            front = 0;
+            layers.forEach(layer => {
+                layer.classList.remove('is-front', 'is-visible');
+                layer.removeAttribute('src');
+                layer.alt = '';
+            });
+        }
+    };
+
+    return engine;
+}
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Tests of planning imports in scripts/import-images.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { planImport } from '../scripts/import-images.js';
+import { resolveLibrary } from '../scripts/script-options.js';
+
+/**
+ * Creates a source folder and an empty library in a temporary folder
+ * @param {Object} t - The test context; the folder is removed after the test
+ * @param {string[]} files - Paths of the photos in the source folder
+ * @returns {{sourceDir: string, library: Object}} - The source folder and library paths
+ */
+function createFolders(t, files) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'import-test-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const sourceDir = path.join(root, 'source');
+    files.forEach((file, index) => {
+        const filePath = path.join(sourceDir, ...file.split('/'));
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        // Different contents, so no photo is taken for a duplicate
+        fs.writeFileSync(filePath, `photo ${index}`);
+    });
+
+    const imagesDir = path.join(root, 'library');
+    fs.mkdirSync(imagesDir);
+    return { sourceDir, library: resolveLibrary({ 'images-dir': imagesDir }) };
+}
+
+test('folders named like the library\'s own folders are imported as albums', async t => {
+    const { sourceDir, library } = createFolders(t,
+        ['original/1.jpg', 'derivatives/2.jpg', 'Original/3.jpg', 'DERIVATIVES/4.jpg', 'Trips/Original/5.jpg']);
+    const { imports } = await planImport(sourceDir, library, ['.jpg']);
+
+    assert.deepEqual(imports.map(({ targetPath }) => targetPath).sort(), [
+        'derivatives-album/2.jpg', 'derivatives-album/4.jpg',
+        'original-album/1.jpg', 'original-album/3.jpg',
+        'trips/original/5.jpg'
+    ]);
+});
+
+test('albums outside the images folder or in its own folders are rejected', async t => {
+    const { sourceDir, library } = createFolders(t, ['1.jpg']);
+    const plan = album => planImport(sourceDir, library, ['.jpg'], { album });
+
+    await assert.rejects(plan('../elsewhere'), /must be inside the images folder/);
+    await assert.rejects(plan('trips\\..\\..\\elsewhere'), /must be inside the images folder/);
+    await assert.rejects(plan('Original'), /Original\//);
+    await assert.rejects(plan('/derivatives/trips'), /derivatives\//);
+    await assert.rejects(plan('.hidden'), /starting with a dot/);
+
+    const { imports } = await planImport(sourceDir, library, ['.jpg'], { album: './trips/original/' });
+    assert.deepEqual(imports.map(({ targetPath }) => targetPath), ['trips/original/1.jpg']);
+});
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Tests of the near-duplicate handling in src/near-duplicates.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { arrangeNearDuplicates } from '../src/near-duplicates.js';
+
+/**
+ * Creates test images in the given clusters
+ * @param {Array<?number>} clusters - Cluster of each image, or null
+ * @param {number[]} [best=[]] - Indices of the best shots
+ * @returns {Object[]} - The images
+ */
+function createImages(clusters, best = []) {
+    return clusters.map((cluster, index) => ({ cluster, clusterBest: best.includes(index) }));
+}
+
+/**
+ * Tells whether two images of the same cluster follow each other
+ * @param {number[]} order - Indices into images
+ * @param {Object[]} images - The images
+ * @param {?number} [previousLast=null] - Image shown before the order
+ * @returns {boolean} - True if the order has neighbours from one cluster
+ */
+function hasNeighbours(order, images, previousLast = null) {
+    const sequence = previousLast === null ? order : [previousLast, ...order];
+    return sequence.some((index, position) => position > 0
+        && images[index].cluster !== null
+        && images[index].cluster === images[sequence[position - 1]].cluster);
+}
+
+test('show keeps the order', () => {
+    const images = createImages([0, 0, null]);
+    assert.deepEqual(arrangeNearDuplicates([0, 1, 2], images, 'show'), [0, 1, 2]);
+});
+
+test('collapse keeps the best shot of each cluster and unclustered photos', () => {
+    const images = createImages([0, 0, null, 1, 1], [1]);
+    assert.deepEqual(arrangeNearDuplicates([0, 1, 2, 3, 4], images, 'collapse'), [1, 2, 3]);
+});
+
+test('separate moves near-duplicates apart and keeps every photo', () => {
+    const images = createImages([0, 0, 0, null, 1, null]);
+    const order = arrangeNearDuplicates([0, 1, 2, 3, 4, 5], images, 'separate');
+    assert.deepEqual([...order].sort(), [0, 1, 2, 3, 4, 5]);
+    assert.equal(hasNeighbours(order, images), false);
+});
+
+test('separate keeps the first photo of a round apart from the previous photo', () => {
+    const images = createImages([0, 0, null, null]);
+    const order = arrangeNearDuplicates([1, 2, 0, 3], images, 'separate', 0);
+    assert.equal(hasNeighbours(order, images, 0), false);
+    assert.notEqual(images[order[0]].cluster, 0);
+});
+
+test('collapse keeps the first photo of a round apart from the previous photo', () => {
+    // The dropped shot 1 came first, so the previous photo would follow itself
+    const images = createImages([0, 0, null, null], [0]);
+    const order = arrangeNearDuplicates([1, 2, 0, 3], images, 'collapse', 2);
+    assert.deepEqual([...order].sort(), [0, 2, 3]);
+    assert.notEqual(order[0], 2);
+
+    // Without a selected best shot, another shot of the cluster can stand in for it
+    const unrated = createImages([0, 0, null]);
+    assert.deepEqual(arrangeNearDuplicates([1, 2], unrated, 'collapse', 0), [2, 1]);
+});
+
+test('separate leaves what it can\'t keep apart', () => {
+    const images = createImages([0, 0, 0]);
+    assert.deepEqual(arrangeNearDuplicates([0, 1, 2], images, 'separate'), [0, 1, 2]);
+});
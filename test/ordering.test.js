@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Tests of the slideshow orders in src/ordering.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createDisplayOrder, isRandomOrder, isRedrawnEachRound } from '../src/ordering.js';
+
+/**
+ * Creates a repeatable random number generator (mulberry32)
+ * @param {number} seed - The seed
+ * @returns {Function} - Returns a number in [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Creates test images with the given names
+ * @param {string[]} names - File names
+ * @returns {Object[]} - Images in the album "a"
+ */
+function createImages(names) {
+    return names.map(name => ({ name, path: `a/${name}`, album: 'a', captured: null, favorite: false }));
+}
+
+test('name order sorts numbers in names naturally', () => {
+    const images = createImages(['large10.jpg', 'large2.jpg', 'Large1.jpg']);
+    const order = createDisplayOrder(images, 'name');
+    assert.deepEqual(order.map(index => images[index].name), ['Large1.jpg', 'large2.jpg', 'large10.jpg']);
+});
+
+test('album order sorts by album, then name', () => {
+    const images = [
+        { name: '2.jpg', path: 'b/2.jpg', album: 'b' },
+        { name: '10.jpg', path: 'a/10.jpg', album: 'a' },
+        { name: '1.jpg', path: 'b/1.jpg', album: 'b' },
+        { name: '9.jpg', path: 'a/9.jpg', album: 'a' }
+    ];
+    const order = createDisplayOrder(images, 'album');
+    assert.deepEqual(order.map(index => images[index].path), ['a/9.jpg', 'a/10.jpg', 'b/1.jpg', 'b/2.jpg']);
+});
+
+test('date orders put undated photos last, by name', () => {
+    const images = createImages(['c.jpg', 'b.jpg', 'a.jpg', 'd.jpg']);
+    images[0].captured = '2024-05-03T10:00:00';
+    images[3].captured = '2023-01-01T08:00:00';
+    const names = mode => createDisplayOrder(images, mode).map(index => images[index].name);
+    assert.deepEqual(names('date-asc'), ['d.jpg', 'c.jpg', 'a.jpg', 'b.jpg']);
+    assert.deepEqual(names('date-desc'), ['c.jpg', 'd.jpg', 'a.jpg', 'b.jpg']);
+});
+
+test('manual order keeps the arrangement', () => {
+    const images = createImages(['b.jpg', 'a.jpg', 'c.jpg']);
+    assert.deepEqual(createDisplayOrder(images, 'manual'), [0, 1, 2]);
+});
+
+test('shuffled rounds contain every photo once and never start with the previous last photo', () => {
+    const images = createImages(['1.jpg', '2.jpg', '3.jpg', '4.jpg']);
+    const random = seededRandom(1);
+    let previousLast = null;
+    for (let round = 0; round < 200; round++) {
+        const order = createDisplayOrder(images, 'shuffle-each-round', { previousLast, random });
+        assert.deepEqual([...order].sort(), [0, 1, 2, 3]);
+        assert.notEqual(order[0], previousLast);
+        previousLast = order[order.length - 1];
+    }
+});
+
+test('weighted rounds never show a photo twice in a row, across rounds too', () => {
+    const images = createImages(['1.jpg', '2.jpg', '3.jpg']);
+    images[0].favorite = true;
+    const random = seededRandom(2);
+    let previous = null;
+    for (let round = 0; round < 100; round++) {
+        const order = createDisplayOrder(images, 'favorites', { previousLast: previous, random });
+        assert.equal(order.length, images.length);
+        order.forEach(index => {
+            assert.notEqual(index, previous);
+            previous = index;
+        });
+    }
+});
+
+test('favorites come up more often than other photos', () => {
+    const images = createImages(['1.jpg', '2.jpg', '3.jpg', '4.jpg', '5.jpg']);
+    images[0].favorite = true;
+    const random = seededRandom(3);
+    const counts = new Array(images.length).fill(0);
+    for (let round = 0; round < 400; round++) {
+        createDisplayOrder(images, 'favorites', { random }).forEach(index => counts[index]++);
+    }
+    counts.slice(1).forEach(count => assert.ok(counts[0] > 2 * count, `${counts[0]} favorite draws, ${count} others`));
+});
+
+test('rarely shown photos come up more often than often shown ones', () => {
+    const images = createImages(['1.jpg', '2.jpg', '3.jpg']);
+    const showCounts = { 'a/1.jpg': 50, 'a/2.jpg': 50 };
+    const random = seededRandom(4);
+    const counts = new Array(images.length).fill(0);
+    for (let round = 0; round < 300; round++) {
+        createDisplayOrder(images, 'rarely-shown', { showCounts, random }).forEach(index => counts[index]++);
+    }
+    assert.ok(counts[2] > counts[0] && counts[2] > counts[1], `draws: ${counts.join(', ')}`);
+});
+
+test('a single photo can follow itself', () => {
+    const images = createImages(['1.jpg']);
+    assert.deepEqual(createDisplayOrder(images, 'favorites', { previousLast: 0 }), [0]);
+    assert.deepEqual(createDisplayOrder(images, 'shuffle-each-round', { previousLast: 0 }), [0]);
+});
+
+test('random and redrawn orders are told apart', () => {
+    assert.equal(isRandomOrder('shuffle'), true);
+    assert.equal(isRedrawnEachRound('shuffle'), false);
+    assert.equal(isRedrawnEachRound('rarely-shown'), true);
+    assert.equal(isRandomOrder('name'), false);
+});
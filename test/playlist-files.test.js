@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Tests of reading and writing playlist files in src/playlist-files.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPlaylistFile, createM3uPlaylist, findMissingImages, parsePlaylistFile, PLAYLIST_FILE_FORMAT } from '../src/playlist-files.js';
+import { getDefaultSettings } from '../src/settings-store.js';
+
+/**
+ * Creates the contents of a playlist file
+ * @param {Object} fields - Fields that replace the defaults
+ * @returns {string} - The file contents
+ */
+function createFile(fields) {
+    return JSON.stringify({
+        format: PLAYLIST_FILE_FORMAT,
+        version: 2,
+        scope: 'playlist',
+        playlists: [{ name: 'Trips', settings: getDefaultSettings(), includeNewPhotos: false, paths: ['a/1.jpg'], order: [] }],
+        ...fields
+    });
+}
+
+test('playlist files are read back as written', () => {
+    const playlists = [
+        { id: 'playlist-1', name: 'All Photos', settings: getDefaultSettings(), includeNewPhotos: true, paths: [], order: [] },
+        { id: 'playlist-2', name: 'Trips', settings: getDefaultSettings(), includeNewPhotos: false, paths: ['a/1.jpg'], order: ['a/1.jpg'] }
+    ];
+    const file = parsePlaylistFile(createPlaylistFile(playlists, { all: true, activeIndex: 1 }), 'playlists.json');
+
+    assert.equal(file.all, true);
+    assert.equal(file.activeIndex, 1);
+    assert.deepEqual(file.playlists, playlists.map(({ id, ...playlist }) => playlist));
+});
+
+test('version 1 files get an order instead of the randomize setting', () => {
+    const { order, ...settings } = getDefaultSettings();
+    const file = parsePlaylistFile(createFile({
+        version: 1,
+        playlists: [
+            { name: 'Shuffled', settings: { ...settings, randomizeOrder: true }, includeNewPhotos: true, paths: [] },
+            { name: 'Arranged', settings: { ...settings, randomizeOrder: false }, includeNewPhotos: true, paths: [] }
+        ]
+    }), 'old.json');
+
+    assert.deepEqual(file.playlists.map(playlist => playlist.settings.order), ['shuffle', 'manual']);
+    assert.equal('randomizeOrder' in file.playlists[0].settings, false);
+    assert.deepEqual(file.playlists[0].order, []);
+});
+
+test('files that fail validation are rejected with the problems', () => {
+    assert.throws(() => parsePlaylistFile('{', 'broken.json'), /broken\.json is not a playlist file/);
+    assert.throws(() => parsePlaylistFile(createFile({ format: 'other' }), 'other.json'), /format must be one of/);
+    assert.throws(() => parsePlaylistFile(createFile({ playlists: [] }), 'empty.json'), /at least one playlist/);
+    assert.throws(
+        () => parsePlaylistFile(createFile({ playlists: [{ name: 'Bad', settings: { ...getDefaultSettings(), order: 'sideways' }, includeNewPhotos: true, paths: [] }] }), 'bad.json'),
+        /playlists\[0\]\.settings\.order must be one of/
+    );
+});
+
+test('the active playlist must be a whole number', () => {
+    assert.throws(() => parsePlaylistFile(createFile({ scope: 'all', activePlaylist: 0.5 }), 'all.json'),
+        /activePlaylist must be an integer/);
+    assert.equal(parsePlaylistFile(createFile({ scope: 'all', activePlaylist: 5 }), 'all.json').activeIndex, 0);
+});
+
+test('M3U lists become playlists that keep the listed photos in order', () => {
+    const text = `${createM3uPlaylist('Beach', ['b/2.jpg', 'a/1.jpg'])}http://kiosk:8080/images/c/3%20x.jpg\n`;
+    const [playlist] = parsePlaylistFile(text, 'beach.m3u').playlists;
+
+    assert.equal(playlist.name, 'Beach');
+    assert.equal(playlist.includeNewPhotos, false);
+    assert.deepEqual(playlist.paths, ['b/2.jpg', 'a/1.jpg', 'c/3 x.jpg']);
+    assert.deepEqual(playlist.order, playlist.paths);
+    assert.throws(() => parsePlaylistFile('#EXTM3U\n', 'empty.m3u'), /lists no images/);
+});
+
+test('only photos a playlist selects by path can be missing', () => {
+    const library = new Set(['a/1.jpg']);
+    assert.deepEqual(findMissingImages({ includeNewPhotos: false, paths: ['a/1.jpg', 'b/2.jpg'] }, library), ['b/2.jpg']);
+    assert.deepEqual(findMissingImages({ includeNewPhotos: true, paths: ['b/2.jpg'] }, library), []);
+});
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Tests of the slideshow timing in src/scheduler.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSlideshowScheduler } from '../src/scheduler.js';
+
+/**
+ * Creates a scheduler on mocked timers
+ * @param {Object} t - The test context
+ * @param {number} [duration=1000] - Slide duration in milliseconds
+ * @returns {{scheduler: Object, advances: number[], tick: Function}} - The started scheduler,
+ *     the times at which it advanced and a function that moves the clock forward
+ */
+function createMockedScheduler(t, duration = 1000) {
+    let clock = 0;
+    const advances = [];
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    t.mock.method(performance, 'now', () => clock);
+
+    const scheduler = createSlideshowScheduler({ duration, onAdvance: () => advances.push(clock) });
+    scheduler.start();
+
+    return {
+        scheduler,
+        advances,
+        tick(milliseconds) {
+            clock += milliseconds;
+            t.mock.timers.tick(milliseconds);
+        }
+    };
+}
+
+test('the countdown starts once the slide is shown', async t => {
+    const { scheduler, advances, tick } = createMockedScheduler(t);
+    let showSlide;
+    const shown = scheduler.waitFor(new Promise(resolve => { showSlide = resolve; }));
+
+    tick(5000);
+    assert.deepEqual(advances, []);
+
+    showSlide();
+    await shown;
+    tick(999);
+    assert.deepEqual(advances, []);
+    tick(1);
+    assert.deepEqual(advances, [6000]);
+});
+
+test('a slide that failed to load still gets its full time', async t => {
+    const { scheduler, advances, tick } = createMockedScheduler(t);
+    await scheduler.waitFor(Promise.reject(new Error('load failed')));
+
+    tick(1000);
+    assert.deepEqual(advances, [1000]);
+});
+
+test('a newer slide replaces the countdown of the one it superseded', async t => {
+    const { scheduler, advances, tick } = createMockedScheduler(t);
+    let showFirst;
+    const first = scheduler.waitFor(new Promise(resolve => { showFirst = resolve; }));
+    await scheduler.waitFor(Promise.resolve());
+
+    tick(600);
+    showFirst();
+    await first;
+    tick(400);
+    assert.deepEqual(advances, [1000]);
+    tick(1000);
+    assert.deepEqual(advances, [1000]);
+});
+
+test('pausing keeps the remaining time for resume', async t => {
+    const { scheduler, advances, tick } = createMockedScheduler(t);
+    await scheduler.waitFor(Promise.resolve());
+
+    tick(300);
+    assert.equal(scheduler.togglePause(), true);
+    assert.equal(scheduler.getRemaining(), 700);
+    tick(5000);
+    assert.deepEqual(advances, []);
+
+    assert.equal(scheduler.togglePause(), false);
+    tick(699);
+    assert.deepEqual(advances, []);
+    tick(1);
+    assert.deepEqual(advances, [6000]);
+});
+
+test('a new duration keeps the time already spent on the slide', async t => {
+    const { scheduler, advances, tick } = createMockedScheduler(t);
+    await scheduler.waitFor(Promise.resolve());
+
+    tick(500);
+    scheduler.setDuration(2000);
+    assert.equal(scheduler.getRemaining(), 1500);
+    assert.equal(scheduler.getProgress(), 0.25);
+    tick(1500);
+    assert.deepEqual(advances, [2000]);
+});
+
+test('stopping discards the countdown', async t => {
+    const { scheduler, advances, tick } = createMockedScheduler(t);
+    await scheduler.waitFor(Promise.resolve());
+
+    scheduler.stop();
+    tick(1000);
+    assert.deepEqual(advances, []);
+    assert.equal(scheduler.isRunning(), false);
+    assert.equal(scheduler.getProgress(), 0);
+});
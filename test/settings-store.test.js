@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Tests of the playlist storage in src/settings-store.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSettingsStore, getDefaultSettings, SETTINGS_VERSION, STORAGE_KEY } from '../src/settings-store.js';
+
+const SHOW_COUNTS_KEY = `${STORAGE_KEY}:show-counts`;
+
+/**
+ * Creates a storage that keeps its items in memory
+ * @param {Object.<string, *>} [items={}] - Stored values, written as JSON
+ * @returns {Object} - The storage
+ */
+function createStorage(items = {}) {
+    const map = new Map(Object.entries(items).map(([key, value]) => [key, JSON.stringify(value)]));
+    return {
+        getItem: key => (map.has(key) ? map.get(key) : null),
+        setItem: (key, value) => map.set(key, String(value)),
+        removeItem: key => map.delete(key)
+    };
+}
+
+/**
+ * Reads a stored value
+ * @param {Object} storage - Storage from createStorage
+ * @param {string} key - The key
+ * @returns {*} - The parsed value, or null
+ */
+function readStored(storage, key) {
+    return JSON.parse(storage.getItem(key));
+}
+
+test('version 1 settings become the "All Photos" playlist', () => {
+    const storage = createStorage({
+        [STORAGE_KEY]: {
+            version: 1,
+            settings: { ...getDefaultSettings(), order: undefined, duration: 20, randomizeOrder: true },
+            deselected: ['a/1.jpg']
+        }
+    });
+    const store = createSettingsStore({ storage });
+    const playlist = store.getActivePlaylist();
+
+    assert.equal(playlist.name, 'All Photos');
+    assert.equal(playlist.includeNewPhotos, true);
+    assert.equal(playlist.settings.duration, 20);
+    assert.equal(playlist.settings.order, 'shuffle');
+    assert.equal('randomizeOrder' in playlist.settings, false);
+
+    const isSelected = store.getSelection();
+    assert.equal(isSelected('a/1.jpg'), false);
+    assert.equal(isSelected('a/2.jpg'), true);
+});
+
+test('version 2 playlists get an order instead of the randomize setting', () => {
+    const settings = { ...getDefaultSettings(), order: undefined };
+    const storage = createStorage({
+        [STORAGE_KEY]: {
+            version: 2,
+            activePlaylist: 'playlist-2',
+            playlists: [
+                { id: 'playlist-1', name: 'All Photos', settings: { ...settings, randomizeOrder: true }, includeNewPhotos: true, paths: [] },
+                { id: 'playlist-2', name: 'Trips', settings: { ...settings, randomizeOrder: false }, includeNewPhotos: false, paths: ['a/1.jpg'] }
+            ]
+        }
+    });
+    const store = createSettingsStore({ storage });
+
+    assert.equal(store.getActivePlaylist().name, 'Trips');
+    assert.equal(store.getActivePlaylist().settings.order, 'manual');
+    assert.deepEqual(store.getActivePlaylist().order, []);
+    assert.equal(store.getSelection()('a/1.jpg'), true);
+    assert.equal(store.getSelection()('a/2.jpg'), false);
+
+    store.setActivePlaylist('playlist-1');
+    assert.equal(store.getActivePlaylist().settings.order, 'shuffle');
+    assert.equal(readStored(storage, STORAGE_KEY).version, SETTINGS_VERSION);
+});
+
+test('invalid settings are replaced by their defaults', () => {
+    const storage = createStorage({
+        [STORAGE_KEY]: {
+            version: SETTINGS_VERSION,
+            activePlaylist: 'playlist-1',
+            playlists: [{ id: 'playlist-1', name: 'All Photos', settings: { duration: 99999, backgroundColor: 'red' }, includeNewPhotos: true, paths: [] }]
+        }
+    });
+    assert.deepEqual(createSettingsStore({ storage }).getActivePlaylist().settings, getDefaultSettings());
+});
+
+test('data of a newer version is replaced by the defaults', () => {
+    const storage = createStorage({ [STORAGE_KEY]: { version: SETTINGS_VERSION + 1, playlists: [] } });
+    const store = createSettingsStore({ storage });
+    assert.equal(store.getPlaylists().length, 1);
+    assert.deepEqual(store.getActivePlaylist().settings, getDefaultSettings());
+});
+
+test('new playlists keep their own settings and selected photos', () => {
+    const storage = createStorage();
+    const store = createSettingsStore({ storage });
+    store.saveSettings({ ...getDefaultSettings(), duration: 20 });
+    const trips = store.createPlaylist('Trips', { selectedPaths: ['a/1.jpg'] });
+
+    assert.equal(store.getActivePlaylist().id, trips.id);
+    assert.deepEqual(store.getActivePlaylist().settings, getDefaultSettings());
+    assert.equal(store.getSelection()('a/1.jpg'), true);
+    assert.equal(store.getSelection()('a/2.jpg'), false);
+
+    const reloaded = createSettingsStore({ storage });
+    assert.deepEqual(reloaded.getPlaylists().map(playlist => playlist.name), ['All Photos', 'Trips']);
+    assert.equal(reloaded.getActivePlaylist().id, trips.id);
+    assert.equal(reloaded.setActivePlaylist('playlist-1').settings.duration, 20);
+    assert.equal(readStored(storage, STORAGE_KEY).version, SETTINGS_VERSION);
+});
+
+test('playlists can be duplicated, renamed and deleted, except the last one', () => {
+    const store = createSettingsStore({ storage: createStorage() });
+    const copy = store.duplicatePlaylist('playlist-1', 'Copy');
+    store.renamePlaylist(copy.id, '  Beach  ');
+    store.renamePlaylist(copy.id, ' ');
+    assert.deepEqual(store.getPlaylists().map(playlist => playlist.name), ['All Photos', 'Beach']);
+
+    assert.equal(store.deletePlaylist(copy.id), true);
+    assert.equal(store.getActivePlaylist().id, 'playlist-1');
+    assert.equal(store.deletePlaylist('playlist-1'), false);
+    assert.throws(() => store.setActivePlaylist(copy.id), /Unknown playlist/);
+});
+
+test('imported playlists get new ids and names that aren\'t taken', () => {
+    const store = createSettingsStore({ storage: createStorage() });
+    const trips = { name: 'Trips', settings: getDefaultSettings(), includeNewPhotos: false, paths: ['a/1.jpg'] };
+    store.importPlaylists([trips, trips], { activeIndex: 1 });
+    assert.deepEqual(store.getPlaylists().map(playlist => playlist.name), ['All Photos', 'Trips', 'Trips (2)']);
+    assert.equal(store.getActivePlaylist().name, 'Trips (2)');
+
+    store.importPlaylists([{ ...trips, name: 'All Photos' }], { replace: true });
+    assert.deepEqual(store.getPlaylists().map(playlist => playlist.name), ['All Photos']);
+    assert.deepEqual(store.exportPlaylists().playlists[0].paths, ['a/1.jpg']);
+});
+
+test('saving the selection keeps the paths of missing photos', () => {
+    const store = createSettingsStore({ storage: createStorage() });
+    store.createPlaylist('Trips', { selectedPaths: ['a/1.jpg', 'missing.jpg'] });
+    store.saveSelection(['a/2.jpg'], ['a/1.jpg']);
+    assert.deepEqual(store.getActivePlaylist().paths, ['missing.jpg', 'a/2.jpg']);
+});
+
+test('a manual order is kept per playlist', () => {
+    const storage = createStorage();
+    const store = createSettingsStore({ storage });
+    store.saveOrder(['b', 'a']);
+    store.createPlaylist('Trips');
+    assert.deepEqual(store.getActivePlaylist().order, []);
+
+    const reloaded = createSettingsStore({ storage });
+    assert.deepEqual(reloaded.setActivePlaylist('playlist-1').order, ['b', 'a']);
+    reloaded.clearOrder();
+    assert.deepEqual(reloaded.getActivePlaylist().order, []);
+});
+
+test('saving a manual order keeps missing photos in their places', () => {
+    const store = createSettingsStore({ storage: createStorage() });
+    store.saveOrder(['a', 'missing-1', 'b', 'missing-2', 'c']);
+    store.saveOrder(['c', 'a', 'b', 'new']);
+    assert.deepEqual(store.getActivePlaylist().order, ['c', 'missing-1', 'a', 'missing-2', 'b', 'new']);
+
+    store.clearOrder();
+    assert.deepEqual(store.getActivePlaylist().order, []);
+});
+
+
+test('show counts are kept under their own key and written in batches', () => {
+    const storage = createStorage({
+        [STORAGE_KEY]: {
+            version: SETTINGS_VERSION,
+            activePlaylist: 'playlist-1',
+            playlists: [{ id: 'playlist-1', name: 'All Photos', settings: getDefaultSettings(), includeNewPhotos: true, paths: [] }],
+            showCounts: { 'a/1.jpg': 3 }
+        }
+    });
+    const store = createSettingsStore({ storage });
+    // Counts stored with the settings by earlier versions are ignored
+    assert.deepEqual(store.getShowCounts(), {});
+
+    store.recordShown('a/1.jpg');
+    store.recordShown('a/2.jpg');
+    store.recordShown('a/1.jpg');
+    assert.equal(storage.getItem(SHOW_COUNTS_KEY), null);
+
+    store.flushShowCounts();
+    assert.deepEqual(readStored(storage, SHOW_COUNTS_KEY), { 'a/1.jpg': 2, 'a/2.jpg': 1 });
+
+    store.pruneShowCounts(new Set(['a/2.jpg']));
+    assert.deepEqual(readStored(storage, SHOW_COUNTS_KEY), { 'a/2.jpg': 1 });
+
+    store.saveSettings(getDefaultSettings());
+    assert.equal('showCounts' in readStored(storage, STORAGE_KEY), false);
+
+    store.reset();
+    assert.equal(storage.getItem(SHOW_COUNTS_KEY), null);
+    assert.deepEqual(store.getShowCounts(), {});
+});
+
+test('switching whether new photos are added keeps the selection and drops missing photos', () => {
+    const store = createSettingsStore({ storage: createStorage() });
+    store.saveSelection(['a/1.jpg'], ['a/2.jpg']);
+    store.saveSelection(['a/1.jpg'], ['missing.jpg']);
+    assert.deepEqual(store.getActivePlaylist().paths, ['a/2.jpg', 'missing.jpg']);
+
+    store.setIncludeNewPhotos(false, ['a/1.jpg'], ['a/2.jpg']);
+    const playlist = store.getActivePlaylist();
+    assert.equal(playlist.includeNewPhotos, false);
+    assert.deepEqual(playlist.paths, ['a/1.jpg']);
+
+    const isSelected = store.getSelection();
+    assert.equal(isSelected('a/1.jpg'), true);
+    assert.equal(isSelected('a/2.jpg'), false);
+    assert.equal(isSelected('missing.jpg'), false);
+});
+
+test('favorites are kept for all playlists until reset', () => {
+    const storage = createStorage();
+    const store = createSettingsStore({ storage });
+    store.setFavorite('a/1.jpg', true);
+    store.setFavorite('a/2.jpg', true);
+    store.setFavorite('a/2.jpg', false);
+    store.createPlaylist('Trips');
+
+    const isFavorite = createSettingsStore({ storage }).getFavorites();
+    assert.equal(isFavorite('a/1.jpg'), true);
+    assert.equal(isFavorite('a/2.jpg'), false);
+
+    store.reset();
+    assert.equal(store.getFavorites()('a/1.jpg'), false);
+});
+
+test('reset leaves one playlist with every photo selected', () => {
+    const storage = createStorage();
+    const store = createSettingsStore({ storage });
+    store.createPlaylist('Trips', { selectedPaths: ['a/1.jpg'] });
+
+    store.reset();
+    assert.equal(storage.getItem(STORAGE_KEY), null);
+    assert.equal(store.getPlaylists().length, 1);
+    assert.deepEqual(store.getActivePlaylist().settings, getDefaultSettings());
+    assert.equal(store.getSelection()('a/1.jpg'), true);
+});